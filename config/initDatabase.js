@@ -41,15 +41,15 @@ async function createDefaultAdmin() {
       const hashedPassword = await bcrypt.hash('admin123', 10);
       
       await pool.query(
-        `INSERT INTO admin_users (username, email, password, full_name) 
-         VALUES ($1, $2, $3, $4)`,
-        ['admin', 'admin@worksglow.com', hashedPassword, 'Administrator']
+        `INSERT INTO admin_users (username, email, password, full_name, role) 
+         VALUES ($1, $2, $3, $4, $5)`,
+        ['admin', 'admin@worksglow.com', hashedPassword, 'Administrator', 'owner']
       );
       
       console.log('✅ Default admin created!');
       console.log('   Username: admin');
       console.log('   Password: admin123');
-      console.log('   ⚠️  PLEASE CHANGE PASSWORD AFTER FIRST LOGIN!');
+      console.log('   ⚠️  PLEASE CHANGE PASSWORD AFTER FIRST LOGIN! (POST /api/auth/change-password)');
     } else {
       console.log('ℹ️  Admin user already exists');
     }
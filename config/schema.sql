@@ -112,4 +112,516 @@ CREATE TABLE IF NOT EXISTS form_submissions (
     message TEXT NOT NULL,
     status VARCHAR(20) DEFAULT 'new', -- 'new', 'read', 'replied'
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
\ No newline at end of file
+);
+
+-- 11. TABEL BOOKING SETTINGS (Jam kerja & kapasitas bay bengkel)
+CREATE TABLE IF NOT EXISTS booking_settings (
+    id INTEGER PRIMARY KEY DEFAULT 1,
+    open_time TIME NOT NULL DEFAULT '08:00',
+    close_time TIME NOT NULL DEFAULT '17:00',
+    slot_duration_minutes INTEGER NOT NULL DEFAULT 60,
+    bay_capacity INTEGER NOT NULL DEFAULT 2,
+    working_days INTEGER[] NOT NULL DEFAULT '{1,2,3,4,5,6}', -- 0 = Minggu ... 6 = Sabtu
+    max_advance_days INTEGER NOT NULL DEFAULT 60,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT booking_settings_singleton CHECK (id = 1)
+);
+
+INSERT INTO booking_settings (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
+
+-- 12. TABEL BOOKINGS (Reservasi slot bengkel)
+CREATE TABLE IF NOT EXISTS bookings (
+    id SERIAL PRIMARY KEY,
+    service_id INTEGER NOT NULL REFERENCES services(id),
+    customer_name VARCHAR(100) NOT NULL,
+    customer_phone VARCHAR(20) NOT NULL,
+    customer_email VARCHAR(100),
+    vehicle_info VARCHAR(150),
+    notes TEXT,
+    booking_date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    bay_number INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'confirmed', 'cancelled'
+    cancel_reason TEXT,
+    confirmed_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Satu bay hanya boleh dipakai satu booking aktif per slot
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_active_slot
+    ON bookings (booking_date, start_time, bay_number)
+    WHERE status IN ('pending', 'confirmed');
+
+-- 13. TABEL QUOTE REQUESTS (Permintaan penawaran harga perbaikan cat)
+CREATE TABLE IF NOT EXISTS quote_requests (
+    id SERIAL PRIMARY KEY,
+    customer_name VARCHAR(100) NOT NULL,
+    customer_phone VARCHAR(20) NOT NULL,
+    customer_email VARCHAR(100),
+    vehicle_make VARCHAR(50) NOT NULL,
+    vehicle_model VARCHAR(50) NOT NULL,
+    vehicle_year INTEGER,
+    paint_code VARCHAR(30),
+    damaged_panels TEXT[] NOT NULL DEFAULT '{}',
+    description TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'new', -- 'new', 'quoted', 'accepted', 'rejected'
+    estimated_price NUMERIC(12, 2),
+    estimate_notes TEXT,
+    responded_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 14. TABEL QUOTE REQUEST PHOTOS (Foto kerusakan dari customer)
+CREATE TABLE IF NOT EXISTS quote_request_photos (
+    id SERIAL PRIMARY KEY,
+    quote_id INTEGER NOT NULL REFERENCES quote_requests(id) ON DELETE CASCADE,
+    image_url VARCHAR(500) NOT NULL,
+    image_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 15. TABEL CONTACT MESSAGES (Inbox pesan dari pengunjung website)
+CREATE TABLE IF NOT EXISTS contact_messages (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(100),
+    phone VARCHAR(20),
+    subject VARCHAR(150),
+    message TEXT NOT NULL,
+    source_page VARCHAR(255),
+    is_read BOOLEAN NOT NULL DEFAULT false,
+    read_at TIMESTAMP,
+    is_archived BOOLEAN NOT NULL DEFAULT false,
+    archived_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT contact_messages_reachable CHECK (email IS NOT NULL OR phone IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_messages_inbox
+    ON contact_messages (is_archived, created_at DESC);
+
+-- 16. TABEL CONTACT MESSAGE NOTES (Catatan balasan admin)
+CREATE TABLE IF NOT EXISTS contact_message_notes (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER NOT NULL REFERENCES contact_messages(id) ON DELETE CASCADE,
+    admin_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    note TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 17. ADMIN USERS: status aktif & login terakhir (multi-admin)
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP;
+
+-- 18. ADMIN USERS: role (owner, editor, viewer)
+-- Akun lama otomatis jadi owner, akun baru default editor
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'owner';
+ALTER TABLE admin_users ALTER COLUMN role SET DEFAULT 'editor';
+
+DO $$
+BEGIN
+    ALTER TABLE admin_users
+        ADD CONSTRAINT admin_users_role_check CHECK (role IN ('owner', 'editor', 'viewer'));
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+-- 19. ADMIN USERS: versi token (naik setiap ganti password, token lama jadi invalid)
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
+
+-- 20. TABEL PASSWORD RESET TOKENS (Sekali pakai, berlaku terbatas)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 dari token, token asli hanya dikirim via email
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    requested_ip VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 21. TABEL REFRESH TOKENS (Sesi login, dirotasi setiap refresh)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    family_id UUID NOT NULL, -- Semua token hasil rotasi dari satu login
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+    created_ip VARCHAR(45),
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens (family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens (user_id);
+
+-- 22. TABEL LOGIN ATTEMPTS (Proteksi brute-force, dibagi antar instance serverless)
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(100),
+    ip VARCHAR(45),
+    success BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts (ip, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts (LOWER(username), created_at);
+
+-- 23. ADMIN USERS: lockout sementara setelah gagal login berulang
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+-- 24. ADMIN USERS: two-factor authentication (TOTP)
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_last_counter BIGINT; -- Anti replay kode yang sama
+
+-- 25. TABEL ADMIN RECOVERY CODES (Cadangan kalau HP authenticator hilang)
+CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_recovery_codes_user ON admin_recovery_codes (user_id);
+
+-- 26. TABEL AUDIT LOGS (Siapa mengubah apa)
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id BIGSERIAL PRIMARY KEY,
+    admin_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    admin_username VARCHAR(50), -- Disimpan terpisah supaya tetap terbaca walau akun dihapus
+    action VARCHAR(30) NOT NULL, -- 'create', 'update', 'delete', 'bulk_update'
+    resource_type VARCHAR(50) NOT NULL,
+    resource_id VARCHAR(100),
+    changes JSONB, -- { "field": { "from": ..., "to": ... } }
+    before_data JSONB,
+    after_data JSONB,
+    ip VARCHAR(45),
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_admin ON audit_logs (admin_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_resource ON audit_logs (resource_type, resource_id, created_at DESC);
+
+-- 27. TABEL CONTENT REVISIONS (Riwayat versi konten: about, services, hero)
+CREATE TABLE IF NOT EXISTS content_revisions (
+    id BIGSERIAL PRIMARY KEY,
+    resource_type VARCHAR(50) NOT NULL, -- 'about_content', 'services', 'hero_slides'
+    resource_key VARCHAR(100) NOT NULL, -- Nama section atau id row
+    revision_number INTEGER NOT NULL,
+    content JSONB NOT NULL, -- Snapshot lengkap konten pada revisi ini
+    created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_by_username VARCHAR(50),
+    note VARCHAR(255),
+    restored_from BIGINT REFERENCES content_revisions(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (resource_type, resource_key, revision_number)
+);
+
+-- 28. TABEL GALLERY PROJECTS & IMAGES (Portfolio hasil kerja)
+CREATE TABLE IF NOT EXISTS gallery_projects (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(200) NOT NULL,
+    subtitle VARCHAR(200),
+    description TEXT,
+    vehicle_type VARCHAR(100),
+    service_type VARCHAR(100),
+    duration VARCHAR(50),
+    completed_date DATE,
+    display_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS gallery_images (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES gallery_projects(id) ON DELETE CASCADE,
+    image_url TEXT NOT NULL,
+    image_order INTEGER DEFAULT 0,
+    is_primary BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_gallery_images_project ON gallery_images (project_id, image_order);
+
+-- 29. GALLERY PROJECTS: workflow draft / scheduled / published / archived
+-- Project yang sudah ada tetap tayang (published), yang nonaktif jadi archived
+DO $$ BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'gallery_projects' AND column_name = 'status'
+    ) THEN
+        ALTER TABLE gallery_projects ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'draft';
+        UPDATE gallery_projects SET status = CASE WHEN is_active THEN 'published' ELSE 'archived' END;
+    END IF;
+END $$;
+
+ALTER TABLE gallery_projects ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ;
+ALTER TABLE gallery_projects ADD COLUMN IF NOT EXISTS unpublish_at TIMESTAMPTZ;
+
+DO $$ BEGIN
+    ALTER TABLE gallery_projects ADD CONSTRAINT gallery_projects_status_check
+        CHECK (status IN ('draft', 'scheduled', 'published', 'archived'));
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_gallery_projects_status ON gallery_projects (status, publish_at);
+
+-- 30. GAMBAR RESPONSIVE: dimensi & varian WebP ([{ url, width, height, format, size }])
+ALTER TABLE gallery_images ADD COLUMN IF NOT EXISTS width INTEGER;
+ALTER TABLE gallery_images ADD COLUMN IF NOT EXISTS height INTEGER;
+ALTER TABLE gallery_images ADD COLUMN IF NOT EXISTS variants JSONB;
+
+ALTER TABLE hero_slides ADD COLUMN IF NOT EXISTS image_width INTEGER;
+ALTER TABLE hero_slides ADD COLUMN IF NOT EXISTS image_height INTEGER;
+ALTER TABLE hero_slides ADD COLUMN IF NOT EXISTS image_variants JSONB;
+
+-- 31. TABEL MEDIA LIBRARY (Inventaris semua asset yang diupload)
+CREATE TABLE IF NOT EXISTS media (
+    id SERIAL PRIMARY KEY,
+    url TEXT NOT NULL UNIQUE,
+    media_type VARCHAR(20) NOT NULL, -- 'image', 'document'
+    mime_type VARCHAR(100),
+    file_name VARCHAR(255),
+    size_bytes INTEGER,
+    width INTEGER,
+    height INTEGER,
+    variants JSONB, -- Varian WebP responsive (khusus gambar)
+    alt_text VARCHAR(500),
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    uploaded_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_type_created ON media (media_type, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_media_tags ON media USING GIN (tags);
+
+-- Asset library yang dipasang ke hero / gallery (file tidak ikut dihapus saat dilepas)
+ALTER TABLE hero_slides ADD COLUMN IF NOT EXISTS media_id INTEGER REFERENCES media(id) ON DELETE SET NULL;
+ALTER TABLE gallery_images ADD COLUMN IF NOT EXISTS media_id INTEGER REFERENCES media(id) ON DELETE SET NULL;
+
+-- 32. GALLERY IMAGES: caption, alt text & tepat satu primary per project
+ALTER TABLE gallery_images ADD COLUMN IF NOT EXISTS caption VARCHAR(500);
+ALTER TABLE gallery_images ADD COLUMN IF NOT EXISTS alt_text VARCHAR(500);
+
+-- Rapikan data lama: sisakan satu primary (urutan paling awal) per project
+UPDATE gallery_images g SET is_primary = false
+WHERE g.is_primary = true
+  AND EXISTS (
+      SELECT 1 FROM gallery_images other
+      WHERE other.project_id = g.project_id AND other.is_primary = true
+        AND (other.image_order, other.id) < (g.image_order, g.id)
+  );
+
+-- Project yang punya gambar tapi belum punya primary
+UPDATE gallery_images g SET is_primary = true
+WHERE g.id IN (
+    SELECT DISTINCT ON (project_id) id FROM gallery_images
+    WHERE project_id NOT IN (SELECT project_id FROM gallery_images WHERE is_primary = true)
+    ORDER BY project_id, image_order ASC, id ASC
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_gallery_images_one_primary ON gallery_images (project_id) WHERE is_primary = true;
+
+-- 33. GALLERY PROJECTS: index untuk filter & full-text search
+-- Expression harus sama dengan SEARCH_DOCUMENT di routes/galleryRoutes.js
+CREATE INDEX IF NOT EXISTS idx_gallery_projects_search ON gallery_projects USING GIN (
+    to_tsvector('simple', COALESCE(title, '') || ' ' || COALESCE(subtitle, '') || ' ' || COALESCE(description, ''))
+);
+CREATE INDEX IF NOT EXISTS idx_gallery_projects_vehicle_type ON gallery_projects (LOWER(vehicle_type));
+CREATE INDEX IF NOT EXISTS idx_gallery_projects_service_type ON gallery_projects (LOWER(service_type));
+CREATE INDEX IF NOT EXISTS idx_gallery_projects_completed ON gallery_projects (completed_date);
+
+-- 34. GALLERY IMAGES: role before/after/process + pasangan before/after (comparison slider)
+ALTER TABLE gallery_images ADD COLUMN IF NOT EXISTS role VARCHAR(20);
+
+DO $$ BEGIN
+    ALTER TABLE gallery_images ADD CONSTRAINT gallery_images_role_check
+        CHECK (role IS NULL OR role IN ('before', 'after', 'process'));
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Satu gambar hanya bisa ada di satu pasangan; hapus gambar = pasangan ikut terhapus
+CREATE TABLE IF NOT EXISTS gallery_image_pairs (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER NOT NULL REFERENCES gallery_projects(id) ON DELETE CASCADE,
+    before_image_id INTEGER NOT NULL UNIQUE REFERENCES gallery_images(id) ON DELETE CASCADE,
+    after_image_id INTEGER NOT NULL UNIQUE REFERENCES gallery_images(id) ON DELETE CASCADE,
+    caption VARCHAR(500),
+    pair_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT gallery_image_pairs_distinct CHECK (before_image_id <> after_image_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_gallery_image_pairs_project ON gallery_image_pairs (project_id, pair_order);
+
+-- 35. HERO SLIDES: jumlah slide bebas, urutan, tombol CTA & jadwal tampil
+ALTER TABLE hero_slides ADD COLUMN IF NOT EXISTS slide_order INTEGER DEFAULT 0;
+ALTER TABLE hero_slides ADD COLUMN IF NOT EXISTS button_text VARCHAR(50);
+ALTER TABLE hero_slides ADD COLUMN IF NOT EXISTS button_link VARCHAR(255);
+ALTER TABLE hero_slides ADD COLUMN IF NOT EXISTS starts_at TIMESTAMPTZ;
+ALTER TABLE hero_slides ADD COLUMN IF NOT EXISTS ends_at TIMESTAMPTZ;
+
+DO $$ BEGIN
+    ALTER TABLE hero_slides ADD CONSTRAINT hero_slides_window_check
+        CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at);
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_hero_slides_order ON hero_slides (slide_order, id);
+
+-- 36. SERVICES: katalog lengkap (slug halaman detail, deskripsi panjang, gambar, estimasi durasi)
+ALTER TABLE services ADD COLUMN IF NOT EXISTS service_order INTEGER DEFAULT 0;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS slug VARCHAR(120);
+ALTER TABLE services ADD COLUMN IF NOT EXISTS long_description TEXT;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS estimated_duration_minutes INTEGER;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS image_url TEXT;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS image_width INTEGER;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS image_height INTEGER;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS image_variants JSONB;
+
+DO $$ BEGIN
+    ALTER TABLE services ADD CONSTRAINT services_duration_check
+        CHECK (estimated_duration_minutes IS NULL OR estimated_duration_minutes > 0);
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Isi slug service lama dari judul; judul kembar diberi akhiran id
+UPDATE services s SET slug = v.slug
+FROM (
+    SELECT id, base || CASE WHEN ROW_NUMBER() OVER (PARTITION BY base ORDER BY id) > 1 THEN '-' || id ELSE '' END AS slug
+    FROM (
+        SELECT id, TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(title), '[^a-z0-9]+', '-', 'g')) AS base
+        FROM services
+        WHERE slug IS NULL
+    ) b
+) v
+WHERE s.id = v.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_services_slug ON services (slug);
+CREATE INDEX IF NOT EXISTS idx_services_order ON services (service_order, id);
+
+-- 37. PRICE MATRIX & ESTIMATE
+-- Harga per panel: service x kelas kendaraan x jenis cat
+CREATE TABLE IF NOT EXISTS service_prices (
+    id SERIAL PRIMARY KEY,
+    service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+    vehicle_class VARCHAR(20) NOT NULL, -- 'city_car', 'sedan', 'suv', 'pickup'
+    paint_finish VARCHAR(20) NOT NULL, -- 'solid', 'metallic', 'pearl', 'matte'
+    price_min NUMERIC(12, 2) NOT NULL,
+    price_max NUMERIC(12, 2) NOT NULL,
+    updated_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (service_id, vehicle_class, paint_finish),
+    CONSTRAINT service_prices_class_check CHECK (vehicle_class IN ('city_car', 'sedan', 'suv', 'pickup')),
+    CONSTRAINT service_prices_finish_check CHECK (paint_finish IN ('solid', 'metallic', 'pearl', 'matte')),
+    CONSTRAINT service_prices_range_check CHECK (price_min >= 0 AND price_max >= price_min)
+);
+
+-- Panel yang bisa dipilih di form estimasi. size_factor = pengali harga per panel
+CREATE TABLE IF NOT EXISTS price_panels (
+    code VARCHAR(40) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    size_factor NUMERIC(4, 2) NOT NULL DEFAULT 1 CHECK (size_factor > 0),
+    display_order INTEGER DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO price_panels (code, name, size_factor, display_order) VALUES
+    ('hood', 'Kap Mesin', 1.30, 1),
+    ('roof', 'Atap', 1.50, 2),
+    ('trunk', 'Bagasi', 1.10, 3),
+    ('front_bumper', 'Bumper Depan', 1.00, 4),
+    ('rear_bumper', 'Bumper Belakang', 1.00, 5),
+    ('front_fender_left', 'Fender Depan Kiri', 0.80, 6),
+    ('front_fender_right', 'Fender Depan Kanan', 0.80, 7),
+    ('front_door_left', 'Pintu Depan Kiri', 1.00, 8),
+    ('front_door_right', 'Pintu Depan Kanan', 1.00, 9),
+    ('rear_door_left', 'Pintu Belakang Kiri', 1.00, 10),
+    ('rear_door_right', 'Pintu Belakang Kanan', 1.00, 11),
+    ('rear_quarter_left', 'Quarter Belakang Kiri', 1.00, 12),
+    ('rear_quarter_right', 'Quarter Belakang Kanan', 1.00, 13),
+    ('side_mirror', 'Spion', 0.30, 14)
+ON CONFLICT (code) DO NOTHING;
+
+-- 38. TABEL REVIEWS (Testimoni customer + moderasi)
+CREATE TABLE IF NOT EXISTS reviews (
+    id SERIAL PRIMARY KEY,
+    customer_name VARCHAR(100) NOT NULL,
+    rating SMALLINT NOT NULL,
+    review_text TEXT NOT NULL,
+    service_id INTEGER REFERENCES services(id) ON DELETE SET NULL,
+    gallery_project_id INTEGER REFERENCES gallery_projects(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'approved', 'rejected'
+    is_featured BOOLEAN NOT NULL DEFAULT false,
+    rejection_reason VARCHAR(500),
+    moderated_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMP,
+    ip VARCHAR(45),
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT reviews_rating_check CHECK (rating BETWEEN 1 AND 5),
+    CONSTRAINT reviews_status_check CHECK (status IN ('pending', 'approved', 'rejected')),
+    CONSTRAINT reviews_featured_check CHECK (is_featured = false OR status = 'approved')
+);
+
+CREATE INDEX IF NOT EXISTS idx_reviews_status ON reviews (status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reviews_approved_service ON reviews (service_id) WHERE status = 'approved';
+CREATE INDEX IF NOT EXISTS idx_reviews_approved_project ON reviews (gallery_project_id) WHERE status = 'approved';
+
+-- 39. TABEL CONTENT TRANSLATIONS (Terjemahan per field, kolom asli = bahasa default)
+-- resource_type: 'hero_slides', 'services', 'gallery_projects', 'about_content', 'contact_info'
+CREATE TABLE IF NOT EXISTS content_translations (
+    resource_type VARCHAR(50) NOT NULL,
+    resource_key VARCHAR(100) NOT NULL, -- id row, nama section, atau 'default' untuk contact_info
+    locale VARCHAR(10) NOT NULL,
+    field VARCHAR(100) NOT NULL,
+    value JSONB NOT NULL, -- String biasa, atau array/object untuk about_content
+    updated_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (resource_type, resource_key, locale, field)
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_translations_lookup ON content_translations (resource_type, locale, resource_key);
+
+-- 40. BOOKINGS: jam selesai per booking, bentrok bay dicek per rentang waktu
+-- (slot_duration_minutes bisa berubah, jadi booking lama & baru bisa beda durasi)
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS end_time TIME;
+
+UPDATE bookings b
+SET end_time = b.start_time + make_interval(mins => s.slot_duration_minutes)
+FROM booking_settings s
+WHERE s.id = 1 AND b.end_time IS NULL;
+
+ALTER TABLE bookings ALTER COLUMN end_time SET NOT NULL;
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+DO $$ BEGIN
+    ALTER TABLE bookings ADD CONSTRAINT bookings_bay_no_overlap
+        EXCLUDE USING gist (
+            bay_number WITH =,
+            tsrange(booking_date + start_time, booking_date + end_time) WITH &&
+        )
+        WHERE (status IN ('pending', 'confirmed'));
+EXCEPTION WHEN duplicate_object OR duplicate_table THEN NULL;
+END $$;
+
+-- 41. ADMIN USERS: waktu gagal login terakhir, supaya failed_login_count mulai ulang di luar window
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
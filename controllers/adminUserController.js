@@ -0,0 +1,475 @@
+const bcrypt = require('bcryptjs');
+const pool = require('../config/db');
+const { validatePasswordStrength } = require('../utils/password');
+const { ROLES } = require('../middleware/auth');
+const { revokeUserSessions } = require('../utils/authTokens');
+const { unlockAccount } = require('../utils/loginThrottle');
+
+const USER_COLUMNS = 'id, username, email, full_name, role, is_active, totp_enabled, failed_login_count, locked_until, last_login_at, created_at, updated_at';
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,50}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Cek username/email belum dipakai admin lain
+const findDuplicate = async ({ username, email }, excludeId = null) => {
+  const result = await pool.query(
+    `SELECT username, email FROM admin_users
+     WHERE (LOWER(username) = LOWER($1) OR LOWER(email) = LOWER($2))
+       AND ($3::int IS NULL OR id <> $3)`,
+    [username || '', email || '', excludeId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const match = result.rows[0];
+  if (username && match.username.toLowerCase() === username.toLowerCase()) {
+    return 'Username is already taken';
+  }
+  return 'Email is already registered';
+};
+
+// Harus selalu ada minimal satu owner aktif, supaya manajemen akun tidak terkunci
+const isLastActiveOwner = async (userId) => {
+  const result = await pool.query(
+    `SELECT
+       EXISTS (SELECT 1 FROM admin_users WHERE id = $1 AND role = 'owner' AND is_active = true) AS is_owner,
+       (SELECT COUNT(*)::int FROM admin_users WHERE role = 'owner' AND is_active = true AND id <> $1) AS other_owners`,
+    [userId]
+  );
+  const { is_owner, other_owners } = result.rows[0];
+  return is_owner && other_owners === 0;
+};
+
+const invalidRoleResponse = (res) => res.status(400).json({
+  message: `Invalid role. Allowed: ${ROLES.join(', ')}`,
+  status: 'error'
+});
+
+const parseUserId = (req, res) => {
+  const userId = parseInt(req.params.id);
+  if (isNaN(userId)) {
+    res.status(400).json({
+      message: 'Invalid user ID',
+      status: 'error'
+    });
+    return null;
+  }
+  return userId;
+};
+
+const handleUniqueViolation = (error, res) => {
+  if (error.code !== '23505') {
+    return false;
+  }
+  res.status(409).json({
+    message: 'Username or email is already in use',
+    status: 'error'
+  });
+  return true;
+};
+
+// List Admin Users
+const listUsers = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${USER_COLUMNS} FROM admin_users ORDER BY created_at ASC`
+    );
+
+    res.json({
+      message: 'Admin users retrieved',
+      status: 'success',
+      data: result.rows
+    });
+
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Get Admin User by ID
+const getUser = async (req, res) => {
+  try {
+    const userId = parseUserId(req, res);
+    if (userId === null) return;
+
+    const result = await pool.query(
+      `SELECT ${USER_COLUMNS} FROM admin_users WHERE id = $1`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        message: 'User not found',
+        status: 'error'
+      });
+    }
+
+    res.json({
+      message: 'User data retrieved',
+      status: 'success',
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Create Admin User
+const createUser = async (req, res) => {
+  try {
+    const { username, email, password, full_name, role = 'editor' } = req.body || {};
+
+    if (!username || !email || !password) {
+      return res.status(400).json({
+        message: 'Username, email and password are required',
+        status: 'error'
+      });
+    }
+
+    if (!USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({
+        message: 'Username must be 3-50 characters (letters, numbers, dot, dash, underscore)',
+        status: 'error'
+      });
+    }
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({
+        message: 'Email address is not valid',
+        status: 'error'
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return invalidRoleResponse(res);
+    }
+
+    const passwordError = validatePasswordStrength(password, { username });
+    if (passwordError) {
+      return res.status(400).json({
+        message: passwordError,
+        status: 'error'
+      });
+    }
+
+    const duplicate = await findDuplicate({ username, email });
+    if (duplicate) {
+      return res.status(409).json({
+        message: duplicate,
+        status: 'error'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const result = await pool.query(
+      `INSERT INTO admin_users (username, email, password, full_name, role)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${USER_COLUMNS}`,
+      [username, email, hashedPassword, full_name || null, role]
+    );
+
+    res.status(201).json({
+      message: 'Admin user created',
+      status: 'success',
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    if (handleUniqueViolation(error, res)) return;
+    console.error('Create user error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Update Admin User
+const updateUser = async (req, res) => {
+  try {
+    const userId = parseUserId(req, res);
+    if (userId === null) return;
+
+    const { username, email, password, full_name, role } = req.body || {};
+
+    const existing = await pool.query(
+      'SELECT id, username FROM admin_users WHERE id = $1',
+      [userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        message: 'User not found',
+        status: 'error'
+      });
+    }
+
+    if (username !== undefined && !USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({
+        message: 'Username must be 3-50 characters (letters, numbers, dot, dash, underscore)',
+        status: 'error'
+      });
+    }
+
+    if (email !== undefined && !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({
+        message: 'Email address is not valid',
+        status: 'error'
+      });
+    }
+
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return invalidRoleResponse(res);
+      }
+
+      if (role !== 'owner' && await isLastActiveOwner(userId)) {
+        return res.status(400).json({
+          message: 'Cannot change the role of the last active owner',
+          status: 'error'
+        });
+      }
+    }
+
+    if (password !== undefined) {
+      const passwordError = validatePasswordStrength(password, {
+        username: username || existing.rows[0].username
+      });
+      if (passwordError) {
+        return res.status(400).json({
+          message: passwordError,
+          status: 'error'
+        });
+      }
+    }
+
+    const duplicate = await findDuplicate({ username, email }, userId);
+    if (duplicate) {
+      return res.status(409).json({
+        message: duplicate,
+        status: 'error'
+      });
+    }
+
+    // Build update query dynamically
+    const updates = [];
+    const values = [];
+
+    if (username !== undefined) {
+      values.push(username);
+      updates.push(`username = $${values.length}`);
+    }
+    if (email !== undefined) {
+      values.push(email);
+      updates.push(`email = $${values.length}`);
+    }
+    if (full_name !== undefined) {
+      values.push(full_name);
+      updates.push(`full_name = $${values.length}`);
+    }
+    if (role !== undefined) {
+      values.push(role);
+      updates.push(`role = $${values.length}`);
+    }
+    if (password !== undefined) {
+      values.push(await bcrypt.hash(password, 10));
+      updates.push(`password = $${values.length}`);
+      // Sesi lama user tersebut harus login ulang
+      updates.push('token_version = token_version + 1', 'password_changed_at = CURRENT_TIMESTAMP');
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        message: 'No fields to update',
+        status: 'error'
+      });
+    }
+
+    values.push(userId);
+
+    const result = await pool.query(
+      `UPDATE admin_users
+       SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${values.length}
+       RETURNING ${USER_COLUMNS}`,
+      values
+    );
+
+    if (password !== undefined) {
+      await revokeUserSessions(userId);
+    }
+
+    res.json({
+      message: 'Admin user updated',
+      status: 'success',
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    if (handleUniqueViolation(error, res)) return;
+    console.error('Update user error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Activate / Deactivate Admin User
+const setUserActive = (isActive) => async (req, res) => {
+  try {
+    const userId = parseUserId(req, res);
+    if (userId === null) return;
+
+    if (!isActive) {
+      if (userId === req.user.id) {
+        return res.status(400).json({
+          message: 'You cannot deactivate your own account',
+          status: 'error'
+        });
+      }
+
+      if (await isLastActiveOwner(userId)) {
+        return res.status(400).json({
+          message: 'Cannot deactivate the last active owner',
+          status: 'error'
+        });
+      }
+    }
+
+    const result = await pool.query(
+      `UPDATE admin_users
+       SET is_active = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING ${USER_COLUMNS}`,
+      [isActive, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        message: 'User not found',
+        status: 'error'
+      });
+    }
+
+    if (!isActive) {
+      await revokeUserSessions(userId);
+    }
+
+    res.json({
+      message: isActive ? 'Admin user activated' : 'Admin user deactivated',
+      status: 'success',
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Set user active error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Unlock Admin User (setelah terkunci karena gagal login berulang)
+const unlockUser = async (req, res) => {
+  try {
+    const userId = parseUserId(req, res);
+    if (userId === null) return;
+
+    const unlocked = await unlockAccount(userId);
+
+    if (!unlocked) {
+      return res.status(404).json({
+        message: 'User not found',
+        status: 'error'
+      });
+    }
+
+    const result = await pool.query(
+      `SELECT ${USER_COLUMNS} FROM admin_users WHERE id = $1`,
+      [userId]
+    );
+
+    res.json({
+      message: 'Admin user unlocked',
+      status: 'success',
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Delete Admin User
+const deleteUser = async (req, res) => {
+  try {
+    const userId = parseUserId(req, res);
+    if (userId === null) return;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        message: 'You cannot delete your own account',
+        status: 'error'
+      });
+    }
+
+    if (await isLastActiveOwner(userId)) {
+      return res.status(400).json({
+        message: 'Cannot delete the last active owner',
+        status: 'error'
+      });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM admin_users WHERE id = $1 RETURNING id',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        message: 'User not found',
+        status: 'error'
+      });
+    }
+
+    res.json({
+      message: 'Admin user deleted',
+      status: 'success'
+    });
+
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  activateUser: setUserActive(true),
+  deactivateUser: setUserActive(false),
+  unlockUser,
+  deleteUser
+};
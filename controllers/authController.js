@@ -1,6 +1,79 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const pool = require('../config/db');
+const { validatePasswordStrength } = require('../utils/password');
+const { sendMail, canDeliverMail } = require('../utils/mailer');
+const {
+  hashToken,
+  issueSession,
+  createLoginChallenge,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../utils/authTokens');
+const {
+  startLoginAttempt,
+  cancelLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  sendLoginBlocked
+} = require('../utils/loginThrottle');
+
+const RESET_TOKEN_TTL_MINUTES = 30;
+
+// Simpan password baru & naikkan token_version supaya semua token lama invalid
+const updatePassword = async (userId, newPassword) => {
+  const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+  const result = await pool.query(
+    `UPDATE admin_users
+     SET password = $1, token_version = token_version + 1,
+         password_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING *`,
+    [hashedPassword, userId]
+  );
+
+  // Link reset yang belum dipakai & semua sesi login ikut hangus
+  await pool.query(
+    'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  await revokeUserSessions(userId);
+
+  return result.rows[0];
+};
+
+// Langkah terakhir login (setelah password & 2FA valid): buat sesi & kirim response
+// attempt = hasil startLoginAttempt dari langkah login yang sedang berjalan
+const completeLogin = async (req, res, user, attempt) => {
+  await recordLoginSuccess({ attempt, userId: user.id });
+
+  await pool.query(
+    'UPDATE admin_users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [user.id]
+  );
+
+  // Generate access token + refresh token
+  const session = await issueSession(user, req);
+
+  res.json({
+    message: 'Login successful',
+    status: 'success',
+    data: {
+      ...session,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        full_name: user.full_name,
+        role: user.role
+      }
+    }
+  });
+};
 
 // Login Admin
 const login = async (req, res) => {
@@ -15,12 +88,21 @@ const login = async (req, res) => {
       });
     }
 
+    const ip = req.ip;
+
+    // Proteksi brute-force: delay progresif & lockout akun
+    const attempt = await startLoginAttempt({ username, ip });
+    if (attempt.blocked) {
+      return sendLoginBlocked(res, attempt.blocked);
+    }
+
     // Cari user di database
     const result = await pool.query(
       'SELECT * FROM admin_users WHERE username = $1',
       [username]
     );
 
+    // Username tidak dikenal: percobaan sudah tercatat gagal, tidak ada akun untuk dikunci
     if (result.rows.length === 0) {
       return res.status(401).json({
         message: 'Invalid username or password',
@@ -34,36 +116,40 @@ const login = async (req, res) => {
     const isValidPassword = await bcrypt.compare(password, user.password);
 
     if (!isValidPassword) {
+      const lockout = await recordLoginFailure({ userId: user.id });
+      if (lockout) {
+        return sendLoginBlocked(res, lockout);
+      }
       return res.status(401).json({
         message: 'Invalid username or password',
         status: 'error'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        username: user.username,
-        email: user.email 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Akun yang dinonaktifkan tidak boleh login
+    if (user.is_active === false) {
+      await cancelLoginAttempt(attempt);
+      return res.status(403).json({
+        message: 'Account is deactivated. Please contact another administrator.',
+        status: 'error'
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      status: 'success',
-      data: {
-        token,
-        user: {
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          full_name: user.full_name
+    // 2FA aktif: kirim challenge token, sesi baru dibuat setelah kode TOTP valid
+    if (user.totp_enabled) {
+      // Password benar: percobaan berikutnya (kode 2FA) dicatat sendiri di verifyLogin
+      await cancelLoginAttempt(attempt);
+      return res.json({
+        message: 'Two-factor authentication required',
+        status: 'success',
+        data: {
+          requires_2fa: true,
+          ...createLoginChallenge(user)
         }
-      }
-    });
+      });
+    }
+
+    await completeLogin(req, res, user, attempt);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -78,7 +164,7 @@ const login = async (req, res) => {
 const getCurrentUser = async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT id, username, email, full_name, created_at FROM admin_users WHERE id = $1',
+      'SELECT id, username, email, full_name, role, is_active, totp_enabled, last_login_at, created_at FROM admin_users WHERE id = $1',
       [req.user.id]
     );
 
@@ -104,7 +190,340 @@ const getCurrentUser = async (req, res) => {
   }
 };
 
+// Change Password (user yang sedang login)
+const changePassword = async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({
+        message: 'Current password and new password are required',
+        status: 'error'
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM admin_users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        message: 'User not found',
+        status: 'error'
+      });
+    }
+
+    const user = result.rows[0];
+
+    const isValidPassword = await bcrypt.compare(current_password, user.password);
+
+    if (!isValidPassword) {
+      return res.status(401).json({
+        message: 'Current password is incorrect',
+        status: 'error'
+      });
+    }
+
+    const passwordError = validatePasswordStrength(new_password, { username: user.username });
+    if (passwordError) {
+      return res.status(400).json({
+        message: passwordError,
+        status: 'error'
+      });
+    }
+
+    if (await bcrypt.compare(new_password, user.password)) {
+      return res.status(400).json({
+        message: 'New password must be different from the current password',
+        status: 'error'
+      });
+    }
+
+    const updatedUser = await updatePassword(user.id, new_password);
+
+    // Token lama sudah invalid, kirim sesi baru untuk device ini
+    res.json({
+      message: 'Password changed successfully',
+      status: 'success',
+      data: await issueSession(updatedUser, req)
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Forgot Password - kirim link reset via email
+const forgotPassword = async (req, res) => {
+  const genericResponse = {
+    message: 'If the account exists, a password reset link has been sent to its email',
+    status: 'success'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        message: 'Email is required',
+        status: 'error'
+      });
+    }
+
+    // Fail closed: di production tanpa transport email asli, token reset tidak pernah dibuat
+    if (process.env.NODE_ENV === 'production' && !canDeliverMail()) {
+      console.error('Forgot password refused: no mail transport configured (set MAIL_TRANSPORT / MAIL_HTTP_URL)');
+      return res.status(503).json({
+        message: 'Password reset by email is currently unavailable. Please contact the owner.',
+        status: 'error'
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT id, username, email, full_name FROM admin_users WHERE LOWER(email) = LOWER($1) AND is_active = true',
+      [email]
+    );
+
+    // Response selalu sama supaya tidak bisa dipakai untuk menebak email admin
+    if (result.rows.length === 0) {
+      return res.json(genericResponse);
+    }
+
+    const user = result.rows[0];
+    const token = crypto.randomBytes(32).toString('hex');
+
+    // Hanya link terbaru yang berlaku
+    await pool.query(
+      'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+
+    await pool.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + ($3 || ' minutes')::interval, $4)`,
+      [user.id, hashToken(token), String(RESET_TOKEN_TTL_MINUTES), req.ip]
+    );
+
+    const resetBaseUrl = process.env.PASSWORD_RESET_URL || 'https://worksglow.vercel.app/admin/reset-password';
+    const resetLink = `${resetBaseUrl}?token=${token}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Works Glow - Reset Password',
+        text: [
+          `Hi ${user.full_name || user.username},`,
+          '',
+          'We received a request to reset your Works Glow admin password.',
+          `Open this link within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new password:`,
+          resetLink,
+          '',
+          'If you did not request this, you can ignore this email.'
+        ].join('\n')
+      });
+    } catch (mailError) {
+      console.error('Send reset email error:', mailError.message);
+
+      // Email tidak terkirim: matikan token supaya tidak ada link aktif yang tidak sampai ke pemiliknya
+      await pool.query(
+        'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+        [user.id]
+      );
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Reset Password pakai token dari email
+const resetPassword = async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+
+    if (!token || !new_password) {
+      return res.status(400).json({
+        message: 'Token and new password are required',
+        status: 'error'
+      });
+    }
+
+    const tokenResult = await pool.query(
+      `SELECT t.user_id, u.username
+       FROM password_reset_tokens t
+       JOIN admin_users u ON u.id = t.user_id
+       WHERE t.token_hash = $1 AND t.used_at IS NULL AND t.expires_at > CURRENT_TIMESTAMP`,
+      [hashToken(token)]
+    );
+
+    if (tokenResult.rows.length === 0) {
+      return res.status(400).json({
+        message: 'Reset token is invalid or has expired',
+        status: 'error'
+      });
+    }
+
+    const passwordError = validatePasswordStrength(new_password, {
+      username: tokenResult.rows[0].username
+    });
+    if (passwordError) {
+      return res.status(400).json({
+        message: passwordError,
+        status: 'error'
+      });
+    }
+
+    // Klaim token secara atomik supaya tidak bisa dipakai dua kali
+    const claimResult = await pool.query(
+      `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING user_id`,
+      [hashToken(token)]
+    );
+
+    if (claimResult.rows.length === 0) {
+      return res.status(400).json({
+        message: 'Reset token is invalid or has expired',
+        status: 'error'
+      });
+    }
+
+    await updatePassword(claimResult.rows[0].user_id, new_password);
+
+    res.json({
+      message: 'Password has been reset. Please log in with your new password.',
+      status: 'success'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Refresh Access Token (rotasi refresh token)
+const refresh = async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        message: 'Refresh token is required',
+        status: 'error'
+      });
+    }
+
+    const { session, error } = await rotateRefreshToken(refresh_token, req);
+
+    if (error) {
+      return res.status(401).json({
+        message: error === 'reused'
+          ? 'Refresh token has already been used. All sessions from this login were revoked, please log in again.'
+          : 'Invalid or expired refresh token',
+        status: 'error'
+      });
+    }
+
+    res.json({
+      message: 'Token refreshed',
+      status: 'success',
+      data: session
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Logout - cabut sesi dari refresh token atau access token yang dikirim
+const logout = async (req, res) => {
+  try {
+    const { refresh_token } = req.body || {};
+
+    if (refresh_token) {
+      await revokeRefreshToken(refresh_token);
+    }
+
+    // Access token yang sudah expired tetap boleh dipakai untuk logout
+    const authHeader = req.headers['authorization'];
+    const accessToken = authHeader && authHeader.split(' ')[1];
+    if (accessToken) {
+      try {
+        const decoded = jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+        if (decoded.sid) {
+          await revokeSession(decoded.sid);
+        }
+      } catch (error) {
+        // Token tidak valid, tidak ada sesi yang perlu dicabut
+      }
+    }
+
+    if (!refresh_token && !accessToken) {
+      return res.status(400).json({
+        message: 'Refresh token or access token is required',
+        status: 'error'
+      });
+    }
+
+    res.json({
+      message: 'Logout successful',
+      status: 'success'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Logout All - cabut semua sesi milik user yang sedang login
+const logoutAll = async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id);
+
+    res.json({
+      message: 'All sessions have been logged out',
+      status: 'success'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
 module.exports = {
+  completeLogin,
   login,
-  getCurrentUser
+  refresh,
+  logout,
+  logoutAll,
+  getCurrentUser,
+  changePassword,
+  forgotPassword,
+  resetPassword
 };
\ No newline at end of file
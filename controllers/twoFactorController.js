@@ -0,0 +1,321 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const pool = require('../config/db');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { hashToken, verifyLoginChallenge } = require('../utils/authTokens');
+const { startLoginAttempt, recordLoginFailure, sendLoginBlocked } = require('../utils/loginThrottle');
+const { completeLogin } = require('./authController');
+
+const RECOVERY_CODE_COUNT = 10;
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Buat ulang recovery codes (yang lama hangus). Kode asli hanya ditampilkan sekali.
+const createRecoveryCodes = async (userId) => {
+  const codes = [];
+
+  await pool.query('DELETE FROM admin_recovery_codes WHERE user_id = $1', [userId]);
+
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    const code = `${raw.substring(0, 5)}-${raw.substring(5)}`;
+    codes.push(code);
+
+    await pool.query(
+      'INSERT INTO admin_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+};
+
+// Pakai recovery code secara atomik (sekali pakai)
+const consumeRecoveryCode = async (userId, code) => {
+  const result = await pool.query(
+    `UPDATE admin_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM admin_recovery_codes
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1
+     ) AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+  return result.rows.length > 0;
+};
+
+// Simpan counter terakhir supaya kode yang sama tidak bisa dipakai dua kali
+const consumeTotpCode = async (user, code) => {
+  const counter = verifyCode(user.totp_secret, code, { lastCounter: user.totp_last_counter });
+  if (counter === null) {
+    return false;
+  }
+
+  const result = await pool.query(
+    `UPDATE admin_users SET totp_last_counter = $1
+     WHERE id = $2 AND (totp_last_counter IS NULL OR totp_last_counter < $1)
+     RETURNING id`,
+    [counter, user.id]
+  );
+  return result.rows.length > 0;
+};
+
+const getUserById = async (userId) => {
+  const result = await pool.query('SELECT * FROM admin_users WHERE id = $1', [userId]);
+  return result.rows[0] || null;
+};
+
+const countRemainingRecoveryCodes = async (userId) => {
+  const result = await pool.query(
+    'SELECT COUNT(*)::int AS total FROM admin_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return result.rows[0].total;
+};
+
+// Get 2FA Status
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await getUserById(req.user.id);
+
+    res.json({
+      message: 'Two-factor status retrieved',
+      status: 'success',
+      data: {
+        enabled: user.totp_enabled,
+        recovery_codes_remaining: user.totp_enabled ? await countRemainingRecoveryCodes(user.id) : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Setup 2FA - generate secret & otpauth URI (belum aktif sampai dikonfirmasi)
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await getUserById(req.user.id);
+
+    if (user.totp_enabled) {
+      return res.status(409).json({
+        message: 'Two-factor authentication is already enabled',
+        status: 'error'
+      });
+    }
+
+    const secret = generateSecret();
+
+    await pool.query(
+      'UPDATE admin_users SET totp_secret = $1, totp_last_counter = NULL WHERE id = $2',
+      [secret, user.id]
+    );
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      status: 'success',
+      data: {
+        secret,
+        otpauth_uri: buildOtpauthUri({ secret, accountName: user.username })
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Enable 2FA - konfirmasi kode pertama dari authenticator
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await getUserById(req.user.id);
+
+    if (user.totp_enabled) {
+      return res.status(409).json({
+        message: 'Two-factor authentication is already enabled',
+        status: 'error'
+      });
+    }
+
+    if (!user.totp_secret) {
+      return res.status(400).json({
+        message: 'Start two-factor setup first',
+        status: 'error'
+      });
+    }
+
+    if (!code || !(await consumeTotpCode(user, code))) {
+      return res.status(400).json({
+        message: 'Invalid authentication code',
+        status: 'error'
+      });
+    }
+
+    await pool.query(
+      'UPDATE admin_users SET totp_enabled = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [user.id]
+    );
+
+    const recoveryCodes = await createRecoveryCodes(user.id);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      status: 'success',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Disable 2FA - wajib konfirmasi password
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = await getUserById(req.user.id);
+
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({
+        message: 'Password is incorrect',
+        status: 'error'
+      });
+    }
+
+    await pool.query(
+      `UPDATE admin_users
+       SET totp_enabled = false, totp_secret = NULL, totp_last_counter = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [user.id]
+    );
+    await pool.query('DELETE FROM admin_recovery_codes WHERE user_id = $1', [user.id]);
+
+    res.json({
+      message: 'Two-factor authentication disabled',
+      status: 'success'
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Regenerate Recovery Codes - wajib konfirmasi password
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = await getUserById(req.user.id);
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled',
+        status: 'error'
+      });
+    }
+
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({
+        message: 'Password is incorrect',
+        status: 'error'
+      });
+    }
+
+    res.json({
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      status: 'success',
+      data: {
+        recovery_codes: await createRecoveryCodes(user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Verify Login - langkah kedua login dengan kode TOTP atau recovery code
+const verifyLogin = async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({
+        message: 'Challenge token and code (or recovery code) are required',
+        status: 'error'
+      });
+    }
+
+    const challenge = verifyLoginChallenge(challenge_token);
+    const user = challenge ? await getUserById(challenge.id) : null;
+
+    if (!user || !user.is_active || !user.totp_enabled || (challenge.tv || 0) !== user.token_version) {
+      return res.status(401).json({
+        message: 'Login challenge is invalid or has expired. Please log in again.',
+        status: 'error'
+      });
+    }
+
+    const attempt = await startLoginAttempt({ username: user.username, ip: req.ip });
+    if (attempt.blocked) {
+      return sendLoginBlocked(res, attempt.blocked);
+    }
+
+    const isValid = code
+      ? await consumeTotpCode(user, code)
+      : await consumeRecoveryCode(user.id, recovery_code);
+
+    if (!isValid) {
+      // Kode salah dihitung sebagai login gagal (ikut lockout)
+      const lockout = await recordLoginFailure({ userId: user.id });
+      if (lockout) {
+        return sendLoginBlocked(res, lockout);
+      }
+      return res.status(401).json({
+        message: 'Invalid authentication code',
+        status: 'error'
+      });
+    }
+
+    await completeLogin(req, res, user, attempt);
+
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyLogin
+};
@@ -16,11 +16,22 @@ const heroRoutes = require('./routes/heroRoutes');
 const contactRoutes = require('./routes/contactRoutes');
 const galleryRoutes = require('./routes/galleryRoutes');
 const aboutRoutes = require('./routes/aboutRoutes');
+const bookingRoutes = require('./routes/bookingRoutes');
+const quoteRoutes = require('./routes/quoteRoutes');
+const adminUserRoutes = require('./routes/adminUserRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
+const estimateRoutes = require('./routes/estimateRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const { detectLocale } = require('./utils/i18n');
 
 // Initialize Express App
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Di belakang proxy Vercel: req.ip diambil dari X-Forwarded-For
+app.set('trust proxy', 1);
+
 // ============================================
 // ✅ CSP MIDDLEWARE - FIX CSP BLOCKING
 // ============================================
@@ -75,7 +86,10 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// ✅ HANYA serve folder uploads untuk gambar/file
+// Bahasa konten dari ?lang= atau Accept-Language (req.locale)
+app.use(detectLocale);
+
+// ✅ HANYA serve folder uploads untuk gambar/file (dipakai storage driver "local")
 app.use('/uploads', express.static(path.join(__dirname, 'public', 'uploads')));
 
 // ============================================
@@ -89,11 +103,18 @@ app.get('/', (req, res) => {
     endpoints: {
       test: '/api/test',
       auth: '/api/auth/*',
+      adminUsers: '/api/admin-users',
       services: '/api/services',
       hero: '/api/hero',
       contact: '/api/contact',
       gallery: '/api/gallery',
-      about: '/api/about'
+      about: '/api/about',
+      bookings: '/api/bookings',
+      quotes: '/api/quotes',
+      audit: '/api/audit',
+      media: '/api/media',
+      estimate: '/api/estimate',
+      reviews: '/api/reviews'
     }
   });
 });
@@ -132,11 +153,18 @@ app.get('/api/db-test', async (req, res) => {
 // API ROUTES
 // ============================================
 app.use('/api/auth', authRoutes);
+app.use('/api/admin-users', adminUserRoutes);
 app.use('/api/services', servicesRoutes);
 app.use('/api/hero', heroRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/gallery', galleryRoutes);
 app.use('/api/about', aboutRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/estimate', estimateRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 // ============================================
 // 404 Handler untuk route yang tidak ada
@@ -185,11 +213,18 @@ if (process.env.NODE_ENV !== 'production' && require.main === module) {
     console.log('   - GET  /api/test');
     console.log('   - GET  /api/db-test');
     console.log('   - POST /api/auth/*');
+    console.log('   - GET  /api/admin-users');
     console.log('   - GET  /api/services');
     console.log('   - GET  /api/hero');
     console.log('   - POST /api/contact');
     console.log('   - GET  /api/gallery');
     console.log('   - GET  /api/about');
+    console.log('   - GET  /api/bookings/availability');
+    console.log('   - POST /api/quotes');
+    console.log('   - GET  /api/audit');
+    console.log('   - GET  /api/media');
+    console.log('   - POST /api/estimate');
+    console.log('   - GET  /api/reviews');
     console.log('='.repeat(50));
     console.log(`⚙️  Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🌐 CORS Enabled for ${corsOptions.origin.length} origins`);
@@ -1,7 +1,11 @@
 const jwt = require('jsonwebtoken');
+const { query } = require('../config/db');
+
+// Role admin, urut dari akses paling luas
+const ROLES = ['owner', 'editor', 'viewer'];
 
 // Middleware untuk verifikasi JWT token
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Format: "Bearer TOKEN"
 
@@ -12,16 +16,74 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Token khusus (mis. challenge 2FA) bukan access token
+    if (decoded.purpose) {
+      throw new Error('Not an access token');
+    }
   } catch (error) {
     return res.status(403).json({ 
       message: 'Invalid or expired token.',
       status: 'error' 
     });
   }
+
+  try {
+    // Token lama tidak berlaku lagi setelah ganti password, logout / akun dinonaktifkan
+    const result = await query(
+      `SELECT u.role, u.is_active, u.token_version,
+              ($2::uuid IS NULL OR EXISTS (
+                SELECT 1 FROM refresh_tokens t
+                WHERE t.family_id = $2 AND t.revoked_at IS NULL AND t.expires_at > CURRENT_TIMESTAMP
+              )) AS session_active
+       FROM admin_users u
+       WHERE u.id = $1`,
+      [decoded.id, decoded.sid || null]
+    );
+    const user = result.rows[0];
+
+    if (!user || !user.is_active || !user.session_active || (decoded.tv || 0) !== user.token_version) {
+      return res.status(401).json({
+        message: 'Token has been revoked. Please log in again.',
+        status: 'error'
+      });
+    }
+
+    // Role selalu diambil dari database supaya perubahan role langsung berlaku
+    req.user = { ...decoded, role: user.role };
+    next();
+  } catch (error) {
+    console.error('Token verification error:', error);
+    return res.status(500).json({
+      message: 'Internal server error',
+      status: 'error'
+    });
+  }
+};
+
+// Middleware untuk membatasi route ke role tertentu (pasang setelah authenticateToken)
+const authorizeRoles = (...allowedRoles) => (req, res, next) => {
+  if (!req.user || !allowedRoles.includes(req.user.role)) {
+    return res.status(403).json({
+      message: 'Access denied. Insufficient permissions.',
+      status: 'error',
+      required_roles: allowedRoles
+    });
+  }
+  next();
 };
 
-module.exports = { authenticateToken };
\ No newline at end of file
+// Shortcut: kelola akun & pengaturan bengkel hanya owner, konten bisa editor
+const requireOwner = authorizeRoles('owner');
+const requireEditor = authorizeRoles('owner', 'editor');
+
+module.exports = {
+  ROLES,
+  authenticateToken,
+  authorizeRoles,
+  requireOwner,
+  requireEditor
+};
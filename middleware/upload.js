@@ -0,0 +1,42 @@
+const multer = require('multer');
+
+// ============================================
+// MULTER CONFIGURATION - MEMORY ONLY (NO DISK)
+// File disimpan di memory lalu diupload ke Vercel Blob
+// ============================================
+const imageUpload = multer({
+    storage: multer.memoryStorage(), // ✅ PENTING: Memory storage, BUKAN disk
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+    fileFilter: function (req, file, cb) {
+        const allowedTypes = /jpeg|jpg|png|webp/;
+        const extname = allowedTypes.test(file.originalname.toLowerCase());
+        const mimetype = allowedTypes.test(file.mimetype);
+        
+        if (extname && mimetype) {
+            return cb(null, true);
+        } else {
+            cb(new Error('Only image files (JPEG, PNG, WebP) are allowed'));
+        }
+    }
+});
+
+// ============================================
+// MEDIA LIBRARY - gambar (termasuk GIF) & dokumen PDF
+// ============================================
+const mediaUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+    fileFilter: function (req, file, cb) {
+        const allowedTypes = /jpeg|jpg|png|webp|gif|pdf/;
+        const extname = allowedTypes.test(file.originalname.toLowerCase());
+        const mimetype = allowedTypes.test(file.mimetype);
+        
+        if (extname && mimetype) {
+            return cb(null, true);
+        } else {
+            cb(new Error('Only image files (JPEG, PNG, WebP, GIF) and PDF documents are allowed'));
+        }
+    }
+});
+
+module.exports = { imageUpload, mediaUpload };
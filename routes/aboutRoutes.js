@@ -1,40 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/db'); // ✅ Destructure pool from export
-const jwt = require('jsonwebtoken');
+const { authenticateToken, requireEditor } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { saveRevision, registerRevisionRoutes } = require('../utils/revisions');
+const { fetchTranslations, registerTranslationRoutes } = require('../utils/i18n');
 
-// ============================================
-// AUTH MIDDLEWARE
-// ============================================
-const verifyToken = (req, res, next) => {
-    try {
-        const authHeader = req.headers['authorization'];
-        if (!authHeader) {
-            return res.status(401).json({
-                status: 'error',
-                message: 'No token provided'
-            });
-        }
-
-        const token = authHeader.split(' ')[1];
-        if (!token) {
-            return res.status(401).json({
-                status: 'error',
-                message: 'Invalid token format'
-            });
-        }
-
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-        next();
-    } catch (error) {
-        console.error('❌ Token verification error:', error.message);
-        return res.status(401).json({
-            status: 'error',
-            message: 'Invalid or expired token'
-        });
-    }
-};
+// Ambil isi section saat ini sebagai { section: content } untuk audit
+async function fetchSectionContents(client, sectionNames) {
+    const result = await client.query(
+        'SELECT section, content FROM about_content WHERE section = ANY($1::text[])',
+        [sectionNames]
+    );
+    
+    const contents = {};
+    result.rows.forEach(row => {
+        contents[row.section] = typeof row.content === 'string'
+            ? JSON.parse(row.content)
+            : row.content;
+    });
+    return contents;
+}
 
 // ============================================
 // GET ALL ABOUT US CONTENT (PUBLIC)
@@ -60,12 +46,17 @@ router.get('/', async (req, res) => {
         
         console.log(`✅ Found ${result.rows.length} sections`);
         
+        const translations = await fetchTranslations(
+            pool, 'about_content', result.rows.map(row => row.section), req.locale
+        );
+        
         const aboutData = {};
         result.rows.forEach(row => {
             // PostgreSQL JSONB auto-parse jadi object
-            aboutData[row.section] = typeof row.content === 'string' 
+            const content = typeof row.content === 'string' 
                 ? JSON.parse(row.content) 
                 : row.content;
+            aboutData[row.section] = { ...content, ...translations.get(row.section) };
         });
         
         res.json({
@@ -85,7 +76,7 @@ router.get('/', async (req, res) => {
 // ============================================
 // UPDATE MULTIPLE SECTIONS (AUTH REQUIRED)
 // ============================================
-router.post('/update-all', verifyToken, async (req, res) => {
+router.post('/update-all', authenticateToken, requireEditor, async (req, res) => {
     const client = await pool.connect();
     
     try {
@@ -147,6 +138,7 @@ router.post('/update-all', verifyToken, async (req, res) => {
         }
         
         const updatedSections = [];
+        const contentBefore = await fetchSectionContents(client, sectionKeys);
         
         // ✅ PROCESS EACH SECTION
         for (const [sectionName, sectionContent] of Object.entries(sections)) {
@@ -211,6 +203,14 @@ router.post('/update-all', verifyToken, async (req, res) => {
                 
                 console.log(`✅ Section "${sectionName}" saved to database`);
                 
+                await saveRevision(client, {
+                    resourceType: 'about_content',
+                    resourceKey: sectionName,
+                    before: contentBefore[sectionName] === undefined ? null : contentBefore[sectionName],
+                    after: sectionContent,
+                    user: req.user
+                });
+                
                 updatedSections.push({
                     section: result.rows[0].section,
                     updated_at: result.rows[0].updated_at
@@ -236,6 +236,13 @@ router.post('/update-all', verifyToken, async (req, res) => {
         // Commit transaction
         await client.query('COMMIT');
         
+        await recordAudit(req, {
+            action: 'bulk_update',
+            resourceType: 'about_content',
+            before: contentBefore,
+            after: sections
+        });
+        
         console.log('='.repeat(60));
         console.log('✅ All sections updated successfully!');
         console.log('Updated sections:', updatedSections.map(s => s.section).join(', '));
@@ -265,7 +272,7 @@ router.post('/update-all', verifyToken, async (req, res) => {
 // ============================================
 // UPDATE SINGLE SECTION (AUTH REQUIRED)
 // ============================================
-router.post('/update', verifyToken, async (req, res) => {
+router.post('/update', authenticateToken, requireEditor, async (req, res) => {
     const client = await pool.connect();
     
     try {
@@ -284,6 +291,7 @@ router.post('/update', verifyToken, async (req, res) => {
         }
         
         const contentJson = typeof content === 'string' ? content : JSON.stringify(content);
+        const contentBefore = await fetchSectionContents(client, [section]);
         
         const result = await client.query(`
             INSERT INTO about_content (section, content, updated_at)
@@ -295,10 +303,26 @@ router.post('/update', verifyToken, async (req, res) => {
             RETURNING *
         `, [section, contentJson]);
         
+        await saveRevision(client, {
+            resourceType: 'about_content',
+            resourceKey: section,
+            before: contentBefore[section] === undefined ? null : contentBefore[section],
+            after: JSON.parse(contentJson),
+            user: req.user
+        });
+        
         await client.query('COMMIT');
         
         console.log(`✅ Section "${section}" updated successfully`);
         
+        await recordAudit(req, {
+            action: contentBefore[section] === undefined ? 'create' : 'update',
+            resourceType: 'about_content',
+            resourceId: section,
+            before: contentBefore[section] === undefined ? null : contentBefore[section],
+            after: JSON.parse(contentJson)
+        });
+        
         res.json({
             status: 'success',
             message: 'About content updated successfully',
@@ -317,6 +341,46 @@ router.post('/update', verifyToken, async (req, res) => {
     }
 });
 
+// ============================================
+// REVISION HISTORY (AUTH REQUIRED)
+// GET  /:section/revisions
+// GET  /:section/revisions/diff?from=1&to=2
+// GET  /:section/revisions/:revision
+// POST /:section/revisions/:revision/restore (editor)
+// ============================================
+registerRevisionRoutes(router, {
+    resourceType: 'about_content',
+    keyParam: 'section',
+    label: 'about section',
+    restore: async (client, section, content) => {
+        const result = await client.query(`
+            INSERT INTO about_content (section, content, updated_at)
+            VALUES ($1, $2::jsonb, CURRENT_TIMESTAMP)
+            ON CONFLICT (section) 
+            DO UPDATE SET 
+                content = EXCLUDED.content,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING content
+        `, [section, JSON.stringify(content)]);
+        
+        return result.rows[0].content;
+    }
+});
+
+// ============================================
+// TRANSLATIONS PER SECTION (AUTH REQUIRED)
+// Field = key di content section, value boleh string / array / object
+// ============================================
+registerTranslationRoutes(router, {
+    resourceType: 'about_content',
+    keyParam: 'section',
+    label: 'section',
+    load: async (db, section) => {
+        const contents = await fetchSectionContents(db, [section]);
+        return contents[section] || null;
+    }
+});
+
 // ============================================
 // GET SPECIFIC SECTION (PUBLIC)
 // ⚠️ Taruh TERAKHIR karena /:section akan match semua path
@@ -342,12 +406,13 @@ router.get('/:section', async (req, res) => {
         const content = typeof result.rows[0].content === 'string'
             ? JSON.parse(result.rows[0].content)
             : result.rows[0].content;
+        const translations = await fetchTranslations(pool, 'about_content', [section], req.locale);
         
         console.log(`✅ Section "${section}" found`);
         
         res.json({
             status: 'success',
-            data: content
+            data: { ...content, ...translations.get(section) }
         });
     } catch (error) {
         console.error('❌ Error fetching section:', error);
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  activateUser,
+  deactivateUser,
+  unlockUser,
+  deleteUser
+} = require('../controllers/adminUserController');
+const { authenticateToken, requireOwner } = require('../middleware/auth');
+
+// Semua endpoint manajemen admin hanya untuk owner
+router.use(authenticateToken, requireOwner);
+
+// GET /api/admin-users - List admin accounts
+router.get('/', listUsers);
+
+// POST /api/admin-users - Create admin account
+router.post('/', createUser);
+
+// GET /api/admin-users/:id - Get admin account
+router.get('/:id', getUser);
+
+// PUT /api/admin-users/:id - Update admin account
+router.put('/:id', updateUser);
+
+// POST /api/admin-users/:id/activate - Re-activate admin account
+router.post('/:id/activate', activateUser);
+
+// POST /api/admin-users/:id/deactivate - Deactivate admin account
+router.post('/:id/deactivate', deactivateUser);
+
+// POST /api/admin-users/:id/unlock - Clear login lockout
+router.post('/:id/unlock', unlockUser);
+
+// DELETE /api/admin-users/:id - Delete admin account
+router.delete('/:id', deleteUser);
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireOwner } = require('../middleware/auth');
+const { query } = require('../config/db');
+
+// Hanya tanggal ISO (2025-01-31) atau timestamp ISO; new Date() sendiri menerima "1" atau "Tue"
+// yang kemudian ditolak Postgres dengan 500
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function isValidDate(value) {
+    const match = typeof value === 'string' && value.match(ISO_DATE_RE);
+    if (!match || isNaN(new Date(value).getTime())) return false;
+
+    // Tolak tanggal yang digeser Date, mis. 2025-02-30 -> 2 Maret
+    const [, year, month, day] = match.map(Number);
+    const calendar = new Date(Date.UTC(year, month - 1, day));
+    return calendar.getUTCMonth() === month - 1 && calendar.getUTCDate() === day;
+}
+
+// GET - List audit log entries with filters (owner only)
+// Query: user_id, resource_type, resource_id, action, from, to, page, limit
+router.get('/', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const { user_id, resource_type, resource_id, action, from, to } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const offset = (page - 1) * limit;
+
+        if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'from and to must be valid dates (e.g. 2025-01-31 or ISO timestamp)'
+            });
+        }
+
+        if (user_id && !/^\d+$/.test(user_id)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'user_id must be a numeric admin id'
+            });
+        }
+
+        const conditions = [];
+        const values = [];
+
+        if (user_id) {
+            values.push(parseInt(user_id));
+            conditions.push(`admin_id = $${values.length}`);
+        }
+        if (resource_type) {
+            values.push(resource_type);
+            conditions.push(`resource_type = $${values.length}`);
+        }
+        if (resource_id) {
+            values.push(String(resource_id));
+            conditions.push(`resource_id = $${values.length}`);
+        }
+        if (action) {
+            values.push(action);
+            conditions.push(`action = $${values.length}`);
+        }
+        if (from) {
+            values.push(from);
+            conditions.push(`created_at >= $${values.length}::timestamp`);
+        }
+        if (to) {
+            // Tanggal tanpa jam dianggap sampai akhir hari
+            values.push(to);
+            conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(to)
+                ? `created_at < $${values.length}::date + INTERVAL '1 day'`
+                : `created_at <= $${values.length}::timestamp`);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const countResult = await query(
+            `SELECT COUNT(*)::int AS total FROM audit_logs ${whereClause}`,
+            values
+        );
+
+        const result = await query(
+            `SELECT id, admin_id, admin_username, action, resource_type, resource_id,
+                    changes, before_data, after_data, ip, user_agent, created_at
+             FROM audit_logs
+             ${whereClause}
+             ORDER BY created_at DESC, id DESC
+             LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+
+        const total = countResult.rows[0].total;
+
+        res.json({
+            status: 'success',
+            data: result.rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                total_pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching audit logs:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch audit logs',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
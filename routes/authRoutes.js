@@ -1,12 +1,65 @@
 const express = require('express');
 const router = express.Router();
-const { login, getCurrentUser } = require('../controllers/authController');
+const {
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  getCurrentUser,
+  changePassword,
+  forgotPassword,
+  resetPassword
+} = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyLogin
+} = require('../controllers/twoFactorController');
 const { authenticateToken } = require('../middleware/auth');
 
 // POST /api/auth/login - Login admin
 router.post('/login', login);
 
+// POST /api/auth/2fa/verify - Second login step with TOTP or recovery code
+router.post('/2fa/verify', verifyLogin);
+
+// POST /api/auth/refresh - Exchange refresh token for new token pair
+router.post('/refresh', refresh);
+
+// POST /api/auth/logout - Revoke current session
+router.post('/logout', logout);
+
+// POST /api/auth/logout-all - Revoke every session of current user (protected)
+router.post('/logout-all', authenticateToken, logoutAll);
+
 // GET /api/auth/me - Get current user info (protected)
 router.get('/me', authenticateToken, getCurrentUser);
 
+// POST /api/auth/change-password - Change own password (protected)
+router.post('/change-password', authenticateToken, changePassword);
+
+// POST /api/auth/forgot-password - Request password reset email
+router.post('/forgot-password', forgotPassword);
+
+// POST /api/auth/reset-password - Reset password with emailed token
+router.post('/reset-password', resetPassword);
+
+// GET /api/auth/2fa - Two-factor status (protected)
+router.get('/2fa', authenticateToken, getTwoFactorStatus);
+
+// POST /api/auth/2fa/setup - Generate TOTP secret & otpauth URI (protected)
+router.post('/2fa/setup', authenticateToken, setupTwoFactor);
+
+// POST /api/auth/2fa/enable - Confirm first code & get recovery codes (protected)
+router.post('/2fa/enable', authenticateToken, enableTwoFactor);
+
+// POST /api/auth/2fa/disable - Disable 2FA with password confirmation (protected)
+router.post('/2fa/disable', authenticateToken, disableTwoFactor);
+
+// POST /api/auth/2fa/recovery-codes - Regenerate recovery codes (protected)
+router.post('/2fa/recovery-codes', authenticateToken, regenerateRecoveryCodes);
+
 module.exports = router;
\ No newline at end of file
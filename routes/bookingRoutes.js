@@ -0,0 +1,739 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/db');
+const { authenticateToken, requireOwner, requireEditor } = require('../middleware/auth');
+
+const WORKSHOP_TIMEZONE = process.env.WORKSHOP_TIMEZONE || 'Asia/Jakarta';
+const BOOKING_STATUSES = ['pending', 'confirmed', 'cancelled'];
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+const SETTINGS_FIELDS = ['open_time', 'close_time', 'slot_duration_minutes', 'bay_capacity', 'working_days', 'max_advance_days'];
+
+// Kolom booking dengan tanggal/jam sebagai string supaya tidak bergeser timezone
+const BOOKING_COLUMNS = `
+    b.id, b.service_id, s.title AS service_title,
+    b.customer_name, b.customer_phone, b.customer_email,
+    b.vehicle_info, b.notes,
+    to_char(b.booking_date, 'YYYY-MM-DD') AS booking_date,
+    to_char(b.start_time, 'HH24:MI') AS start_time,
+    to_char(b.end_time, 'HH24:MI') AS end_time,
+    b.bay_number, b.status, b.cancel_reason,
+    b.confirmed_at, b.cancelled_at, b.created_at, b.updated_at
+`;
+
+// ============================================
+// HELPERS: Date & slot calculation
+// ============================================
+function isValidDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function timeToMinutes(value) {
+    const [hours, minutes] = String(value).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function minutesToTime(totalMinutes) {
+    const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+    const minutes = String(totalMinutes % 60).padStart(2, '0');
+    return `${hours}:${minutes}`;
+}
+
+function normalizeTime(value) {
+    if (typeof value !== 'string' || !/^\d{1,2}:\d{2}(:\d{2})?$/.test(value)) {
+        return null;
+    }
+    const minutes = timeToMinutes(value);
+    return minutes < 24 * 60 ? minutesToTime(minutes) : null;
+}
+
+// Tanggal & menit "sekarang" menurut jam bengkel, bukan jam server
+function getWorkshopNow() {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+        timeZone: WORKSHOP_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(new Date());
+
+    const get = (type) => parts.find(p => p.type === type).value;
+
+    return {
+        date: `${get('year')}-${get('month')}-${get('day')}`,
+        minutes: Number(get('hour')) * 60 + Number(get('minute'))
+    };
+}
+
+function daysBetween(fromDate, toDate) {
+    const from = new Date(`${fromDate}T00:00:00Z`);
+    const to = new Date(`${toDate}T00:00:00Z`);
+    return Math.round((to - from) / (24 * 60 * 60 * 1000));
+}
+
+async function getSettings(db) {
+    const result = await db.query(`
+        SELECT to_char(open_time, 'HH24:MI') AS open_time,
+               to_char(close_time, 'HH24:MI') AS close_time,
+               slot_duration_minutes, bay_capacity, working_days, max_advance_days
+        FROM booking_settings
+        WHERE id = 1
+    `);
+
+    return result.rows[0] || {
+        open_time: '08:00',
+        close_time: '17:00',
+        slot_duration_minutes: 60,
+        bay_capacity: 2,
+        working_days: [1, 2, 3, 4, 5, 6],
+        max_advance_days: 60
+    };
+}
+
+// Semua slot yang bisa dibooking pada tanggal tertentu (tanpa cek kapasitas)
+function buildDaySlots(settings, date) {
+    const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (!settings.working_days.includes(dayOfWeek)) {
+        return [];
+    }
+
+    const now = getWorkshopNow();
+    const open = timeToMinutes(settings.open_time);
+    const close = timeToMinutes(settings.close_time);
+    const duration = settings.slot_duration_minutes;
+    const slots = [];
+
+    for (let start = open; start + duration <= close; start += duration) {
+        if (date === now.date && start <= now.minutes) {
+            continue;
+        }
+        slots.push({
+            start_time: minutesToTime(start),
+            end_time: minutesToTime(start + duration)
+        });
+    }
+
+    return slots;
+}
+
+// Jam selesai booking mengikuti durasi slot saat booking dibuat / dipindah
+function slotEndTime(settings, startTime) {
+    return minutesToTime(timeToMinutes(startTime) + settings.slot_duration_minutes);
+}
+
+// "HH:MM" bisa dibandingkan sebagai string
+function overlaps(a, b) {
+    return a.start_time < b.end_time && a.end_time > b.start_time;
+}
+
+// Validasi tanggal & jam terhadap jam kerja, return pesan error atau null
+function validateSlot(settings, date, startTime) {
+    if (!isValidDate(date)) {
+        return 'booking_date must be a valid date (YYYY-MM-DD)';
+    }
+    if (!startTime) {
+        return 'start_time must be a valid time (HH:MM)';
+    }
+
+    const now = getWorkshopNow();
+    const daysAhead = daysBetween(now.date, date);
+
+    if (daysAhead < 0) {
+        return 'Cannot book a date in the past';
+    }
+    if (daysAhead > settings.max_advance_days) {
+        return `Bookings can only be made up to ${settings.max_advance_days} days in advance`;
+    }
+
+    const slot = buildDaySlots(settings, date).find(s => s.start_time === startTime);
+    if (!slot) {
+        return `Slot ${date} ${startTime} is not available for booking`;
+    }
+
+    return null;
+}
+
+// Kunci tanggal selama transaksi lalu ambil bay pertama yang kosong sepanjang
+// rentang start_time - end_time. Booking lama bisa punya durasi slot berbeda,
+// jadi yang dicek tumpang tindih jam, bukan start_time yang sama persis.
+// Advisory lock membuat request bersamaan di tanggal yang sama antri,
+// exclusion constraint bookings_bay_no_overlap tetap jadi pengaman terakhir.
+async function claimBay(client, settings, date, startTime, excludeBookingId = null) {
+    await client.query(
+        'SELECT pg_advisory_xact_lock(hashtext($1))',
+        [`booking-day:${date}`]
+    );
+
+    const takenResult = await client.query(`
+        SELECT DISTINCT bay_number FROM bookings
+        WHERE booking_date = $1
+          AND start_time < $3::time AND end_time > $2::time
+          AND status = ANY($4::text[])
+          AND ($5::int IS NULL OR id <> $5)
+    `, [date, startTime, slotEndTime(settings, startTime), ACTIVE_STATUSES, excludeBookingId]);
+
+    const takenBays = takenResult.rows.map(r => r.bay_number);
+
+    for (let bay = 1; bay <= settings.bay_capacity; bay++) {
+        if (!takenBays.includes(bay)) {
+            return bay;
+        }
+    }
+
+    return null;
+}
+
+async function fetchBooking(db, id) {
+    const result = await db.query(`
+        SELECT ${BOOKING_COLUMNS}
+        FROM bookings b
+        LEFT JOIN services s ON s.id = b.service_id
+        WHERE b.id = $1
+    `, [id]);
+
+    return result.rows[0] || null;
+}
+
+// 23505 = unique idx_bookings_active_slot, 23P01 = exclusion bookings_bay_no_overlap
+function isSlotConflict(error) {
+    return error.code === '23505' || error.code === '23P01';
+}
+
+function slotTakenResponse(res) {
+    return res.status(409).json({
+        status: 'error',
+        message: 'Selected slot is fully booked, please choose another time'
+    });
+}
+
+// ============================================
+// GET SLOT AVAILABILITY (PUBLIC)
+// ============================================
+router.get('/availability', async (req, res) => {
+    try {
+        const { date } = req.query;
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Query parameter "date" must be a valid date (YYYY-MM-DD)'
+            });
+        }
+
+        const settings = await getSettings(pool);
+        const daysAhead = daysBetween(getWorkshopNow().date, date);
+        const slots = daysAhead < 0 || daysAhead > settings.max_advance_days
+            ? []
+            : buildDaySlots(settings, date);
+
+        const bookedResult = await pool.query(`
+            SELECT to_char(start_time, 'HH24:MI') AS start_time,
+                   to_char(end_time, 'HH24:MI') AS end_time,
+                   bay_number
+            FROM bookings
+            WHERE booking_date = $1 AND status = ANY($2::text[])
+        `, [date, ACTIVE_STATUSES]);
+
+        // Jumlah bay terpakai di slot ini, termasuk booking lebih panjang yang mulai lebih awal
+        const countBookedBays = (slot) => new Set(
+            bookedResult.rows.filter(row => overlaps(row, slot)).map(row => row.bay_number)
+        ).size;
+
+        res.json({
+            status: 'success',
+            data: {
+                date,
+                slot_duration_minutes: settings.slot_duration_minutes,
+                slots: slots.map(slot => {
+                    const booked = countBookedBays(slot);
+                    return {
+                        ...slot,
+                        capacity: settings.bay_capacity,
+                        booked,
+                        available: Math.max(settings.bay_capacity - booked, 0)
+                    };
+                })
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching availability:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch availability',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// CREATE BOOKING (PUBLIC)
+// ============================================
+router.post('/', async (req, res) => {
+    const {
+        service_id,
+        customer_name,
+        customer_phone,
+        customer_email,
+        vehicle_info,
+        notes,
+        booking_date,
+        start_time
+    } = req.body || {};
+    const serviceId = parseInt(service_id);
+    const startTime = normalizeTime(start_time);
+
+    if (isNaN(serviceId) || !customer_name || !customer_phone || !booking_date || !start_time) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'service_id, customer_name, customer_phone, booking_date and start_time are required'
+        });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const serviceResult = await client.query(
+            'SELECT id FROM services WHERE id = $1 AND is_active = true',
+            [serviceId]
+        );
+
+        if (serviceResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                status: 'error',
+                message: 'Service not found'
+            });
+        }
+
+        const settings = await getSettings(client);
+        const slotError = validateSlot(settings, booking_date, startTime);
+
+        if (slotError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                status: 'error',
+                message: slotError
+            });
+        }
+
+        const bayNumber = await claimBay(client, settings, booking_date, startTime);
+
+        if (!bayNumber) {
+            await client.query('ROLLBACK');
+            return slotTakenResponse(res);
+        }
+
+        const insertResult = await client.query(`
+            INSERT INTO bookings
+            (service_id, customer_name, customer_phone, customer_email, vehicle_info, notes,
+             booking_date, start_time, end_time, bay_number)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING id
+        `, [
+            serviceId, customer_name, customer_phone, customer_email || null,
+            vehicle_info || null, notes || null, booking_date, startTime, slotEndTime(settings, startTime), bayNumber
+        ]);
+
+        await client.query('COMMIT');
+
+        const booking = await fetchBooking(pool, insertResult.rows[0].id);
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Booking created successfully',
+            data: booking
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+
+        if (isSlotConflict(error)) {
+            return slotTakenResponse(res);
+        }
+
+        console.error('Error creating booking:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to create booking',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// ============================================
+// GET BOOKING SETTINGS (AUTH REQUIRED)
+// ============================================
+router.get('/settings', authenticateToken, async (req, res) => {
+    try {
+        const settings = await getSettings(pool);
+
+        res.json({
+            status: 'success',
+            data: settings
+        });
+    } catch (error) {
+        console.error('Error fetching booking settings:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch booking settings',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// UPDATE BOOKING SETTINGS (OWNER ONLY)
+// ============================================
+router.post('/settings/update', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const body = req.body || {};
+
+        if (!SETTINGS_FIELDS.some(field => body[field] !== undefined)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Provide at least one of: ${SETTINGS_FIELDS.join(', ')}`
+            });
+        }
+
+        const current = await getSettings(pool);
+        const openTime = body.open_time !== undefined ? normalizeTime(body.open_time) : current.open_time;
+        const closeTime = body.close_time !== undefined ? normalizeTime(body.close_time) : current.close_time;
+        const slotDuration = body.slot_duration_minutes !== undefined
+            ? parseInt(body.slot_duration_minutes)
+            : current.slot_duration_minutes;
+        const bayCapacity = body.bay_capacity !== undefined
+            ? parseInt(body.bay_capacity)
+            : current.bay_capacity;
+        const maxAdvanceDays = body.max_advance_days !== undefined
+            ? parseInt(body.max_advance_days)
+            : current.max_advance_days;
+        const workingDays = body.working_days !== undefined
+            ? body.working_days
+            : current.working_days;
+
+        if (!openTime || !closeTime || timeToMinutes(openTime) >= timeToMinutes(closeTime)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'open_time and close_time must be valid times (HH:MM) and open_time must be before close_time'
+            });
+        }
+
+        if (!(slotDuration >= 15) || !(bayCapacity >= 1) || !(maxAdvanceDays >= 0)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'slot_duration_minutes must be at least 15, bay_capacity at least 1 and max_advance_days not negative'
+            });
+        }
+
+        if (!Array.isArray(workingDays) || workingDays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'working_days must be an array of day numbers (0 = Sunday ... 6 = Saturday)'
+            });
+        }
+
+        await pool.query(`
+            INSERT INTO booking_settings
+            (id, open_time, close_time, slot_duration_minutes, bay_capacity, working_days, max_advance_days, updated_at)
+            VALUES (1, $1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+            ON CONFLICT (id)
+            DO UPDATE SET
+                open_time = EXCLUDED.open_time,
+                close_time = EXCLUDED.close_time,
+                slot_duration_minutes = EXCLUDED.slot_duration_minutes,
+                bay_capacity = EXCLUDED.bay_capacity,
+                working_days = EXCLUDED.working_days,
+                max_advance_days = EXCLUDED.max_advance_days,
+                updated_at = CURRENT_TIMESTAMP
+        `, [openTime, closeTime, slotDuration, bayCapacity, workingDays, maxAdvanceDays]);
+
+        res.json({
+            status: 'success',
+            message: 'Booking settings updated successfully',
+            data: await getSettings(pool)
+        });
+    } catch (error) {
+        console.error('Error updating booking settings:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update booking settings',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// LIST BOOKINGS (AUTH REQUIRED)
+// Query: ?status=pending&date=YYYY-MM-DD atau ?from=YYYY-MM-DD&to=YYYY-MM-DD
+// ============================================
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { status, date, from, to } = req.query;
+        const conditions = [];
+        const values = [];
+
+        const invalidDate = Object.entries({ date, from, to })
+            .find(([, value]) => value && !isValidDate(value));
+
+        if (invalidDate) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Query parameter "${invalidDate[0]}" must be a valid date (YYYY-MM-DD)`
+            });
+        }
+
+        if (status && !BOOKING_STATUSES.includes(status)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Query parameter "status" must be one of: ${BOOKING_STATUSES.join(', ')}`
+            });
+        }
+
+        if (status) {
+            values.push(status);
+            conditions.push(`b.status = $${values.length}`);
+        }
+        if (date) {
+            values.push(date);
+            conditions.push(`b.booking_date = $${values.length}`);
+        }
+        if (from) {
+            values.push(from);
+            conditions.push(`b.booking_date >= $${values.length}`);
+        }
+        if (to) {
+            values.push(to);
+            conditions.push(`b.booking_date <= $${values.length}`);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const result = await pool.query(`
+            SELECT ${BOOKING_COLUMNS}
+            FROM bookings b
+            LEFT JOIN services s ON s.id = b.service_id
+            ${whereClause}
+            ORDER BY b.booking_date ASC, b.start_time ASC, b.bay_number ASC
+        `, values);
+
+        res.json({
+            status: 'success',
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('Error fetching bookings:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch bookings',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// GET SINGLE BOOKING (AUTH REQUIRED)
+// ============================================
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const booking = await fetchBooking(pool, parseInt(req.params.id) || 0);
+
+        if (!booking) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Booking not found'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: booking
+        });
+    } catch (error) {
+        console.error('Error fetching booking:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch booking',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// CONFIRM BOOKING (AUTH REQUIRED)
+// ============================================
+router.post('/:id/confirm', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const bookingId = parseInt(req.params.id) || 0;
+
+        const result = await pool.query(`
+            UPDATE bookings
+            SET status = 'confirmed', confirmed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'pending'
+            RETURNING id
+        `, [bookingId]);
+
+        if (result.rows.length === 0) {
+            const existing = await fetchBooking(pool, bookingId);
+            return res.status(existing ? 409 : 404).json({
+                status: 'error',
+                message: existing
+                    ? `Only pending bookings can be confirmed (current status: ${existing.status})`
+                    : 'Booking not found'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Booking confirmed successfully',
+            data: await fetchBooking(pool, bookingId)
+        });
+    } catch (error) {
+        console.error('Error confirming booking:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to confirm booking',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// RESCHEDULE BOOKING (AUTH REQUIRED)
+// ============================================
+router.post('/:id/reschedule', authenticateToken, requireEditor, async (req, res) => {
+    const bookingId = parseInt(req.params.id) || 0;
+    const { booking_date, start_time } = req.body || {};
+    const startTime = normalizeTime(start_time);
+
+    if (!booking_date || !start_time) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'booking_date and start_time are required'
+        });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query(
+            'SELECT id, status FROM bookings WHERE id = $1 FOR UPDATE',
+            [bookingId]
+        );
+
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                status: 'error',
+                message: 'Booking not found'
+            });
+        }
+
+        if (!ACTIVE_STATUSES.includes(existing.rows[0].status)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                status: 'error',
+                message: `Cannot reschedule a ${existing.rows[0].status} booking`
+            });
+        }
+
+        const settings = await getSettings(client);
+        const slotError = validateSlot(settings, booking_date, startTime);
+
+        if (slotError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                status: 'error',
+                message: slotError
+            });
+        }
+
+        const bayNumber = await claimBay(client, settings, booking_date, startTime, bookingId);
+
+        if (!bayNumber) {
+            await client.query('ROLLBACK');
+            return slotTakenResponse(res);
+        }
+
+        await client.query(`
+            UPDATE bookings
+            SET booking_date = $1, start_time = $2, end_time = $3, bay_number = $4, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $5
+        `, [booking_date, startTime, slotEndTime(settings, startTime), bayNumber, bookingId]);
+
+        await client.query('COMMIT');
+
+        res.json({
+            status: 'success',
+            message: 'Booking rescheduled successfully',
+            data: await fetchBooking(pool, bookingId)
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+
+        if (isSlotConflict(error)) {
+            return slotTakenResponse(res);
+        }
+
+        console.error('Error rescheduling booking:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to reschedule booking',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// ============================================
+// CANCEL BOOKING (AUTH REQUIRED)
+// ============================================
+router.post('/:id/cancel', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const bookingId = parseInt(req.params.id) || 0;
+        const { reason } = req.body || {};
+
+        const result = await pool.query(`
+            UPDATE bookings
+            SET status = 'cancelled', cancel_reason = $2,
+                cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = ANY($3::text[])
+            RETURNING id
+        `, [bookingId, reason || null, ACTIVE_STATUSES]);
+
+        if (result.rows.length === 0) {
+            const existing = await fetchBooking(pool, bookingId);
+            return res.status(existing ? 409 : 404).json({
+                status: 'error',
+                message: existing
+                    ? `Booking is already ${existing.status}`
+                    : 'Booking not found'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Booking cancelled successfully',
+            data: await fetchBooking(pool, bookingId)
+        });
+    } catch (error) {
+        console.error('Error cancelling booking:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to cancel booking',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth'); // ✅ DIPERBAIKI
-const { query } = require('../config/db');
+const { authenticateToken, requireOwner, requireEditor } = require('../middleware/auth'); // ✅ DIPERBAIKI
+const { query, pool } = require('../config/db');
+const { recordAudit } = require('../utils/audit');
+const { fetchTranslations, registerTranslationRoutes } = require('../utils/i18n');
 
 // GET - Get contact information
 router.get('/', async (req, res) => {
@@ -17,12 +19,16 @@ router.get('/', async (req, res) => {
             });
         }
 
+        // Contact info hanya satu baris, terjemahannya disimpan dengan key 'default'
+        const translations = await fetchTranslations(pool, 'contact_info', ['default'], req.locale);
+        const info = { ...result.rows[0], ...translations.get('default') };
+
         // Map database fields to frontend expected format
         const contactData = {
-            address: result.rows[0].address,
+            address: info.address,
             phone: result.rows[0].phone,
             email: result.rows[0].email,
-            hours: result.rows[0].working_hours,
+            hours: info.working_hours,
             mapsLink: result.rows[0].maps_link,
             whatsapp: result.rows[0].whatsapp_link?.replace('https://wa.me/', '') || result.rows[0].phone.replace(/\D/g, '')
         };
@@ -40,8 +46,8 @@ router.get('/', async (req, res) => {
     }
 });
 
-// POST - Update contact information (with authentication)
-router.post('/update', authenticateToken, async (req, res) => { // ✅ DIPERBAIKI
+// POST - Update contact information (owner only)
+router.post('/update', authenticateToken, requireOwner, async (req, res) => { // ✅ DIPERBAIKI
     try {
         const { address, phone, email, hours, mapsLink, whatsapp } = req.body;
 
@@ -59,7 +65,7 @@ router.post('/update', authenticateToken, async (req, res) => { // ✅ DIPERBAIK
             : `https://wa.me/${whatsapp.replace(/\D/g, '')}`;
 
         // Check if contact info exists
-        const checkResult = await query('SELECT id FROM contact_info LIMIT 1');
+        const checkResult = await query('SELECT * FROM contact_info LIMIT 1');
 
         if (checkResult.rows.length === 0) {
             // Insert new contact info
@@ -84,6 +90,14 @@ router.post('/update', authenticateToken, async (req, res) => { // ✅ DIPERBAIK
             'SELECT * FROM contact_info ORDER BY id DESC LIMIT 1'
         );
 
+        await recordAudit(req, {
+            action: checkResult.rows.length === 0 ? 'create' : 'update',
+            resourceType: 'contact_info',
+            resourceId: result.rows[0].id,
+            before: checkResult.rows[0] || null,
+            after: result.rows[0]
+        });
+
         res.json({
             status: 'success',
             message: 'Contact information updated successfully',
@@ -107,4 +121,318 @@ router.post('/update', authenticateToken, async (req, res) => { // ✅ DIPERBAIK
     }
 });
 
+// Terjemahan alamat & jam kerja (with authentication)
+registerTranslationRoutes(router, {
+    resourceType: 'contact_info',
+    keyParam: null,
+    label: 'contact information',
+    load: async (db) => {
+        const result = await db.query(
+            'SELECT address, working_hours FROM contact_info ORDER BY id DESC LIMIT 1'
+        );
+        return result.rows[0] || null;
+    }
+});
+
+// ============================================
+// CONTACT FORM MESSAGES (INBOX)
+// ============================================
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+async function fetchMessage(id) {
+    const messageResult = await query(
+        'SELECT * FROM contact_messages WHERE id = $1',
+        [id]
+    );
+
+    if (messageResult.rows.length === 0) {
+        return null;
+    }
+
+    const notesResult = await query(`
+        SELECT n.id, n.note, n.created_at, n.admin_id, a.username AS admin_username
+        FROM contact_message_notes n
+        LEFT JOIN admin_users a ON a.id = n.admin_id
+        WHERE n.message_id = $1
+        ORDER BY n.created_at ASC
+    `, [id]);
+
+    return {
+        ...messageResult.rows[0],
+        notes: notesResult.rows
+    };
+}
+
+function messageNotFound(res) {
+    return res.status(404).json({
+        status: 'error',
+        message: 'Message not found'
+    });
+}
+
+// POST - Send a message from the contact form (public)
+router.post('/messages', async (req, res) => {
+    try {
+        const { name, email, phone, subject, message, source_page } = req.body || {};
+
+        if (!name || !message) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Name and message are required'
+            });
+        }
+
+        if (!email && !phone) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Please provide an email or phone number so we can reply'
+            });
+        }
+
+        if (email && !EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Email address is not valid'
+            });
+        }
+
+        const result = await query(
+            `INSERT INTO contact_messages (name, email, phone, subject, message, source_page)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING id, created_at`,
+            [name, email || null, phone || null, subject || null, message, source_page || req.get('referer') || null]
+        );
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Message sent successfully',
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error saving contact message:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to send message'
+        });
+    }
+});
+
+// GET - List inbox messages with pagination (with authentication)
+router.get('/messages', authenticateToken, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const offset = (page - 1) * limit;
+        const archived = req.query.archived === 'true';
+
+        const conditions = ['is_archived = $1'];
+        const values = [archived];
+
+        if (req.query.status === 'read' || req.query.status === 'unread') {
+            values.push(req.query.status === 'read');
+            conditions.push(`is_read = $${values.length}`);
+        }
+
+        const whereClause = conditions.join(' AND ');
+
+        const countResult = await query(
+            `SELECT COUNT(*)::int AS total,
+                    COUNT(*) FILTER (WHERE is_read = false)::int AS unread
+             FROM contact_messages WHERE ${whereClause}`,
+            values
+        );
+
+        const result = await query(
+            `SELECT * FROM contact_messages
+             WHERE ${whereClause}
+             ORDER BY created_at DESC
+             LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+
+        const { total, unread } = countResult.rows[0];
+
+        res.json({
+            status: 'success',
+            data: result.rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                unread,
+                total_pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching contact messages:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch messages'
+        });
+    }
+});
+
+// GET - Single message with reply notes (with authentication)
+router.get('/messages/:id', authenticateToken, async (req, res) => {
+    try {
+        const message = await fetchMessage(parseInt(req.params.id) || 0);
+
+        if (!message) {
+            return messageNotFound(res);
+        }
+
+        res.json({
+            status: 'success',
+            data: message
+        });
+    } catch (error) {
+        console.error('Error fetching contact message:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch message'
+        });
+    }
+});
+
+// POST - Mark message as read / unread (with authentication)
+router.post('/messages/:id/read', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const messageId = parseInt(req.params.id) || 0;
+        const body = req.body || {};
+        const isRead = body.is_read !== false && body.is_read !== 'false';
+
+        const result = await query(
+            `UPDATE contact_messages
+             SET is_read = $1, read_at = CASE WHEN $1 THEN CURRENT_TIMESTAMP ELSE NULL END
+             WHERE id = $2
+             RETURNING *`,
+            [isRead, messageId]
+        );
+
+        if (result.rows.length === 0) {
+            return messageNotFound(res);
+        }
+
+        res.json({
+            status: 'success',
+            message: isRead ? 'Message marked as read' : 'Message marked as unread',
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error updating message read status:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update message'
+        });
+    }
+});
+
+// POST - Archive / unarchive message (with authentication)
+router.post('/messages/:id/archive', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const messageId = parseInt(req.params.id) || 0;
+        const body = req.body || {};
+        const isArchived = body.is_archived !== false && body.is_archived !== 'false';
+
+        const result = await query(
+            `UPDATE contact_messages
+             SET is_archived = $1, archived_at = CASE WHEN $1 THEN CURRENT_TIMESTAMP ELSE NULL END
+             WHERE id = $2
+             RETURNING *`,
+            [isArchived, messageId]
+        );
+
+        if (result.rows.length === 0) {
+            return messageNotFound(res);
+        }
+
+        res.json({
+            status: 'success',
+            message: isArchived ? 'Message archived' : 'Message moved back to inbox',
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error archiving message:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to archive message'
+        });
+    }
+});
+
+// POST - Add a reply note to a message (with authentication)
+router.post('/messages/:id/notes', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const messageId = parseInt(req.params.id) || 0;
+        const { note } = req.body || {};
+
+        if (!note || !String(note).trim()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Note is required'
+            });
+        }
+
+        const checkResult = await query(
+            'SELECT id FROM contact_messages WHERE id = $1',
+            [messageId]
+        );
+
+        if (checkResult.rows.length === 0) {
+            return messageNotFound(res);
+        }
+
+        await query(
+            `INSERT INTO contact_message_notes (message_id, admin_id, note)
+             VALUES ($1, $2, $3)`,
+            [messageId, req.user.id, String(note).trim()]
+        );
+
+        // Pesan yang sudah dibalas otomatis dianggap sudah dibaca
+        await query(
+            `UPDATE contact_messages
+             SET is_read = true, read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+             WHERE id = $1`,
+            [messageId]
+        );
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Note added successfully',
+            data: await fetchMessage(messageId)
+        });
+    } catch (error) {
+        console.error('Error adding message note:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to add note'
+        });
+    }
+});
+
+// DELETE - Delete message permanently (with authentication)
+router.delete('/messages/:id', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const result = await query(
+            'DELETE FROM contact_messages WHERE id = $1 RETURNING id',
+            [parseInt(req.params.id) || 0]
+        );
+
+        if (result.rows.length === 0) {
+            return messageNotFound(res);
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Message deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting message:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to delete message'
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
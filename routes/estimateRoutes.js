@@ -0,0 +1,300 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/db');
+const { authenticateToken, requireEditor } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { VEHICLE_CLASSES, PAINT_FINISHES, calculateEstimate } = require('../utils/pricing');
+
+const MAX_PANELS = 20;
+const PANEL_CODE_PATTERN = /^[a-z0-9_]{1,40}$/;
+
+// ============================================
+// HELPER: Parse panel list (array, JSON string atau "hood, roof")
+// ============================================
+function parsePanels(value) {
+    if (!value) return [];
+
+    let panels = value;
+    if (typeof value === 'string') {
+        try {
+            panels = JSON.parse(value);
+        } catch (e) {
+            panels = value.split(',');
+        }
+    }
+
+    if (!Array.isArray(panels)) {
+        panels = [panels];
+    }
+
+    return [...new Set(
+        panels
+            .map(panel => String(panel).trim().toLowerCase())
+            .filter(panel => panel.length > 0)
+    )];
+}
+
+// ============================================
+// ESTIMATE OPTIONS (PUBLIC)
+// Isi dropdown form estimasi: kelas kendaraan, jenis cat, daftar panel
+// ============================================
+router.get('/options', async (req, res) => {
+    try {
+        const panelsResult = await pool.query(
+            `SELECT code, name, size_factor FROM price_panels
+             WHERE is_active = true
+             ORDER BY display_order ASC, name ASC`
+        );
+
+        res.json({
+            status: 'success',
+            data: {
+                vehicle_classes: VEHICLE_CLASSES,
+                paint_finishes: PAINT_FINISHES,
+                panels: panelsResult.rows.map(panel => ({ ...panel, size_factor: Number(panel.size_factor) })),
+                max_panels: MAX_PANELS
+            }
+        });
+    } catch (error) {
+        console.error('❌ Get estimate options error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch estimate options',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// INSTANT ESTIMATE (PUBLIC)
+// Body: { service_id | service (slug), vehicle_class, paint_finish, panels: ['hood', 'front_bumper'] }
+// ============================================
+router.post('/', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { vehicle_class: vehicleClass, paint_finish: paintFinish } = body;
+        const panelCodes = parsePanels(body.panels);
+        const serviceId = parseInt(body.service_id);
+        const serviceSlug = body.service ? String(body.service).trim().toLowerCase() : null;
+
+        if (isNaN(serviceId) && !serviceSlug) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'service_id or service (slug) is required'
+            });
+        }
+
+        if (!VEHICLE_CLASSES.includes(vehicleClass)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `vehicle_class must be one of: ${VEHICLE_CLASSES.join(', ')}`
+            });
+        }
+
+        if (!PAINT_FINISHES.includes(paintFinish)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `paint_finish must be one of: ${PAINT_FINISHES.join(', ')}`
+            });
+        }
+
+        if (panelCodes.length === 0 || panelCodes.length > MAX_PANELS) {
+            return res.status(400).json({
+                status: 'error',
+                message: `panels must contain between 1 and ${MAX_PANELS} panels`
+            });
+        }
+
+        const serviceResult = await pool.query(
+            `SELECT id, slug, title, estimated_duration_minutes FROM services
+             WHERE is_active = true AND ${isNaN(serviceId) ? 'slug = $1' : 'id = $1'}`,
+            [isNaN(serviceId) ? serviceSlug : serviceId]
+        );
+        const service = serviceResult.rows[0];
+
+        if (!service) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Service not found'
+            });
+        }
+
+        const panelsResult = await pool.query(
+            'SELECT code, name, size_factor FROM price_panels WHERE is_active = true AND code = ANY($1::text[])',
+            [panelCodes]
+        );
+        const unknownPanels = panelCodes.filter(code => !panelsResult.rows.some(panel => panel.code === code));
+
+        if (unknownPanels.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Unknown panels',
+                unknown_panels: unknownPanels
+            });
+        }
+
+        const priceResult = await pool.query(
+            `SELECT price_min, price_max FROM service_prices
+             WHERE service_id = $1 AND vehicle_class = $2 AND paint_finish = $3`,
+            [service.id, vehicleClass, paintFinish]
+        );
+
+        if (priceResult.rows.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'No price available for this vehicle class and paint finish. Please request a quote instead.'
+            });
+        }
+
+        // Urutan item mengikuti urutan panel di request
+        const panels = panelCodes.map(code => panelsResult.rows.find(panel => panel.code === code));
+        const estimate = calculateEstimate(priceResult.rows[0], panels);
+
+        res.json({
+            status: 'success',
+            data: {
+                service,
+                vehicle_class: vehicleClass,
+                paint_finish: paintFinish,
+                currency: 'IDR',
+                ...estimate,
+                note: 'Estimated range only. Final price is confirmed after inspection.'
+            }
+        });
+    } catch (error) {
+        console.error('❌ Estimate error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to calculate estimate',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// LIST PANELS (AUTH REQUIRED) - termasuk yang nonaktif
+// ============================================
+router.get('/panels', authenticateToken, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM price_panels ORDER BY display_order ASC, name ASC'
+        );
+
+        res.json({
+            status: 'success',
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('❌ Get panels error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch panels',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// CREATE / UPDATE PANEL (AUTH REQUIRED)
+// Body: { name, size_factor, display_order?, is_active? }
+// size_factor: pengali harga per panel (1 = panel standar seperti pintu)
+// ============================================
+router.put('/panels/:code', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const code = String(req.params.code).toLowerCase();
+        const body = req.body || {};
+        const name = body.name ? String(body.name).trim() : '';
+        const sizeFactor = parseFloat(body.size_factor);
+        const displayOrder = parseInt(body.display_order) || 0;
+        const isActive = body.is_active === undefined ? true : body.is_active === true || body.is_active === 'true';
+
+        if (!PANEL_CODE_PATTERN.test(code)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Panel code may only contain lowercase letters, numbers and underscores'
+            });
+        }
+
+        if (!name || name.length > 100 || isNaN(sizeFactor) || sizeFactor <= 0 || sizeFactor > 10) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'name (max 100 characters) and size_factor (greater than 0, at most 10) are required'
+            });
+        }
+
+        const beforeResult = await pool.query('SELECT * FROM price_panels WHERE code = $1', [code]);
+
+        const result = await pool.query(`
+            INSERT INTO price_panels (code, name, size_factor, display_order, is_active)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (code) DO UPDATE SET
+                name = EXCLUDED.name,
+                size_factor = EXCLUDED.size_factor,
+                display_order = EXCLUDED.display_order,
+                is_active = EXCLUDED.is_active,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [code, name, sizeFactor, displayOrder, isActive]);
+
+        await recordAudit(req, {
+            action: beforeResult.rows.length > 0 ? 'update' : 'create',
+            resourceType: 'price_panels',
+            resourceId: code,
+            before: beforeResult.rows[0] || null,
+            after: result.rows[0]
+        });
+
+        res.status(beforeResult.rows.length > 0 ? 200 : 201).json({
+            status: 'success',
+            message: 'Panel saved successfully',
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('❌ Save panel error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to save panel',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// DELETE PANEL (AUTH REQUIRED)
+// ============================================
+router.delete('/panels/:code', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM price_panels WHERE code = $1 RETURNING *',
+            [String(req.params.code).toLowerCase()]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Panel not found'
+            });
+        }
+
+        await recordAudit(req, {
+            action: 'delete',
+            resourceType: 'price_panels',
+            resourceId: result.rows[0].code,
+            before: result.rows[0]
+        });
+
+        res.json({
+            status: 'success',
+            message: 'Panel deleted successfully'
+        });
+    } catch (error) {
+        console.error('❌ Delete panel error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to delete panel',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,111 +1,328 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/db');
-const multer = require('multer');
-const { put, del } = require('@vercel/blob');
+const { authenticateToken, requireEditor } = require('../middleware/auth');
+const { imageUpload: upload } = require('../middleware/upload');
+const { isInvalidImage, storeImage, deleteImage, buildSrcset } = require('../utils/imageProcessor');
+const { recordAudit, keyBy } = require('../utils/audit');
+const { getCache, cacheResponse } = require('../utils/cache');
+const { translateRows, translateRow, registerTranslationRoutes } = require('../utils/i18n');
 
-// ============================================
-// MULTER CONFIGURATION - MEMORY ONLY (NO DISK)
-// ============================================
-const upload = multer({
-    storage: multer.memoryStorage(), // ✅ PENTING: Memory storage, BUKAN disk
-    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
-    fileFilter: function (req, file, cb) {
-        const allowedTypes = /jpeg|jpg|png|webp/;
-        const extname = allowedTypes.test(file.originalname.toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-        
-        if (extname && mimetype) {
-            return cb(null, true);
-        } else {
-            cb(new Error('Only image files (JPEG, PNG, WebP) are allowed'));
-        }
-    }
+// Cache GET publik. TTL pendek karena publish_at / unpublish_at berubah seiring waktu
+const galleryCache = getCache('gallery', {
+    ttlSeconds: parseInt(process.env.GALLERY_CACHE_TTL_SECONDS) || 60
 });
 
-// ============================================
-// HELPER: Upload to Vercel Blob
-// ============================================
-async function uploadToBlob(file) {
-    if (!file) {
-        console.log('⚠️ No file provided');
-        return null;
+const PROJECT_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+const IMAGE_COLUMNS = 'id, image_url, image_order, is_primary, role, caption, alt_text, width, height, variants, media_id';
+const IMAGE_ROLES = ['before', 'after', 'process'];
+
+// Tambahkan srcset siap pakai dari varian responsive
+function formatImage(image) {
+    return {
+        ...image,
+        variants: image.variants || [],
+        srcset: buildSrcset(image.variants)
+    };
+}
+
+// Project tampil di publik kalau published/scheduled & sudah masuk jadwal tayang
+const PUBLIC_VISIBILITY = `
+    is_active = true
+    AND status IN ('published', 'scheduled')
+    AND (publish_at IS NULL OR publish_at <= CURRENT_TIMESTAMP)
+    AND (unpublish_at IS NULL OR unpublish_at > CURRENT_TIMESTAMP)
+`;
+
+// Role per file upload, urutannya sama dengan file: '["before","after"]' atau "before,after".
+// Return array (null = tanpa role) atau { error }.
+function parseImageRoles(value, fileCount) {
+    if (value === undefined || value === null || value === '') {
+        return new Array(fileCount).fill(null);
     }
     
-    try {
-        console.log('🔧 Uploading to Blob:', file.originalname);
-        
-        if (!file.buffer || file.buffer.length === 0) {
-            throw new Error('File buffer is empty');
+    let roles = value;
+    if (typeof value === 'string') {
+        try {
+            roles = JSON.parse(value);
+        } catch (e) {
+            roles = value.split(',');
         }
+    }
+    
+    if (!Array.isArray(roles)) {
+        roles = [roles];
+    }
+    
+    roles = roles.map(role => (role === null || String(role).trim() === '') ? null : String(role).trim().toLowerCase());
+    
+    const invalid = roles.find(role => role !== null && !IMAGE_ROLES.includes(role));
+    if (invalid) {
+        return { error: `Invalid image role "${invalid}". Allowed: ${IMAGE_ROLES.join(', ')}` };
+    }
+    
+    return Array.from({ length: fileCount }, (_, i) => roles[i] || null);
+}
+
+// Harus sama persis dengan expression index idx_gallery_projects_search di schema.sql
+const SEARCH_DOCUMENT = `to_tsvector('simple',
+    COALESCE(title, '') || ' ' || COALESCE(subtitle, '') || ' ' || COALESCE(description, ''))`;
+
+const SORT_OPTIONS = {
+    featured: 'display_order ASC, created_at DESC',
+    newest: 'completed_date DESC NULLS LAST, created_at DESC',
+    oldest: 'completed_date ASC NULLS LAST, created_at ASC',
+    title: 'title ASC, id ASC',
+    relevance: null // Diisi saat ada ?search=
+};
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+// "sedan,suv" -> ['sedan', 'suv']
+const parseListParam = (value) => String(value)
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+
+// Ubah query string jadi WHERE / ORDER BY / LIMIT untuk list publik.
+// Return { error } kalau parameter tidak valid.
+function buildGalleryQuery(params) {
+    const conditions = [PUBLIC_VISIBILITY];
+    const values = [];
+    
+    if (params.vehicle_type) {
+        values.push(parseListParam(params.vehicle_type));
+        conditions.push(`LOWER(vehicle_type) = ANY($${values.length}::text[])`);
+    }
+    
+    if (params.service_type) {
+        values.push(parseListParam(params.service_type));
+        conditions.push(`LOWER(service_type) = ANY($${values.length}::text[])`);
+    }
+    
+    for (const [param, operator] of [['completed_from', '>='], ['completed_to', '<=']]) {
+        if (!params[param]) continue;
         
-        if (!process.env.BLOB_READ_WRITE_TOKEN) {
-            throw new Error('BLOB_READ_WRITE_TOKEN not set');
+        if (!isValidDate(params[param])) {
+            return { error: `${param} must be a date in YYYY-MM-DD format` };
         }
-        
-        const filename = `gallery/${Date.now()}-${Math.round(Math.random() * 1E9)}${file.originalname.substring(file.originalname.lastIndexOf('.'))}`;
-        
-        const blob = await put(filename, file.buffer, {
-            access: 'public',
-            token: process.env.BLOB_READ_WRITE_TOKEN,
-        });
-        
-        console.log('✅ Blob uploaded:', blob.url);
-        return blob.url;
-        
-    } catch (error) {
-        console.error('❌ Blob upload failed:', error.message);
-        throw error;
+        values.push(params[param]);
+        conditions.push(`completed_date ${operator} $${values.length}::date`);
+    }
+    
+    let searchIndex = null;
+    if (params.search && String(params.search).trim()) {
+        values.push(String(params.search).trim());
+        searchIndex = values.length;
+        conditions.push(`${SEARCH_DOCUMENT} @@ websearch_to_tsquery('simple', $${searchIndex})`);
+    }
+    
+    const sort = params.sort || (searchIndex ? 'relevance' : 'featured');
+    if (!Object.prototype.hasOwnProperty.call(SORT_OPTIONS, sort)) {
+        return { error: `Invalid sort. Allowed: ${Object.keys(SORT_OPTIONS).join(', ')}` };
     }
+    
+    const orderBy = sort === 'relevance'
+        ? (searchIndex
+            ? `ts_rank(${SEARCH_DOCUMENT}, websearch_to_tsquery('simple', $${searchIndex})) DESC, ${SORT_OPTIONS.featured}`
+            : SORT_OPTIONS.featured)
+        : SORT_OPTIONS[sort];
+    
+    // Tanpa page/limit semua project dikembalikan (kompatibel dengan frontend lama)
+    const paginate = params.page !== undefined || params.limit !== undefined;
+    const page = Math.max(parseInt(params.page) || 1, 1);
+    const limit = paginate ? Math.min(Math.max(parseInt(params.limit) || 12, 1), 100) : null;
+    
+    return {
+        whereClause: conditions.join(' AND '),
+        values,
+        orderBy,
+        sort,
+        page,
+        limit
+    };
 }
 
-// ============================================
-// HELPER: Delete from Vercel Blob
-// ============================================
-async function deleteFromBlob(url) {
-    if (!url) return;
+// undefined = tidak dikirim (pakai nilai lama), '' / null = hapus jadwal, false = tidak valid
+function parseScheduleDate(value, fallback = null) {
+    if (value === undefined) return fallback || null;
+    if (value === null || value === '' || value === 'null') return null;
     
-    try {
-        console.log('🗑️ Deleting blob:', url);
-        await del(url, {
-            token: process.env.BLOB_READ_WRITE_TOKEN,
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? false : date;
+}
+
+// Tentukan status & jadwal dari body request (digabung dengan nilai project saat ini)
+// Return { status, publishAt, unpublishAt } atau { error }
+function resolvePublishing(body, current = {}) {
+    let status = body.status !== undefined && body.status !== '' ? body.status : current.status;
+    const publishAt = parseScheduleDate(body.publish_at, current.publish_at);
+    const unpublishAt = parseScheduleDate(body.unpublish_at, current.unpublish_at);
+    
+    if (!PROJECT_STATUSES.includes(status)) {
+        return { error: `Invalid status. Allowed: ${PROJECT_STATUSES.join(', ')}` };
+    }
+    
+    if (publishAt === false || unpublishAt === false) {
+        return { error: 'publish_at and unpublish_at must be valid dates' };
+    }
+    
+    if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+        return { error: 'unpublish_at must be after publish_at' };
+    }
+    
+    // Publish dengan tanggal di masa depan = dijadwalkan
+    if (status === 'published' && publishAt && publishAt > new Date()) {
+        status = 'scheduled';
+    }
+    
+    if (status === 'scheduled' && !publishAt) {
+        return { error: 'publish_at is required for scheduled projects' };
+    }
+    
+    return { status, publishAt, unpublishAt };
+}
+
+// Invariant: project yang punya gambar selalu punya tepat satu primary.
+// Kalau primary terhapus, gambar dengan urutan paling awal jadi primary.
+async function ensurePrimaryImage(client, projectId) {
+    await client.query(`
+        UPDATE gallery_images SET is_primary = true
+        WHERE id = (
+            SELECT id FROM gallery_images
+            WHERE project_id = $1
+            ORDER BY image_order ASC, id ASC
+            LIMIT 1
+        )
+        AND NOT EXISTS (
+            SELECT 1 FROM gallery_images WHERE project_id = $1 AND is_primary = true
+        )
+    `, [projectId]);
+}
+
+async function fetchProjectImages(db, projectId) {
+    const result = await db.query(
+        `SELECT ${IMAGE_COLUMNS} FROM gallery_images WHERE project_id = $1 ORDER BY image_order ASC`,
+        [projectId]
+    );
+    return result.rows;
+}
+
+// Ambil gambar untuk banyak project sekaligus (1 query, bukan 1 query per project)
+async function attachImages(db, projects) {
+    if (projects.length === 0) {
+        return [];
+    }
+    
+    const imagesResult = await db.query(
+        `SELECT project_id, ${IMAGE_COLUMNS}
+         FROM gallery_images
+         WHERE project_id = ANY($1::int[])
+         ORDER BY project_id, image_order ASC`,
+        [projects.map(project => project.id)]
+    );
+    
+    const pairsResult = await db.query(
+        `SELECT id, project_id, before_image_id, after_image_id, caption, pair_order
+         FROM gallery_image_pairs
+         WHERE project_id = ANY($1::int[])
+         ORDER BY project_id, pair_order ASC, id ASC`,
+        [projects.map(project => project.id)]
+    );
+    
+    const imagesByProject = new Map();
+    const imagesById = new Map();
+    imagesResult.rows.forEach(({ project_id, ...image }) => {
+        const formatted = formatImage(image);
+        if (!imagesByProject.has(project_id)) imagesByProject.set(project_id, []);
+        imagesByProject.get(project_id).push(formatted);
+        imagesById.set(image.id, formatted);
+    });
+    
+    // Pasangan before/after untuk comparison slider
+    const pairsByProject = new Map();
+    pairsResult.rows.forEach(pair => {
+        if (!pairsByProject.has(pair.project_id)) pairsByProject.set(pair.project_id, []);
+        pairsByProject.get(pair.project_id).push({
+            id: pair.id,
+            caption: pair.caption,
+            pair_order: pair.pair_order,
+            before: imagesById.get(pair.before_image_id),
+            after: imagesById.get(pair.after_image_id)
         });
-        console.log('✅ Blob deleted');
-    } catch (error) {
-        console.error('❌ Blob delete failed:', error.message);
+    });
+    
+    return projects.map(project => ({
+        ...project,
+        images: imagesByProject.get(project.id) || [],
+        pairs: pairsByProject.get(project.id) || []
+    }));
+}
+
+async function fetchProjectWithImages(id, { publicOnly = false } = {}) {
+    const projectResult = await pool.query(
+        `SELECT * FROM gallery_projects WHERE id = $1 ${publicOnly ? `AND ${PUBLIC_VISIBILITY}` : ''}`,
+        [id]
+    );
+    
+    if (projectResult.rows.length === 0) {
+        return null;
     }
+    
+    const [project] = await attachImages(pool, projectResult.rows);
+    return project;
 }
 
 // ============================================
 // GET ALL GALLERY PROJECTS (PUBLIC)
+// Query (semua opsional):
+//   vehicle_type=sedan,suv  service_type=full-body
+//   completed_from=2024-01-01  completed_to=2024-12-31
+//   search=honda civic  sort=featured|newest|oldest|title|relevance
+//   page=1  limit=12
 // ============================================
-router.get('/', async (req, res) => {
+router.get('/', cacheResponse(galleryCache), async (req, res) => {
     try {
+        const galleryQuery = buildGalleryQuery(req.query);
+        
+        if (galleryQuery.error) {
+            return res.status(400).json({
+                status: 'error',
+                message: galleryQuery.error
+            });
+        }
+        
+        const { whereClause, values, orderBy, page, limit } = galleryQuery;
+        
+        const countResult = await pool.query(
+            `SELECT COUNT(*)::int AS total FROM gallery_projects WHERE ${whereClause}`,
+            values
+        );
+        const { total } = countResult.rows[0];
+        
         const projectsResult = await pool.query(`
             SELECT * FROM gallery_projects 
-            WHERE is_active = true 
-            ORDER BY display_order ASC, created_at DESC
-        `);
+            WHERE ${whereClause}
+            ORDER BY ${orderBy}
+            ${limit ? `LIMIT $${values.length + 1} OFFSET $${values.length + 2}` : ''}
+        `, limit ? [...values, limit, (page - 1) * limit] : values);
         
-        const projects = await Promise.all(
-            projectsResult.rows.map(async (project) => {
-                const imagesResult = await pool.query(`
-                    SELECT id, image_url, image_order, is_primary 
-                    FROM gallery_images 
-                    WHERE project_id = $1 
-                    ORDER BY image_order ASC
-                `, [project.id]);
-                
-                return {
-                    ...project,
-                    images: imagesResult.rows
-                };
-            })
+        const projects = await attachImages(
+            pool,
+            await translateRows(pool, 'gallery_projects', projectsResult.rows, req.locale)
         );
         
         res.json({
             status: 'success',
-            data: projects
+            data: projects,
+            pagination: {
+                page: limit ? page : 1,
+                limit,
+                total,
+                total_pages: limit ? Math.ceil(total / limit) : 1,
+                sort: galleryQuery.sort
+            }
         });
     } catch (error) {
         console.error('Error fetching gallery:', error);
@@ -118,109 +335,201 @@ router.get('/', async (req, res) => {
 });
 
 // ============================================
-// CREATE NEW GALLERY PROJECT
+// CREATE NEW GALLERY PROJECT (AUTH REQUIRED)
 // ============================================
-router.post('/create', upload.array('images', 10), async (req, res) => {
-    const client = await pool.connect();
+router.post('/create', authenticateToken, requireEditor, upload.array('images', 10), async (req, res) => {
+    const body = req.body || {};
+    const {
+        title,
+        subtitle,
+        description,
+        vehicle_type,
+        service_type,
+        duration,
+        completed_date,
+        display_order = 0
+    } = body;
+    const files = req.files || [];
+    
+    console.log('📝 Creating project:', title);
+    
+    // Project baru default draft, kecuali status / publish_at dikirim
+    const publishing = resolvePublishing(body, {
+        status: body.publish_at ? 'scheduled' : 'draft'
+    });
+    
+    if (publishing.error) {
+        return res.status(400).json({
+            status: 'error',
+            message: publishing.error
+        });
+    }
+    
+    const roles = parseImageRoles(body.image_roles, files.length);
+    if (roles.error) {
+        return res.status(400).json({
+            status: 'error',
+            message: roles.error
+        });
+    }
+    
+    const storedImages = [];
+    let client = null;
+    let committed = false;
     
     try {
-        await client.query('BEGIN');
-        
-        const {
-            title,
-            subtitle,
-            description,
-            vehicle_type,
-            service_type,
-            duration,
-            completed_date,
-            display_order = 0
-        } = req.body;
+        // Upload gambar dulu, di luar transaksi: koneksi DB tidak tertahan selama proses gambar
+        if (files.length > 0) {
+            console.log(`📸 Uploading ${files.length} images...`);
+            
+            for (const file of files) {
+                storedImages.push(await storeImage(file, 'gallery'));
+            }
+        }
         
-        console.log('📝 Creating project:', title);
+        client = await pool.connect();
+        await client.query('BEGIN');
         
         const projectResult = await client.query(`
             INSERT INTO gallery_projects 
-            (title, subtitle, description, vehicle_type, service_type, duration, completed_date, display_order)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            (title, subtitle, description, vehicle_type, service_type, duration, completed_date, display_order,
+             status, publish_at, unpublish_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
             RETURNING *
-        `, [title, subtitle, description, vehicle_type, service_type, duration, completed_date, display_order]);
+        `, [
+            title, subtitle, description, vehicle_type, service_type, duration, completed_date, display_order,
+            publishing.status, publishing.publishAt, publishing.unpublishAt
+        ]);
         
         const project = projectResult.rows[0];
         console.log('✅ Project created:', project.id);
         
-        // Upload images to Vercel Blob
-        if (req.files && req.files.length > 0) {
-            console.log(`📸 Uploading ${req.files.length} images to Blob...`);
-            
-            for (let i = 0; i < req.files.length; i++) {
-                const file = req.files[i];
-                const imageUrl = await uploadToBlob(file);
-                
-                if (imageUrl) {
-                    const isPrimary = i === 0;
-                    await client.query(`
-                        INSERT INTO gallery_images (project_id, image_url, image_order, is_primary)
-                        VALUES ($1, $2, $3, $4)
-                    `, [project.id, imageUrl, i, isPrimary]);
-                    console.log(`✅ Image ${i + 1} saved`);
-                }
-            }
+        for (const [i, image] of storedImages.entries()) {
+            const isPrimary = i === 0;
+            await client.query(`
+                INSERT INTO gallery_images (project_id, image_url, image_order, is_primary, width, height, variants, role)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            `, [project.id, image.url, i, isPrimary, image.width, image.height, JSON.stringify(image.variants), roles[i]]);
+            console.log(`✅ Image ${i + 1} saved`);
         }
         
+        await ensurePrimaryImage(client, project.id);
+        
         await client.query('COMMIT');
+        committed = true;
+        galleryCache.clear();
         
         const imagesResult = await client.query(`
-            SELECT id, image_url, image_order, is_primary 
+            SELECT ${IMAGE_COLUMNS}
             FROM gallery_images 
             WHERE project_id = $1 
             ORDER BY image_order ASC
         `, [project.id]);
         
+        const createdProject = {
+            ...project,
+            images: imagesResult.rows.map(formatImage)
+        };
+
+        await recordAudit(req, {
+            action: 'create',
+            resourceType: 'gallery_projects',
+            resourceId: project.id,
+            after: { ...createdProject, images: keyBy(imagesResult.rows, 'id') }
+        });
+        
         res.json({
             status: 'success',
             message: 'Project created successfully',
-            data: {
-                ...project,
-                images: imagesResult.rows
-            }
+            data: createdProject
         });
     } catch (error) {
-        await client.query('ROLLBACK');
+        if (client && !committed) {
+            await client.query('ROLLBACK');
+        }
+        
+        // Gambar yang sudah tersimpan tidak punya record, hapus dari storage
+        if (!committed) {
+            storedImages.forEach(image => {
+                deleteImage(image.url, image.variants).catch(console.error);
+            });
+        }
+        
         console.error('❌ Create error:', error);
+        if (isInvalidImage(error)) {
+            return res.status(400).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+
         res.status(500).json({
             status: 'error',
             message: 'Failed to create project',
             error: error.message
         });
     } finally {
-        client.release();
+        if (client) {
+            client.release();
+        }
     }
 });
 
 // ============================================
-// UPDATE GALLERY PROJECT
+// UPDATE GALLERY PROJECT (AUTH REQUIRED)
 // ============================================
-router.post('/update/:id', upload.array('newImages', 10), async (req, res) => {
-    const client = await pool.connect();
+router.post('/update/:id', authenticateToken, requireEditor, upload.array('newImages', 10), async (req, res) => {
+    const body = req.body || {};
+    const projectId = parseInt(req.params.id);
+    const files = req.files || [];
+    
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('📝 UPDATE PROJECT:', projectId);
+    console.log('Files:', files.length);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    
+    const roles = parseImageRoles(body.image_roles, files.length);
+    if (roles.error) {
+        return res.status(400).json({
+            status: 'error',
+            message: roles.error
+        });
+    }
+    
+    const storedImages = [];
+    const filesToDelete = [];
+    let client = null;
+    let committed = false;
     
     try {
-        await client.query('BEGIN');
-        
-        const projectId = parseInt(req.params.id);
-        
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-        console.log('📝 UPDATE PROJECT:', projectId);
-        console.log('Files:', req.files?.length || 0);
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-        
         if (isNaN(projectId)) {
             throw new Error('Invalid project ID');
         }
         
+        // Upload gambar baru dulu, di luar transaksi
+        if (files.length > 0) {
+            console.log(`📸 Uploading ${files.length} new images...`);
+            
+            for (const [index, file] of files.entries()) {
+                try {
+                    const image = await storeImage(file, 'gallery');
+                    storedImages.push({ ...image, role: roles[index] });
+                } catch (uploadErr) {
+                    // File yang tidak bisa di-decode = request tidak valid, batalkan seluruh update
+                    if (isInvalidImage(uploadErr)) {
+                        throw uploadErr;
+                    }
+                    console.error('Upload error:', uploadErr.message);
+                }
+            }
+        }
+        
+        client = await pool.connect();
+        await client.query('BEGIN');
+        
         // Check project exists
         const checkProject = await client.query(
-            'SELECT id FROM gallery_projects WHERE id = $1',
+            'SELECT * FROM gallery_projects WHERE id = $1',
             [projectId]
         );
         
@@ -228,13 +537,18 @@ router.post('/update/:id', upload.array('newImages', 10), async (req, res) => {
             throw new Error(`Project ${projectId} not found`);
         }
         
+        const imagesBefore = await client.query(
+            `SELECT ${IMAGE_COLUMNS} FROM gallery_images WHERE project_id = $1 ORDER BY image_order ASC`,
+            [projectId]
+        );
+        
         // Parse deleted images
         let imageIdsToDelete = [];
-        if (req.body.deleted_images) {
+        if (body.deleted_images) {
             try {
-                const parsed = typeof req.body.deleted_images === 'string' 
-                    ? JSON.parse(req.body.deleted_images)
-                    : req.body.deleted_images;
+                const parsed = typeof body.deleted_images === 'string' 
+                    ? JSON.parse(body.deleted_images)
+                    : body.deleted_images;
                     
                 if (Array.isArray(parsed)) {
                     imageIdsToDelete = parsed
@@ -258,15 +572,34 @@ router.post('/update/:id', upload.array('newImages', 10), async (req, res) => {
         ];
         
         fields.forEach(field => {
-            if (req.body[field] !== undefined && req.body[field] !== '') {
+            if (body[field] !== undefined && body[field] !== '') {
                 updateFields.push(`${field} = $${paramIndex++}`);
-                updateValues.push(req.body[field]);
+                updateValues.push(body[field]);
             }
         });
         
-        if (req.body.display_order !== undefined && req.body.display_order !== '') {
+        if (body.display_order !== undefined && body.display_order !== '') {
             updateFields.push(`display_order = $${paramIndex++}`);
-            updateValues.push(parseInt(req.body.display_order));
+            updateValues.push(parseInt(body.display_order));
+        }
+        
+        if (['status', 'publish_at', 'unpublish_at'].some(field => body[field] !== undefined)) {
+            const publishing = resolvePublishing(body, checkProject.rows[0]);
+            
+            if (publishing.error) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    status: 'error',
+                    message: publishing.error
+                });
+            }
+            
+            updateFields.push(`status = $${paramIndex++}`);
+            updateValues.push(publishing.status);
+            updateFields.push(`publish_at = $${paramIndex++}`);
+            updateValues.push(publishing.publishAt);
+            updateFields.push(`unpublish_at = $${paramIndex++}`);
+            updateValues.push(publishing.unpublishAt);
         }
         
         // Update project metadata
@@ -296,7 +629,7 @@ router.post('/update/:id', upload.array('newImages', 10), async (req, res) => {
             console.log('🗑️ Deleting images:', imageIdsToDelete);
             
             const imagesToDelete = await client.query(
-                'SELECT image_url FROM gallery_images WHERE id = ANY($1::int[]) AND project_id = $2',
+                'SELECT image_url, variants, media_id FROM gallery_images WHERE id = ANY($1::int[]) AND project_id = $2',
                 [imageIdsToDelete, projectId]
             );
             
@@ -306,98 +639,117 @@ router.post('/update/:id', upload.array('newImages', 10), async (req, res) => {
                     [imageIdsToDelete, projectId]
                 );
                 
-                // Delete from Blob (async)
-                imagesToDelete.rows.forEach(img => {
-                    deleteFromBlob(img.image_url).catch(console.error);
-                });
+                filesToDelete.push(...imagesToDelete.rows.filter(img => !img.media_id));
                 
                 console.log(`✅ Deleted ${imagesToDelete.rows.length} images`);
             }
         }
         
-        // Upload new images to Blob
-        if (req.files && req.files.length > 0) {
-            console.log(`📸 Uploading ${req.files.length} new images to Blob...`);
-            
+        if (storedImages.length > 0) {
             const maxOrderResult = await client.query(
                 'SELECT COALESCE(MAX(image_order), -1) as max_order FROM gallery_images WHERE project_id = $1',
                 [projectId]
             );
             let nextOrder = maxOrderResult.rows[0].max_order + 1;
             
-            let uploadedCount = 0;
-            for (const file of req.files) {
-                try {
-                    const imageUrl = await uploadToBlob(file);
-                    if (imageUrl) {
-                        await client.query(
-                            'INSERT INTO gallery_images (project_id, image_url, image_order, is_primary) VALUES ($1, $2, $3, $4)',
-                            [projectId, imageUrl, nextOrder++, false]
-                        );
-                        uploadedCount++;
-                    }
-                } catch (uploadErr) {
-                    console.error('Upload error:', uploadErr.message);
-                }
+            for (const image of storedImages) {
+                await client.query(
+                    `INSERT INTO gallery_images (project_id, image_url, image_order, is_primary, width, height, variants, role)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+                    [projectId, image.url, nextOrder++, false, image.width, image.height, JSON.stringify(image.variants), image.role]
+                );
             }
-            console.log(`✅ Uploaded ${uploadedCount}/${req.files.length} images`);
         }
         
+        if (files.length > 0) {
+            console.log(`✅ Uploaded ${storedImages.length}/${files.length} images`);
+        }
+        
+        // Primary ikut terhapus / project sebelumnya tanpa gambar
+        await ensurePrimaryImage(client, projectId);
+        
         await client.query('COMMIT');
+        committed = true;
+        galleryCache.clear();
+        
+        // File lama baru dihapus setelah COMMIT, file dari media library tetap disimpan
+        filesToDelete.forEach(img => {
+            deleteImage(img.image_url, img.variants).catch(console.error);
+        });
         
         // Fetch final data
         const imagesResult = await client.query(
-            'SELECT id, image_url, image_order, is_primary FROM gallery_images WHERE project_id = $1 ORDER BY image_order ASC',
+            `SELECT ${IMAGE_COLUMNS} FROM gallery_images WHERE project_id = $1 ORDER BY image_order ASC`,
             [projectId]
         );
         
         console.log(`✅ Update complete: ${imagesResult.rows.length} images`);
         
+        await recordAudit(req, {
+            action: 'update',
+            resourceType: 'gallery_projects',
+            resourceId: projectId,
+            before: { ...checkProject.rows[0], images: keyBy(imagesBefore.rows, 'id') },
+            after: { ...projectResult.rows[0], images: keyBy(imagesResult.rows, 'id') }
+        });
+        
         res.json({
             status: 'success',
             message: 'Project updated successfully',
             data: {
                 ...projectResult.rows[0],
-                images: imagesResult.rows
+                images: imagesResult.rows.map(formatImage)
             }
         });
         
     } catch (error) {
-        await client.query('ROLLBACK');
+        if (client && !committed) {
+            await client.query('ROLLBACK');
+        }
         console.error('❌ UPDATE ERROR:', error.message);
         
+        if (isInvalidImage(error)) {
+            return res.status(400).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+        
         res.status(500).json({
             status: 'error',
             message: 'Failed to update project',
             error: error.message
         });
     } finally {
-        client.release();
+        // Update batal (error / validasi gagal): gambar baru tidak punya record, hapus dari storage
+        if (!committed) {
+            storedImages.forEach(image => {
+                deleteImage(image.url, image.variants).catch(console.error);
+            });
+        }
+        if (client) {
+            client.release();
+        }
     }
 });
 
 // ============================================
-// DELETE GALLERY PROJECT
+// DELETE GALLERY PROJECT (AUTH REQUIRED)
 // ============================================
-router.delete('/delete/:id', async (req, res) => {
+router.delete('/delete/:id', authenticateToken, requireEditor, async (req, res) => {
     const client = await pool.connect();
     
     try {
         await client.query('BEGIN');
         
-        const { id } = req.params;
+        const id = parseInt(req.params.id) || 0;
         console.log('🗑️ Deleting project:', id);
         
         const imagesResult = await client.query(
-            'SELECT image_url FROM gallery_images WHERE project_id = $1',
+            `SELECT ${IMAGE_COLUMNS} FROM gallery_images WHERE project_id = $1`,
             [id]
         );
         
-        // Delete from Blob
-        for (const img of imagesResult.rows) {
-            await deleteFromBlob(img.image_url);
-        }
-        
         const deleteResult = await client.query(
             'DELETE FROM gallery_projects WHERE id = $1 RETURNING *',
             [id]
@@ -413,6 +765,19 @@ router.delete('/delete/:id', async (req, res) => {
         
         await client.query('COMMIT');
         console.log('✅ Project deleted');
+        galleryCache.clear();
+        
+        // Delete from storage setelah COMMIT: kalau commit gagal, record tetap menunjuk file yang masih ada
+        imagesResult.rows.filter(img => !img.media_id).forEach(img => {
+            deleteImage(img.image_url, img.variants).catch(console.error);
+        });
+        
+        await recordAudit(req, {
+            action: 'delete',
+            resourceType: 'gallery_projects',
+            resourceId: id,
+            before: { ...deleteResult.rows[0], images: keyBy(imagesResult.rows, 'id') }
+        });
         
         res.json({
             status: 'success',
@@ -432,39 +797,605 @@ router.delete('/delete/:id', async (req, res) => {
 });
 
 // ============================================
-// GET SINGLE GALLERY PROJECT BY ID
+// REORDER PROJECT IMAGES (AUTH REQUIRED)
+// Body: { image_ids: [3, 1, 2] } - harus berisi semua gambar project
 // ============================================
-router.get('/:id', async (req, res) => {
+router.post('/:id/images/reorder', authenticateToken, requireEditor, async (req, res) => {
+    const client = await pool.connect();
+    
     try {
-        const { id } = req.params;
+        const projectId = parseInt(req.params.id) || 0;
+        const { image_ids } = req.body || {};
+        const imageIds = Array.isArray(image_ids)
+            ? image_ids.map(id => parseInt(id))
+            : null;
         
-        const projectResult = await pool.query(
-            'SELECT * FROM gallery_projects WHERE id = $1',
-            [id]
+        if (!imageIds || imageIds.some(isNaN) || new Set(imageIds).size !== imageIds.length) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'image_ids must be an array of unique image IDs'
+            });
+        }
+        
+        await client.query('BEGIN');
+        
+        const projectResult = await client.query(
+            'SELECT id FROM gallery_projects WHERE id = $1 FOR UPDATE',
+            [projectId]
         );
         
         if (projectResult.rows.length === 0) {
+            await client.query('ROLLBACK');
             return res.status(404).json({
                 status: 'error',
                 message: 'Project not found'
             });
         }
         
-        const imagesResult = await pool.query(`
-            SELECT id, image_url, image_order, is_primary 
-            FROM gallery_images 
-            WHERE project_id = $1 
-            ORDER BY image_order ASC
-        `, [id]);
+        const imagesBefore = await fetchProjectImages(client, projectId);
+        const currentIds = imagesBefore.map(img => img.id);
         
-        const project = {
-            ...projectResult.rows[0],
-            images: imagesResult.rows
-        };
+        if (imageIds.length !== currentIds.length || !currentIds.every(id => imageIds.includes(id))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                status: 'error',
+                message: 'image_ids must contain every image of this project exactly once',
+                expected: currentIds
+            });
+        }
+        
+        await client.query(`
+            UPDATE gallery_images g
+            SET image_order = v.position - 1
+            FROM unnest($2::int[]) WITH ORDINALITY AS v(id, position)
+            WHERE g.id = v.id AND g.project_id = $1
+        `, [projectId, imageIds]);
+        
+        const images = await fetchProjectImages(client, projectId);
+        
+        await client.query('COMMIT');
+        galleryCache.clear();
+        
+        await recordAudit(req, {
+            action: 'reorder_images',
+            resourceType: 'gallery_projects',
+            resourceId: projectId,
+            before: { images: keyBy(imagesBefore, 'id') },
+            after: { images: keyBy(images, 'id') }
+        });
         
         res.json({
             status: 'success',
-            data: project
+            message: 'Images reordered successfully',
+            data: images.map(formatImage)
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('❌ Reorder images error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to reorder images',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// ============================================
+// SET PRIMARY IMAGE (AUTH REQUIRED)
+// ============================================
+router.post('/:id/images/:imageId/primary', authenticateToken, requireEditor, async (req, res) => {
+    const client = await pool.connect();
+    
+    try {
+        const projectId = parseInt(req.params.id) || 0;
+        const imageId = parseInt(req.params.imageId) || 0;
+        
+        await client.query('BEGIN');
+        
+        const imageResult = await client.query(
+            'SELECT id, is_primary FROM gallery_images WHERE id = $1 AND project_id = $2 FOR UPDATE',
+            [imageId, projectId]
+        );
+        
+        if (imageResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                status: 'error',
+                message: 'Image not found in this project'
+            });
+        }
+        
+        const previous = await client.query(
+            'SELECT id FROM gallery_images WHERE project_id = $1 AND is_primary = true',
+            [projectId]
+        );
+        
+        // Dua statement terpisah supaya unique index primary tidak bentrok di tengah update
+        await client.query('UPDATE gallery_images SET is_primary = false WHERE project_id = $1 AND is_primary = true', [projectId]);
+        await client.query('UPDATE gallery_images SET is_primary = true WHERE id = $1', [imageId]);
+        
+        const images = await fetchProjectImages(client, projectId);
+        
+        await client.query('COMMIT');
+        galleryCache.clear();
+        
+        await recordAudit(req, {
+            action: 'set_primary_image',
+            resourceType: 'gallery_projects',
+            resourceId: projectId,
+            before: { primary_image_id: previous.rows[0] ? previous.rows[0].id : null },
+            after: { primary_image_id: imageId }
+        });
+        
+        res.json({
+            status: 'success',
+            message: 'Primary image updated successfully',
+            data: images.map(formatImage)
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('❌ Set primary image error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to set primary image',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// ============================================
+// UPDATE IMAGE CAPTION / ALT TEXT / ROLE (AUTH REQUIRED)
+// Body: { caption?, alt_text?, role?: 'before'|'after'|'process'|null } - string kosong menghapus nilai
+// ============================================
+router.put('/:id/images/:imageId', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const projectId = parseInt(req.params.id) || 0;
+        const imageId = parseInt(req.params.imageId) || 0;
+        const { caption, alt_text, role } = req.body || {};
+        
+        if (caption === undefined && alt_text === undefined && role === undefined) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'No fields to update'
+            });
+        }
+        
+        const checkResult = await pool.query(
+            `SELECT ${IMAGE_COLUMNS} FROM gallery_images WHERE id = $1 AND project_id = $2`,
+            [imageId, projectId]
+        );
+        
+        if (checkResult.rows.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Image not found in this project'
+            });
+        }
+        
+        const before = checkResult.rows[0];
+        const normalize = (value, fallback) => value === undefined
+            ? fallback
+            : (String(value).trim().substring(0, 500) || null);
+        
+        const newRole = role === undefined ? before.role : (role ? String(role).toLowerCase() : null);
+        
+        if (newRole !== null && !IMAGE_ROLES.includes(newRole)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Invalid image role. Allowed: ${IMAGE_ROLES.join(', ')}`
+            });
+        }
+        
+        if (newRole !== before.role) {
+            const pairResult = await pool.query(
+                'SELECT id FROM gallery_image_pairs WHERE before_image_id = $1 OR after_image_id = $1',
+                [imageId]
+            );
+            
+            if (pairResult.rows.length > 0) {
+                return res.status(409).json({
+                    status: 'error',
+                    message: 'Image is part of a before/after pair. Remove the pair before changing its role.',
+                    pair_id: pairResult.rows[0].id
+                });
+            }
+        }
+        
+        const result = await pool.query(
+            `UPDATE gallery_images SET caption = $1, alt_text = $2, role = $3
+             WHERE id = $4
+             RETURNING ${IMAGE_COLUMNS}`,
+            [normalize(caption, before.caption), normalize(alt_text, before.alt_text), newRole, imageId]
+        );
+        galleryCache.clear();
+        
+        await recordAudit(req, {
+            action: 'update_image',
+            resourceType: 'gallery_projects',
+            resourceId: projectId,
+            before: { images: keyBy([before], 'id') },
+            after: { images: keyBy(result.rows, 'id') }
+        });
+        
+        res.json({
+            status: 'success',
+            message: 'Image updated successfully',
+            data: formatImage(result.rows[0])
+        });
+    } catch (error) {
+        console.error('❌ Update image error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update image',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// CREATE BEFORE/AFTER PAIR (AUTH REQUIRED)
+// Body: { before_image_id, after_image_id, caption?, pair_order? }
+// Gambar tanpa role otomatis ditandai 'before' / 'after'
+// ============================================
+router.post('/:id/pairs', authenticateToken, requireEditor, async (req, res) => {
+    const client = await pool.connect();
+    
+    try {
+        const projectId = parseInt(req.params.id) || 0;
+        const body = req.body || {};
+        const beforeImageId = parseInt(body.before_image_id);
+        const afterImageId = parseInt(body.after_image_id);
+        
+        if (isNaN(beforeImageId) || isNaN(afterImageId) || beforeImageId === afterImageId) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'before_image_id and after_image_id must be two different image IDs'
+            });
+        }
+        
+        await client.query('BEGIN');
+        
+        const imagesResult = await client.query(
+            `SELECT ${IMAGE_COLUMNS} FROM gallery_images WHERE project_id = $1 AND id = ANY($2::int[]) FOR UPDATE`,
+            [projectId, [beforeImageId, afterImageId]]
+        );
+        
+        const beforeImage = imagesResult.rows.find(img => img.id === beforeImageId);
+        const afterImage = imagesResult.rows.find(img => img.id === afterImageId);
+        
+        if (!beforeImage || !afterImage) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                status: 'error',
+                message: 'Both images must belong to this project'
+            });
+        }
+        
+        if ((beforeImage.role && beforeImage.role !== 'before') || (afterImage.role && afterImage.role !== 'after')) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                status: 'error',
+                message: 'Pairs need a "before" image and an "after" image'
+            });
+        }
+        
+        const existing = await client.query(
+            'SELECT id FROM gallery_image_pairs WHERE before_image_id = $1 OR after_image_id = $2',
+            [beforeImageId, afterImageId]
+        );
+        
+        if (existing.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                status: 'error',
+                message: 'One of these images is already paired',
+                pair_id: existing.rows[0].id
+            });
+        }
+        
+        await client.query("UPDATE gallery_images SET role = 'before' WHERE id = $1", [beforeImageId]);
+        await client.query("UPDATE gallery_images SET role = 'after' WHERE id = $1", [afterImageId]);
+        
+        const pairResult = await client.query(`
+            INSERT INTO gallery_image_pairs (project_id, before_image_id, after_image_id, caption, pair_order)
+            VALUES ($1, $2, $3, $4, COALESCE($5, (
+                SELECT COALESCE(MAX(pair_order), -1) + 1 FROM gallery_image_pairs WHERE project_id = $1
+            )))
+            RETURNING *
+        `, [
+            projectId, beforeImageId, afterImageId,
+            body.caption ? String(body.caption).trim().substring(0, 500) : null,
+            body.pair_order !== undefined && body.pair_order !== '' ? parseInt(body.pair_order) || 0 : null
+        ]);
+        
+        await client.query('COMMIT');
+        galleryCache.clear();
+        
+        const pair = pairResult.rows[0];
+        
+        await recordAudit(req, {
+            action: 'create_pair',
+            resourceType: 'gallery_projects',
+            resourceId: projectId,
+            after: { pairs: keyBy([pair], 'id') }
+        });
+        
+        res.status(201).json({
+            status: 'success',
+            message: 'Before/after pair created successfully',
+            data: {
+                id: pair.id,
+                caption: pair.caption,
+                pair_order: pair.pair_order,
+                before: formatImage({ ...beforeImage, role: 'before' }),
+                after: formatImage({ ...afterImage, role: 'after' })
+            }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('❌ Create pair error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to create before/after pair',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// ============================================
+// DELETE BEFORE/AFTER PAIR (AUTH REQUIRED)
+// Gambarnya tetap ada, hanya pasangannya yang dilepas
+// ============================================
+router.delete('/:id/pairs/:pairId', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const projectId = parseInt(req.params.id) || 0;
+        
+        const result = await pool.query(
+            'DELETE FROM gallery_image_pairs WHERE id = $1 AND project_id = $2 RETURNING *',
+            [parseInt(req.params.pairId) || 0, projectId]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Pair not found in this project'
+            });
+        }
+        galleryCache.clear();
+        
+        await recordAudit(req, {
+            action: 'delete_pair',
+            resourceType: 'gallery_projects',
+            resourceId: projectId,
+            before: { pairs: keyBy(result.rows, 'id') }
+        });
+        
+        res.json({
+            status: 'success',
+            message: 'Before/after pair removed successfully'
+        });
+    } catch (error) {
+        console.error('❌ Delete pair error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to remove before/after pair',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// CHANGE PROJECT STATUS / SCHEDULE (AUTH REQUIRED)
+// Body: { status: 'draft'|'scheduled'|'published'|'archived', publish_at?, unpublish_at? }
+// ============================================
+router.post('/status/:id', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const projectId = parseInt(req.params.id);
+        
+        const checkProject = await pool.query(
+            'SELECT * FROM gallery_projects WHERE id = $1',
+            [projectId || 0]
+        );
+        
+        if (checkProject.rows.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Project not found'
+            });
+        }
+        
+        const body = req.body || {};
+        
+        if (!body.status) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Status is required'
+            });
+        }
+        
+        const publishing = resolvePublishing(body, checkProject.rows[0]);
+        
+        if (publishing.error) {
+            return res.status(400).json({
+                status: 'error',
+                message: publishing.error
+            });
+        }
+        
+        const result = await pool.query(`
+            UPDATE gallery_projects 
+            SET status = $1, publish_at = $2, unpublish_at = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $4
+            RETURNING *
+        `, [publishing.status, publishing.publishAt, publishing.unpublishAt, projectId]);
+        galleryCache.clear();
+        
+        console.log(`✅ Project ${projectId} status: ${publishing.status}`);
+        
+        await recordAudit(req, {
+            action: 'status_change',
+            resourceType: 'gallery_projects',
+            resourceId: projectId,
+            before: checkProject.rows[0],
+            after: result.rows[0]
+        });
+        
+        res.json({
+            status: 'success',
+            message: `Project status changed to ${publishing.status}`,
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('❌ Status change error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to change project status',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// FILTER OPTIONS FOR PORTFOLIO PAGE (PUBLIC)
+// Nilai vehicle_type / service_type yang tersedia + rentang tanggal
+// ============================================
+router.get('/filters', cacheResponse(galleryCache), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT
+                COALESCE(ARRAY_AGG(DISTINCT vehicle_type) FILTER (WHERE vehicle_type IS NOT NULL AND vehicle_type <> ''), '{}') AS vehicle_types,
+                COALESCE(ARRAY_AGG(DISTINCT service_type) FILTER (WHERE service_type IS NOT NULL AND service_type <> ''), '{}') AS service_types,
+                TO_CHAR(MIN(completed_date), 'YYYY-MM-DD') AS completed_from,
+                TO_CHAR(MAX(completed_date), 'YYYY-MM-DD') AS completed_to
+            FROM gallery_projects
+            WHERE ${PUBLIC_VISIBILITY}
+        `);
+        
+        res.json({
+            status: 'success',
+            data: {
+                ...result.rows[0],
+                sort_options: Object.keys(SORT_OPTIONS)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching gallery filters:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch gallery filters',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// PREVIEW: ALL PROJECTS INCLUDING DRAFTS (AUTH REQUIRED)
+// Query: ?status=draft|scheduled|published|archived
+// ============================================
+router.get('/preview', authenticateToken, async (req, res) => {
+    try {
+        const { status } = req.query;
+        
+        if (status && !PROJECT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Invalid status. Allowed: ${PROJECT_STATUSES.join(', ')}`
+            });
+        }
+        
+        const projectsResult = await pool.query(`
+            SELECT *, (${PUBLIC_VISIBILITY}) AS is_visible
+            FROM gallery_projects 
+            WHERE ($1::text IS NULL OR status = $1)
+            ORDER BY display_order ASC, created_at DESC
+        `, [status || null]);
+        
+        const projects = await attachImages(pool, projectsResult.rows);
+        
+        res.json({
+            status: 'success',
+            data: projects
+        });
+    } catch (error) {
+        console.error('Error fetching gallery preview:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch gallery preview',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// PREVIEW SINGLE PROJECT, ANY STATUS (AUTH REQUIRED)
+// ============================================
+router.get('/preview/:id', authenticateToken, async (req, res) => {
+    try {
+        const project = await fetchProjectWithImages(parseInt(req.params.id) || 0);
+        
+        if (!project) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Project not found'
+            });
+        }
+        
+        res.json({
+            status: 'success',
+            data: project
+        });
+    } catch (error) {
+        console.error('Error fetching project preview:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch project preview',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// TRANSLATIONS PER PROJECT (AUTH REQUIRED)
+// GET /:id/translations, PUT /:id/translations/:locale
+// Catatan: full-text search tetap memakai bahasa default
+// ============================================
+registerTranslationRoutes(router, {
+    resourceType: 'gallery_projects',
+    keyParam: 'id',
+    label: 'project',
+    load: async (db, id) => {
+        const result = await db.query(
+            'SELECT title, subtitle, description FROM gallery_projects WHERE id = $1',
+            [parseInt(id) || 0]
+        );
+        return result.rows[0] || null;
+    },
+    onChange: () => galleryCache.clear()
+});
+
+// ============================================
+// GET SINGLE GALLERY PROJECT BY ID (PUBLIC, PUBLISHED ONLY)
+// ============================================
+router.get('/:id', cacheResponse(galleryCache), async (req, res) => {
+    try {
+        const project = await fetchProjectWithImages(parseInt(req.params.id) || 0, { publicOnly: true });
+        
+        if (!project) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Project not found'
+            });
+        }
+        
+        res.json({
+            status: 'success',
+            data: await translateRow(pool, 'gallery_projects', project, req.locale)
         });
     } catch (error) {
         console.error('Error fetching project:', error);
@@ -1,43 +1,120 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const { put } = require('@vercel/blob');
-const { authenticateToken } = require('../middleware/auth');
-const { query } = require('../config/db');
-
-// Configure multer for memory storage (instead of disk)
-const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-    fileFilter: function (req, file, cb) {
-        const allowedTypes = /jpeg|jpg|png|gif|webp/;
-        const extname = allowedTypes.test(file.originalname.toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-
-        if (mimetype && extname) {
-            return cb(null, true);
-        } else {
-            cb(new Error('Only image files are allowed!'));
-        }
+const { authenticateToken, requireEditor } = require('../middleware/auth');
+const { imageUpload: upload } = require('../middleware/upload');
+const { query, pool } = require('../config/db');
+const { recordAudit, keyBy } = require('../utils/audit');
+const { isInvalidImage, storeImage, buildSrcset } = require('../utils/imageProcessor');
+const { REVISION_FIELDS, pickFields, saveRevision, registerRevisionRoutes } = require('../utils/revisions');
+const { translateRows, registerTranslationRoutes } = require('../utils/i18n');
+
+// Slide tampil di publik kalau aktif dan berada di dalam jendela starts_at / ends_at
+const LIVE_CONDITION = `
+    is_active = true
+    AND (starts_at IS NULL OR starts_at <= NOW())
+    AND (ends_at IS NULL OR ends_at > NOW())
+`;
+
+// Link CTA: URL absolut, path internal, anchor, mailto: atau tel:
+const BUTTON_LINK_PATTERN = /^(https?:\/\/|\/|#|mailto:|tel:)/i;
+
+// Tambahkan srcset siap pakai dari varian responsive
+function formatSlide(slide) {
+    if (!slide) return slide;
+    return {
+        ...slide,
+        image_variants: slide.image_variants || [],
+        image_srcset: buildSrcset(slide.image_variants)
+    };
+}
+
+// '' / 'null' menghapus tanggal, undefined = pakai nilai lama, false = format salah
+function parseDate(value, fallback = null) {
+    if (value === undefined) return fallback || null;
+    if (value === null || value === '' || value === 'null') return null;
+    
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? false : date;
+}
+
+// Form multipart mengirim boolean sebagai string
+function parseBoolean(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    return value === true || value === 'true' || value === '1' || value === 1;
+}
+
+function optionalText(value, fallback) {
+    if (value === undefined) return fallback === undefined ? null : fallback;
+    const text = value === null ? '' : String(value).trim();
+    return text || null;
+}
+
+// Gabungkan body request dengan slide saat ini lalu validasi.
+// Return { slide } berisi semua kolom yang bisa diubah, atau { error }
+function resolveSlide(body, current = {}) {
+    const slide = {
+        title: body.title !== undefined ? String(body.title).trim() : current.title,
+        subtitle: optionalText(body.subtitle, current.subtitle),
+        description: optionalText(body.description, current.description),
+        button_text: optionalText(body.button_text, current.button_text),
+        button_link: optionalText(body.button_link, current.button_link),
+        starts_at: parseDate(body.starts_at, current.starts_at),
+        ends_at: parseDate(body.ends_at, current.ends_at),
+        is_active: parseBoolean(body.is_active, current.is_active !== undefined ? current.is_active : true)
+    };
+    
+    if (!slide.title) {
+        return { error: 'title is required' };
     }
-});
+    
+    if (slide.title.length > 100 || (slide.subtitle && slide.subtitle.length > 100)) {
+        return { error: 'title and subtitle must be at most 100 characters' };
+    }
+    
+    if (Boolean(slide.button_text) !== Boolean(slide.button_link)) {
+        return { error: 'button_text and button_link must be set together' };
+    }
+    
+    if (slide.button_text && slide.button_text.length > 50) {
+        return { error: 'button_text must be at most 50 characters' };
+    }
+    
+    if (slide.button_link && (slide.button_link.length > 255 || !BUTTON_LINK_PATTERN.test(slide.button_link))) {
+        return { error: 'button_link must be a URL, a path starting with "/", an anchor, mailto: or tel:' };
+    }
+    
+    if (slide.starts_at === false || slide.ends_at === false) {
+        return { error: 'starts_at and ends_at must be valid dates' };
+    }
+    
+    if (slide.starts_at && slide.ends_at && slide.ends_at <= slide.starts_at) {
+        return { error: 'ends_at must be after starts_at' };
+    }
+    
+    return { slide };
+}
+
+async function saveSlideRevision(req, before, after) {
+    await saveRevision(pool, {
+        resourceType: 'hero_slides',
+        resourceKey: after.id,
+        before: before ? pickFields(before, REVISION_FIELDS.hero_slides) : null,
+        after: pickFields(after, REVISION_FIELDS.hero_slides),
+        user: req.user
+    });
+}
 
-// GET - Get all hero slides
+// GET - Slide yang sedang tampil, urut slide_order (?lang= / Accept-Language)
 router.get('/', async (req, res) => {
     try {
         const result = await query(
-            'SELECT * FROM hero_slides WHERE is_active = true ORDER BY slide_order ASC'
+            `SELECT * FROM hero_slides WHERE ${LIVE_CONDITION} ORDER BY slide_order ASC, id ASC`
         );
-
-        const heroData = {
-            slide1: result.rows.find(r => r.slide_order === 1) || {},
-            slide2: result.rows.find(r => r.slide_order === 2) || {},
-            slide3: result.rows.find(r => r.slide_order === 3) || {}
-        };
+        const slides = await translateRows(pool, 'hero_slides', result.rows, req.locale);
 
         res.json({
             status: 'success',
-            data: heroData
+            data: slides.map(formatSlide)
         });
     } catch (error) {
         console.error('Error fetching hero data:', error);
@@ -48,104 +125,364 @@ router.get('/', async (req, res) => {
     }
 });
 
-// POST - Update hero section (with authentication)
-router.post('/update', authenticateToken, upload.fields([
-    { name: 'hero1Image', maxCount: 1 },
-    { name: 'hero2Image', maxCount: 1 },
-    { name: 'hero3Image', maxCount: 1 }
-]), async (req, res) => {
+// GET - Semua slide termasuk nonaktif / terjadwal (with authentication)
+router.get('/all', authenticateToken, async (req, res) => {
     try {
-        const {
-            hero1Subtitle, hero1Title, hero1Description,
-            hero2Subtitle, hero2Title, hero2Description,
-            hero3Subtitle, hero3Title, hero3Description
-        } = req.body;
-
-        // Helper function to upload to Vercel Blob
-        async function uploadToBlob(file) {
-            if (!file) return null;
-            
-            try {
-                const filename = `hero-${Date.now()}-${Math.round(Math.random() * 1E9)}${file.originalname.substring(file.originalname.lastIndexOf('.'))}`;
-                const blob = await put(filename, file.buffer, {
-                    access: 'public',
-                    token: process.env.BLOB_READ_WRITE_TOKEN,
-                });
-                return blob.url;
-            } catch (error) {
-                console.error('Blob upload error:', error);
-                return null;
-            }
+        const result = await query(
+            `SELECT *, (${LIVE_CONDITION}) AS is_live FROM hero_slides ORDER BY slide_order ASC, id ASC`
+        );
+
+        res.json({
+            status: 'success',
+            data: result.rows.map(formatSlide)
+        });
+    } catch (error) {
+        console.error('Error fetching hero slides:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch hero slides',
+            error: error.message
+        });
+    }
+});
+
+// POST - Urutkan ulang slide (with authentication)
+// Body: { slide_ids: [3, 1, 2] } - harus berisi semua slide tepat satu kali
+router.post('/reorder', authenticateToken, requireEditor, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const { slide_ids } = req.body || {};
+        const slideIds = Array.isArray(slide_ids)
+            ? slide_ids.map(id => parseInt(id))
+            : null;
+
+        if (!slideIds || slideIds.some(isNaN) || new Set(slideIds).size !== slideIds.length) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'slide_ids must be an array of unique slide IDs'
+            });
         }
 
-        // Update Slide 1
-        let hero1ImageUrl = null;
-        if (req.files && req.files['hero1Image']) {
-            hero1ImageUrl = await uploadToBlob(req.files['hero1Image'][0]);
+        await client.query('BEGIN');
+
+        const beforeResult = await client.query(
+            'SELECT * FROM hero_slides ORDER BY slide_order ASC, id ASC FOR UPDATE'
+        );
+        const currentIds = beforeResult.rows.map(slide => slide.id);
+
+        if (slideIds.length !== currentIds.length || !currentIds.every(id => slideIds.includes(id))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                status: 'error',
+                message: 'slide_ids must contain every hero slide exactly once',
+                expected: currentIds
+            });
         }
 
-        await query(
-            `UPDATE hero_slides 
-             SET subtitle = $1, title = $2, description = $3, 
-                 image_url = COALESCE($4, image_url),
-                 updated_at = CURRENT_TIMESTAMP
-             WHERE slide_order = 1`,
-            [hero1Subtitle, hero1Title, hero1Description, hero1ImageUrl]
+        await client.query(`
+            UPDATE hero_slides h
+            SET slide_order = v.position, updated_at = CURRENT_TIMESTAMP
+            FROM unnest($1::int[]) WITH ORDINALITY AS v(id, position)
+            WHERE h.id = v.id
+        `, [slideIds]);
+
+        const result = await client.query(
+            'SELECT * FROM hero_slides ORDER BY slide_order ASC, id ASC'
+        );
+
+        await client.query('COMMIT');
+
+        await recordAudit(req, {
+            action: 'reorder',
+            resourceType: 'hero_slides',
+            before: keyBy(beforeResult.rows, 'id'),
+            after: keyBy(result.rows, 'id')
+        });
+
+        res.json({
+            status: 'success',
+            message: 'Hero slides reordered successfully',
+            data: result.rows.map(formatSlide)
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error reordering hero slides:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to reorder hero slides',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// GET - Satu slide (with authentication)
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const result = await query(
+            `SELECT *, (${LIVE_CONDITION}) AS is_live FROM hero_slides WHERE id = $1`,
+            [parseInt(req.params.id) || 0]
         );
 
-        // Update Slide 2
-        let hero2ImageUrl = null;
-        if (req.files && req.files['hero2Image']) {
-            hero2ImageUrl = await uploadToBlob(req.files['hero2Image'][0]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Hero slide not found'
+            });
         }
 
-        await query(
-            `UPDATE hero_slides 
-             SET subtitle = $1, title = $2, description = $3,
-                 image_url = COALESCE($4, image_url),
-                 updated_at = CURRENT_TIMESTAMP
-             WHERE slide_order = 2`,
-            [hero2Subtitle, hero2Title, hero2Description, hero2ImageUrl]
+        res.json({
+            status: 'success',
+            data: formatSlide(result.rows[0])
+        });
+    } catch (error) {
+        console.error('Error fetching hero slide:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch hero slide',
+            error: error.message
+        });
+    }
+});
+
+// POST - Buat slide baru (with authentication)
+// Multipart: title, subtitle, description, button_text, button_link, starts_at, ends_at, is_active, image
+// Slide baru ditaruh di urutan paling akhir
+router.post('/', authenticateToken, requireEditor, upload.single('image'), async (req, res) => {
+    try {
+        const { slide, error } = resolveSlide(req.body || {});
+
+        if (error) {
+            return res.status(400).json({
+                status: 'error',
+                message: error
+            });
+        }
+
+        const image = req.file ? await storeImage(req.file, 'hero') : null;
+
+        const result = await query(
+            `INSERT INTO hero_slides (
+                title, subtitle, description, button_text, button_link, starts_at, ends_at, is_active,
+                image_url, image_width, image_height, image_variants, slide_order
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12::jsonb,
+                (SELECT COALESCE(MAX(slide_order), 0) + 1 FROM hero_slides))
+            RETURNING *`,
+            [
+                slide.title, slide.subtitle, slide.description, slide.button_text, slide.button_link,
+                slide.starts_at, slide.ends_at, slide.is_active,
+                image && image.url,
+                image && image.width,
+                image && image.height,
+                image && JSON.stringify(image.variants)
+            ]
         );
+        const created = result.rows[0];
+
+        await saveSlideRevision(req, null, created);
+
+        await recordAudit(req, {
+            action: 'create',
+            resourceType: 'hero_slides',
+            resourceId: created.id,
+            after: created
+        });
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Hero slide created successfully',
+            data: formatSlide(created)
+        });
+    } catch (error) {
+        console.error('Error creating hero slide:', error);
+        if (isInvalidImage(error)) {
+            return res.status(400).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to create hero slide',
+            error: error.message
+        });
+    }
+});
+
+// PUT - Update satu slide (with authentication)
+// Field yang tidak dikirim tetap memakai nilai lama; upload image baru mengganti gambar
+router.put('/:id', authenticateToken, requireEditor, upload.single('image'), async (req, res) => {
+    try {
+        const slideId = parseInt(req.params.id) || 0;
+
+        const checkResult = await query('SELECT * FROM hero_slides WHERE id = $1', [slideId]);
 
-        // Update Slide 3
-        let hero3ImageUrl = null;
-        if (req.files && req.files['hero3Image']) {
-            hero3ImageUrl = await uploadToBlob(req.files['hero3Image'][0]);
+        if (checkResult.rows.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Hero slide not found'
+            });
         }
 
-        await query(
+        const before = checkResult.rows[0];
+        const { slide, error } = resolveSlide(req.body || {}, before);
+
+        if (error) {
+            return res.status(400).json({
+                status: 'error',
+                message: error
+            });
+        }
+
+        const image = req.file ? await storeImage(req.file, 'hero') : null;
+
+        const result = await query(
             `UPDATE hero_slides 
-             SET subtitle = $1, title = $2, description = $3,
-                 image_url = COALESCE($4, image_url),
+             SET title = $1, subtitle = $2, description = $3, button_text = $4, button_link = $5,
+                 starts_at = $6, ends_at = $7, is_active = $8,
+                 image_url = COALESCE($9, image_url),
+                 image_width = CASE WHEN $9::text IS NULL THEN image_width ELSE $10 END,
+                 image_height = CASE WHEN $9::text IS NULL THEN image_height ELSE $11 END,
+                 image_variants = CASE WHEN $9::text IS NULL THEN image_variants ELSE $12::jsonb END,
+                 media_id = CASE WHEN $9::text IS NULL THEN media_id ELSE NULL END,
                  updated_at = CURRENT_TIMESTAMP
-             WHERE slide_order = 3`,
-            [hero3Subtitle, hero3Title, hero3Description, hero3ImageUrl]
+             WHERE id = $13
+             RETURNING *`,
+            [
+                slide.title, slide.subtitle, slide.description, slide.button_text, slide.button_link,
+                slide.starts_at, slide.ends_at, slide.is_active,
+                image && image.url,
+                image && image.width,
+                image && image.height,
+                image && JSON.stringify(image.variants),
+                slideId
+            ]
         );
+        const updated = result.rows[0];
 
-        // Fetch updated data
-        const result = await query(
-            'SELECT * FROM hero_slides WHERE is_active = true ORDER BY slide_order ASC'
-        );
+        await saveSlideRevision(req, before, updated);
+
+        await recordAudit(req, {
+            action: 'update',
+            resourceType: 'hero_slides',
+            resourceId: slideId,
+            before,
+            after: updated
+        });
 
         res.json({
             status: 'success',
-            message: 'Hero section updated successfully',
-            data: {
-                slide1: result.rows.find(r => r.slide_order === 1),
-                slide2: result.rows.find(r => r.slide_order === 2),
-                slide3: result.rows.find(r => r.slide_order === 3)
-            }
+            message: 'Hero slide updated successfully',
+            data: formatSlide(updated)
+        });
+    } catch (error) {
+        console.error('Error updating hero slide:', error);
+        if (isInvalidImage(error)) {
+            return res.status(400).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update hero slide',
+            error: error.message
+        });
+    }
+});
+
+// DELETE - Hapus slide (with authentication)
+// File gambar dibiarkan: masih dirujuk revision history, sisanya dibersihkan storage GC
+router.delete('/:id', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const slideId = parseInt(req.params.id) || 0;
+
+        const result = await query('DELETE FROM hero_slides WHERE id = $1 RETURNING *', [slideId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Hero slide not found'
+            });
+        }
+
+        await recordAudit(req, {
+            action: 'delete',
+            resourceType: 'hero_slides',
+            resourceId: slideId,
+            before: result.rows[0]
         });
 
+        res.json({
+            status: 'success',
+            message: 'Hero slide deleted successfully'
+        });
     } catch (error) {
-        console.error('Error updating hero data:', error);
+        console.error('Error deleting hero slide:', error);
         res.status(500).json({
             status: 'error',
-            message: 'Failed to update hero section',
+            message: 'Failed to delete hero slide',
             error: error.message
         });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// Revision history & rollback per slide (with authentication)
+registerRevisionRoutes(router, {
+    resourceType: 'hero_slides',
+    keyParam: 'id',
+    label: 'hero slide',
+    restore: async (client, id, snapshot) => {
+        const currentResult = await client.query('SELECT * FROM hero_slides WHERE id = $1', [parseInt(id) || 0]);
+
+        if (currentResult.rows.length === 0) {
+            return null;
+        }
+
+        // Revisi lama belum punya field CTA / jadwal, pakai nilai sekarang
+        const content = { ...pickFields(currentResult.rows[0], REVISION_FIELDS.hero_slides), ...snapshot };
+
+        const result = await client.query(
+            `UPDATE hero_slides 
+             SET subtitle = $1, title = $2, description = $3, image_url = $4,
+                 image_width = $5, image_height = $6, image_variants = $7::jsonb, is_active = $8,
+                 media_id = (SELECT id FROM media WHERE id = $10), -- Asset library mungkin sudah dihapus
+                 button_text = $11, button_link = $12, starts_at = $13, ends_at = $14,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $9
+             RETURNING *`,
+            [
+                content.subtitle, content.title, content.description, content.image_url,
+                content.image_width === undefined ? null : content.image_width,
+                content.image_height === undefined ? null : content.image_height,
+                content.image_variants ? JSON.stringify(content.image_variants) : null,
+                content.is_active, parseInt(id) || 0,
+                content.media_id || null,
+                content.button_text || null, content.button_link || null,
+                content.starts_at || null, content.ends_at || null
+            ]
+        );
+        return result.rows.length > 0 ? pickFields(result.rows[0], REVISION_FIELDS.hero_slides) : null;
+    }
+});
+
+// Terjemahan per slide (with authentication)
+registerTranslationRoutes(router, {
+    resourceType: 'hero_slides',
+    keyParam: 'id',
+    label: 'hero slide',
+    load: async (db, id) => {
+        const result = await db.query(
+            'SELECT subtitle, title, description, button_text FROM hero_slides WHERE id = $1',
+            [parseInt(id) || 0]
+        );
+        return result.rows[0] || null;
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,516 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/db');
+const { authenticateToken, requireEditor } = require('../middleware/auth');
+const { mediaUpload: upload } = require('../middleware/upload');
+const { saveFile } = require('../utils/storage');
+const { isInvalidImage, storeImage, deleteImage, buildSrcset } = require('../utils/imageProcessor');
+const { recordAudit } = require('../utils/audit');
+const { getCache } = require('../utils/cache');
+const { REVISION_FIELDS, pickFields, saveRevision } = require('../utils/revisions');
+
+const MEDIA_TYPES = ['image', 'document'];
+const ATTACH_TARGETS = ['hero_slide', 'gallery_project'];
+const MAX_TAGS = 20;
+
+// Berapa kali asset dipakai di hero & gallery
+const USAGE_COLUMNS = `
+    (SELECT COUNT(*) FROM hero_slides h WHERE h.media_id = m.id)::int AS hero_usage,
+    (SELECT COUNT(*) FROM gallery_images g WHERE g.media_id = m.id)::int AS gallery_usage
+`;
+
+// Terima array, JSON string, atau "tag1, tag2". Hasil: lowercase, unik, tanpa kosong.
+function parseTags(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+
+    let tags = value;
+    if (typeof value === 'string') {
+        try {
+            tags = JSON.parse(value);
+        } catch (e) {
+            tags = value.split(',');
+        }
+    }
+
+    if (!Array.isArray(tags)) {
+        tags = [tags];
+    }
+
+    return [...new Set(
+        tags.map(tag => String(tag).trim().toLowerCase().substring(0, 50)).filter(Boolean)
+    )].slice(0, MAX_TAGS);
+}
+
+function formatMedia(media) {
+    return {
+        ...media,
+        variants: media.variants || [],
+        srcset: buildSrcset(media.variants)
+    };
+}
+
+async function fetchMedia(db, id) {
+    const result = await db.query(
+        `SELECT m.*, ${USAGE_COLUMNS} FROM media m WHERE m.id = $1`,
+        [id]
+    );
+    return result.rows[0] ? formatMedia(result.rows[0]) : null;
+}
+
+// ============================================
+// LIST MEDIA (AUTH REQUIRED)
+// Query: ?page=1&limit=24&type=image|document&tag=interior&search=civic
+// ============================================
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 24, 1), 100);
+        const offset = (page - 1) * limit;
+        const { type, tag, search } = req.query;
+
+        if (type && !MEDIA_TYPES.includes(type)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Invalid type. Allowed: ${MEDIA_TYPES.join(', ')}`
+            });
+        }
+
+        const conditions = [];
+        const values = [];
+
+        if (type) {
+            values.push(type);
+            conditions.push(`m.media_type = $${values.length}`);
+        }
+        if (tag) {
+            values.push(String(tag).trim().toLowerCase());
+            conditions.push(`$${values.length} = ANY(m.tags)`);
+        }
+        if (search) {
+            values.push(`%${search}%`);
+            conditions.push(`(m.file_name ILIKE $${values.length} OR m.alt_text ILIKE $${values.length})`);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const countResult = await pool.query(
+            `SELECT COUNT(*)::int AS total FROM media m ${whereClause}`,
+            values
+        );
+
+        const result = await pool.query(
+            `SELECT m.*, ${USAGE_COLUMNS}
+             FROM media m
+             ${whereClause}
+             ORDER BY m.created_at DESC, m.id DESC
+             LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+
+        const { total } = countResult.rows[0];
+
+        res.json({
+            status: 'success',
+            data: result.rows.map(formatMedia),
+            pagination: {
+                page,
+                limit,
+                total,
+                total_pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching media:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch media',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// UPLOAD MEDIA (AUTH REQUIRED)
+// multipart: files[] + alt_text? + tags? (berlaku untuk semua file)
+// ============================================
+router.post('/upload', authenticateToken, requireEditor, upload.array('files', 10), async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'At least one file is required'
+        });
+    }
+
+    const client = await pool.connect();
+    const stored = [];
+
+    try {
+        await client.query('BEGIN');
+
+        const tags = parseTags(req.body.tags);
+        const altText = req.body.alt_text ? String(req.body.alt_text).trim() : null;
+        const created = [];
+
+        for (const file of req.files) {
+            const isImage = file.mimetype.startsWith('image/');
+
+            const asset = isImage
+                ? await storeImage(file, 'media')
+                : { url: await saveFile(file, 'media'), width: null, height: null, variants: null };
+            stored.push(asset);
+
+            const result = await client.query(`
+                INSERT INTO media
+                (url, media_type, mime_type, file_name, size_bytes, width, height, variants, alt_text, tags, uploaded_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                RETURNING *
+            `, [
+                asset.url, isImage ? 'image' : 'document', file.mimetype, file.originalname, file.size,
+                asset.width, asset.height, asset.variants ? JSON.stringify(asset.variants) : null,
+                altText, tags, req.user.id
+            ]);
+
+            created.push(formatMedia({ ...result.rows[0], hero_usage: 0, gallery_usage: 0 }));
+        }
+
+        await client.query('COMMIT');
+
+        console.log(`✅ ${created.length} media uploaded`);
+
+        for (const media of created) {
+            await recordAudit(req, {
+                action: 'create',
+                resourceType: 'media',
+                resourceId: media.id,
+                after: media
+            });
+        }
+
+        res.status(201).json({
+            status: 'success',
+            message: `${created.length} file(s) uploaded successfully`,
+            data: created
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+
+        // Record di-rollback, jadi semua asset yang sudah tersimpan dihapus lagi
+        stored.forEach(asset => {
+            deleteImage(asset.url, asset.variants).catch(console.error);
+        });
+
+        console.error('❌ Media upload error:', error);
+        if (isInvalidImage(error)) {
+            return res.status(400).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to upload media',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// ============================================
+// GET SINGLE MEDIA (AUTH REQUIRED)
+// ============================================
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const media = await fetchMedia(pool, parseInt(req.params.id) || 0);
+
+        if (!media) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Media not found'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: media
+        });
+    } catch (error) {
+        console.error('Error fetching media:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch media',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// UPDATE ALT TEXT / TAGS (AUTH REQUIRED)
+// Body: { alt_text?, tags? } - tags mengganti semua tag lama
+// ============================================
+router.put('/:id', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const mediaId = parseInt(req.params.id) || 0;
+        const before = await fetchMedia(pool, mediaId);
+
+        if (!before) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Media not found'
+            });
+        }
+
+        const { alt_text, tags } = req.body || {};
+
+        if (alt_text === undefined && tags === undefined) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'No fields to update'
+            });
+        }
+
+        await pool.query(`
+            UPDATE media
+            SET alt_text = $1, tags = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3
+        `, [
+            alt_text === undefined ? before.alt_text : (String(alt_text).trim() || null),
+            tags === undefined ? before.tags : parseTags(tags),
+            mediaId
+        ]);
+
+        const media = await fetchMedia(pool, mediaId);
+
+        await recordAudit(req, {
+            action: 'update',
+            resourceType: 'media',
+            resourceId: mediaId,
+            before,
+            after: media
+        });
+
+        res.json({
+            status: 'success',
+            message: 'Media updated successfully',
+            data: media
+        });
+    } catch (error) {
+        console.error('Error updating media:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update media',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// ATTACH MEDIA TO HERO SLIDE / GALLERY PROJECT (AUTH REQUIRED)
+// Body: { target: 'hero_slide'|'gallery_project', target_id, is_primary? }
+// ============================================
+router.post('/:id/attach', authenticateToken, requireEditor, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const mediaId = parseInt(req.params.id) || 0;
+        const body = req.body || {};
+        const { target } = body;
+        const targetId = parseInt(body.target_id);
+
+        if (!ATTACH_TARGETS.includes(target) || isNaN(targetId)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `target (${ATTACH_TARGETS.join(' or ')}) and target_id are required`
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const media = await fetchMedia(client, mediaId);
+
+        if (!media) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                status: 'error',
+                message: 'Media not found'
+            });
+        }
+
+        if (media.media_type !== 'image') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                status: 'error',
+                message: 'Only images can be attached to hero slides or gallery projects'
+            });
+        }
+
+        let attached;
+        let before = null;
+
+        if (target === 'hero_slide') {
+            const slideResult = await client.query('SELECT * FROM hero_slides WHERE id = $1 FOR UPDATE', [targetId]);
+            before = slideResult.rows[0];
+
+            const result = await client.query(`
+                UPDATE hero_slides
+                SET image_url = $1, image_width = $2, image_height = $3, image_variants = $4,
+                    media_id = $5, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $6
+                RETURNING *
+            `, [media.url, media.width, media.height, JSON.stringify(media.variants), media.id, targetId]);
+            attached = result.rows[0];
+
+            // Ganti gambar lewat media library tetap masuk revision history slide
+            if (attached) {
+                await saveRevision(client, {
+                    resourceType: 'hero_slides',
+                    resourceKey: targetId,
+                    before: pickFields(before, REVISION_FIELDS.hero_slides),
+                    after: pickFields(attached, REVISION_FIELDS.hero_slides),
+                    user: req.user
+                });
+            }
+        } else {
+            const projectResult = await client.query(
+                'SELECT id FROM gallery_projects WHERE id = $1 FOR UPDATE',
+                [targetId]
+            );
+
+            if (projectResult.rows.length > 0) {
+                const statsResult = await client.query(
+                    `SELECT COALESCE(MAX(image_order), -1) + 1 AS next_order, COUNT(*)::int AS total
+                     FROM gallery_images WHERE project_id = $1`,
+                    [targetId]
+                );
+                const { next_order, total } = statsResult.rows[0];
+                const isPrimary = total === 0 || body.is_primary === true || body.is_primary === 'true';
+
+                if (isPrimary) {
+                    await client.query('UPDATE gallery_images SET is_primary = false WHERE project_id = $1', [targetId]);
+                }
+
+                const result = await client.query(`
+                    INSERT INTO gallery_images (project_id, image_url, image_order, is_primary, width, height, variants, media_id)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                    RETURNING *
+                `, [targetId, media.url, next_order, isPrimary, media.width, media.height, JSON.stringify(media.variants), media.id]);
+                attached = result.rows[0];
+            }
+        }
+
+        if (!attached) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                status: 'error',
+                message: target === 'hero_slide' ? 'Hero slide not found' : 'Project not found'
+            });
+        }
+
+        await client.query('COMMIT');
+
+        if (target === 'gallery_project') {
+            getCache('gallery').clear();
+        }
+
+        console.log(`✅ Media ${mediaId} attached to ${target} ${targetId}`);
+
+        await recordAudit(req, {
+            action: 'attach_media',
+            resourceType: target === 'hero_slide' ? 'hero_slides' : 'gallery_projects',
+            resourceId: targetId,
+            before,
+            after: attached
+        });
+
+        res.json({
+            status: 'success',
+            message: 'Media attached successfully',
+            data: attached
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('❌ Media attach error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to attach media',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// ============================================
+// DELETE MEDIA (AUTH REQUIRED)
+// Ditolak kalau masih dipakai di hero / gallery, atau dirujuk revisi
+// (restore revisi lama tidak boleh menghasilkan gambar yang hilang)
+// ============================================
+router.delete('/:id', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const mediaId = parseInt(req.params.id) || 0;
+        const media = await fetchMedia(pool, mediaId);
+
+        if (!media) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Media not found'
+            });
+        }
+
+        if (media.hero_usage > 0 || media.gallery_usage > 0) {
+            return res.status(409).json({
+                status: 'error',
+                message: 'Media is still in use. Detach it from hero slides and gallery projects first.',
+                usage: {
+                    hero_slides: media.hero_usage,
+                    gallery_images: media.gallery_usage
+                }
+            });
+        }
+
+        const revisionResult = await pool.query(
+            `SELECT COUNT(*)::int AS total FROM content_revisions
+             WHERE content->>'media_id' = $1 OR content->>'image_url' = $2`,
+            [String(mediaId), media.url]
+        );
+
+        if (revisionResult.rows[0].total > 0) {
+            return res.status(409).json({
+                status: 'error',
+                message: 'Media is referenced by revision history and cannot be deleted.',
+                usage: {
+                    hero_slides: media.hero_usage,
+                    gallery_images: media.gallery_usage,
+                    content_revisions: revisionResult.rows[0].total
+                }
+            });
+        }
+
+        await pool.query('DELETE FROM media WHERE id = $1', [mediaId]);
+        await deleteImage(media.url, media.variants);
+
+        await recordAudit(req, {
+            action: 'delete',
+            resourceType: 'media',
+            resourceId: mediaId,
+            before: media
+        });
+
+        res.json({
+            status: 'success',
+            message: 'Media deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting media:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to delete media',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,342 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/db');
+const { authenticateToken, requireEditor } = require('../middleware/auth');
+const { imageUpload: upload } = require('../middleware/upload');
+const { saveFile, deleteFile } = require('../utils/storage');
+
+const MAX_PHOTOS = 6;
+const QUOTE_STATUSES = ['new', 'quoted', 'accepted', 'rejected'];
+// Estimasi hanya boleh dikirim / direvisi sebelum customer memutuskan
+const RESPONDABLE_STATUSES = ['new', 'quoted'];
+
+// ============================================
+// HELPER: Parse damaged panels (array, JSON string atau "hood, roof")
+// ============================================
+function parsePanels(value) {
+    if (!value) return [];
+
+    let panels = value;
+    if (typeof value === 'string') {
+        try {
+            panels = JSON.parse(value);
+        } catch (e) {
+            panels = value.split(',');
+        }
+    }
+
+    if (!Array.isArray(panels)) {
+        panels = [panels];
+    }
+
+    return panels
+        .map(panel => String(panel).trim())
+        .filter(panel => panel.length > 0);
+}
+
+async function fetchQuote(db, id) {
+    const quoteResult = await db.query(
+        'SELECT * FROM quote_requests WHERE id = $1',
+        [id]
+    );
+
+    if (quoteResult.rows.length === 0) {
+        return null;
+    }
+
+    const photosResult = await db.query(`
+        SELECT id, image_url, image_order
+        FROM quote_request_photos
+        WHERE quote_id = $1
+        ORDER BY image_order ASC
+    `, [id]);
+
+    return {
+        ...quoteResult.rows[0],
+        photos: photosResult.rows
+    };
+}
+
+// ============================================
+// SUBMIT QUOTE REQUEST (PUBLIC)
+// ============================================
+router.post('/', upload.array('photos', MAX_PHOTOS), async (req, res) => {
+    const {
+        customer_name,
+        customer_phone,
+        customer_email,
+        vehicle_make,
+        vehicle_model,
+        vehicle_year,
+        paint_code,
+        description,
+        damaged_panels
+    } = req.body || {};
+    const damagedPanels = parsePanels(damaged_panels);
+
+    if (!customer_name || !customer_phone || !vehicle_make || !vehicle_model) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'customer_name, customer_phone, vehicle_make and vehicle_model are required'
+        });
+    }
+
+    if (damagedPanels.length === 0) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'At least one damaged panel is required'
+        });
+    }
+
+    const year = vehicle_year ? parseInt(vehicle_year) : null;
+    if (vehicle_year && (isNaN(year) || year < 1950 || year > new Date().getFullYear() + 1)) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'vehicle_year is not a valid year'
+        });
+    }
+
+    const uploadedUrls = [];
+    let client = null;
+    let committed = false;
+
+    try {
+        // Upload foto dulu, di luar transaksi: koneksi DB tidak tertahan selama upload ke storage
+        if (req.files && req.files.length > 0) {
+            console.log(`📸 Uploading ${req.files.length} damage photos...`);
+
+            for (const file of req.files) {
+                const imageUrl = await saveFile(file, 'quotes');
+                if (imageUrl) {
+                    uploadedUrls.push(imageUrl);
+                }
+            }
+        }
+
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        const quoteResult = await client.query(`
+            INSERT INTO quote_requests
+            (customer_name, customer_phone, customer_email, vehicle_make, vehicle_model, vehicle_year, paint_code, damaged_panels, description)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING id
+        `, [
+            customer_name, customer_phone, customer_email || null,
+            vehicle_make, vehicle_model, year, paint_code || null,
+            damagedPanels, description || null
+        ]);
+
+        const quoteId = quoteResult.rows[0].id;
+        console.log('📝 Quote request created:', quoteId);
+
+        for (let i = 0; i < uploadedUrls.length; i++) {
+            await client.query(`
+                INSERT INTO quote_request_photos (quote_id, image_url, image_order)
+                VALUES ($1, $2, $3)
+            `, [quoteId, uploadedUrls[i], i]);
+        }
+
+        await client.query('COMMIT');
+        committed = true;
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Quote request submitted successfully',
+            data: await fetchQuote(client, quoteId)
+        });
+    } catch (error) {
+        if (client && !committed) {
+            await client.query('ROLLBACK');
+        }
+
+        // Foto yang sudah terupload tidak punya record, hapus dari storage
+        if (!committed) {
+            uploadedUrls.forEach(url => {
+                deleteFile(url).catch(console.error);
+            });
+        }
+
+        console.error('❌ Quote request error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to submit quote request',
+            error: error.message
+        });
+    } finally {
+        if (client) {
+            client.release();
+        }
+    }
+});
+
+// ============================================
+// LIST QUOTE REQUESTS (AUTH REQUIRED)
+// ============================================
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        if (status && !QUOTE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Invalid status. Allowed: ${QUOTE_STATUSES.join(', ')}`
+            });
+        }
+
+        const result = await pool.query(`
+            SELECT q.*,
+                   (SELECT COUNT(*)::int FROM quote_request_photos p WHERE p.quote_id = q.id) AS photo_count
+            FROM quote_requests q
+            WHERE ($1::text IS NULL OR q.status = $1)
+            ORDER BY q.created_at DESC
+        `, [status || null]);
+
+        res.json({
+            status: 'success',
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('Error fetching quote requests:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch quote requests',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// GET SINGLE QUOTE REQUEST (AUTH REQUIRED)
+// ============================================
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const quote = await fetchQuote(pool, parseInt(req.params.id) || 0);
+
+        if (!quote) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Quote request not found'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: quote
+        });
+    } catch (error) {
+        console.error('Error fetching quote request:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch quote request',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// RESPOND WITH PRICE ESTIMATE (AUTH REQUIRED)
+// Hanya untuk quote berstatus new / quoted (quote yang sudah accepted / rejected tidak diubah)
+// ============================================
+router.post('/:id/respond', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const quoteId = parseInt(req.params.id) || 0;
+        const { estimated_price, estimate_notes } = req.body || {};
+        const price = parseFloat(estimated_price);
+
+        if (isNaN(price) || price < 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'estimated_price must be a positive number'
+            });
+        }
+
+        const result = await pool.query(`
+            UPDATE quote_requests
+            SET status = 'quoted', estimated_price = $1, estimate_notes = $2,
+                responded_by = $3, responded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $4 AND status = ANY($5::text[])
+            RETURNING id
+        `, [price, estimate_notes || null, req.user.id, quoteId, RESPONDABLE_STATUSES]);
+
+        if (result.rows.length === 0) {
+            const existing = await pool.query('SELECT status FROM quote_requests WHERE id = $1', [quoteId]);
+            return res.status(existing.rows.length > 0 ? 409 : 404).json({
+                status: 'error',
+                message: existing.rows.length > 0
+                    ? `Cannot send an estimate for a ${existing.rows[0].status} quote request`
+                    : 'Quote request not found'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Quote sent successfully',
+            data: await fetchQuote(pool, quoteId)
+        });
+    } catch (error) {
+        console.error('Error responding to quote request:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to respond to quote request',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// UPDATE QUOTE STATUS (AUTH REQUIRED)
+// ============================================
+router.post('/:id/status', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const quoteId = parseInt(req.params.id) || 0;
+        const { status } = req.body || {};
+
+        if (!QUOTE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Invalid status. Allowed: ${QUOTE_STATUSES.join(', ')}`
+            });
+        }
+
+        const existing = await pool.query(
+            'SELECT id, estimated_price FROM quote_requests WHERE id = $1',
+            [quoteId]
+        );
+
+        if (existing.rows.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Quote request not found'
+            });
+        }
+
+        // Quote harus punya estimasi harga sebelum bisa di-accept
+        if (status !== 'new' && status !== 'rejected' && existing.rows[0].estimated_price === null) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Attach a price estimate before marking the quote as quoted or accepted'
+            });
+        }
+
+        await pool.query(
+            'UPDATE quote_requests SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [status, quoteId]
+        );
+
+        res.json({
+            status: 'success',
+            message: 'Quote status updated successfully',
+            data: await fetchQuote(pool, quoteId)
+        });
+    } catch (error) {
+        console.error('Error updating quote status:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update quote status',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
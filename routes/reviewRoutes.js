@@ -0,0 +1,457 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/db');
+const { authenticateToken, requireEditor } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { getCache, cacheResponse } = require('../utils/cache');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+const MIN_TEXT_LENGTH = 10;
+const MAX_TEXT_LENGTH = 2000;
+
+// Review yang tampil di publik berubah hanya saat dimoderasi
+const reviewCache = getCache('reviews', { ttlSeconds: parseInt(process.env.REVIEWS_CACHE_TTL_SECONDS) || 60 });
+
+// Kolom publik: tanpa IP / data moderasi
+const PUBLIC_COLUMNS = `
+    r.id, r.customer_name, r.rating, r.review_text, r.is_featured, r.created_at,
+    r.service_id, s.title AS service_title, s.slug AS service_slug,
+    r.gallery_project_id, g.title AS gallery_project_title
+`;
+
+const REVIEW_JOINS = `
+    LEFT JOIN services s ON s.id = r.service_id
+    LEFT JOIN gallery_projects g ON g.id = r.gallery_project_id
+`;
+
+function formatReview(row) {
+    const { service_title, service_slug, gallery_project_title, ...review } = row;
+    return {
+        ...review,
+        service: review.service_id ? { id: review.service_id, title: service_title, slug: service_slug } : null,
+        gallery_project: review.gallery_project_id ? { id: review.gallery_project_id, title: gallery_project_title } : null
+    };
+}
+
+// { review_count, average_rating, distribution: { 1: n, ..., 5: n } }
+function formatStats(row) {
+    return {
+        review_count: row.review_count,
+        average_rating: row.review_count > 0 ? Math.round(Number(row.average_rating) * 100) / 100 : null,
+        distribution: { 1: row.rating_1, 2: row.rating_2, 3: row.rating_3, 4: row.rating_4, 5: row.rating_5 }
+    };
+}
+
+const STATS_COLUMNS = `
+    COUNT(*)::int AS review_count,
+    AVG(r.rating) AS average_rating,
+    COUNT(*) FILTER (WHERE r.rating = 1)::int AS rating_1,
+    COUNT(*) FILTER (WHERE r.rating = 2)::int AS rating_2,
+    COUNT(*) FILTER (WHERE r.rating = 3)::int AS rating_3,
+    COUNT(*) FILTER (WHERE r.rating = 4)::int AS rating_4,
+    COUNT(*) FILTER (WHERE r.rating = 5)::int AS rating_5
+`;
+
+function reviewNotFound(res) {
+    return res.status(404).json({
+        status: 'error',
+        message: 'Review not found'
+    });
+}
+
+// ============================================
+// SUBMIT REVIEW (PUBLIC)
+// Body: { customer_name, rating (1-5), review_text, service_id?, gallery_project_id? }
+// Masuk antrian moderasi, belum tampil sampai di-approve
+// ============================================
+router.post('/', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const customerName = body.customer_name ? String(body.customer_name).trim() : '';
+        const reviewText = body.review_text ? String(body.review_text).trim() : '';
+        const rating = Number(body.rating);
+        const serviceId = body.service_id ? parseInt(body.service_id) : null;
+        const projectId = body.gallery_project_id ? parseInt(body.gallery_project_id) : null;
+
+        if (!customerName || customerName.length > 100) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'customer_name is required (max 100 characters)'
+            });
+        }
+
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'rating must be a whole number between 1 and 5'
+            });
+        }
+
+        if (reviewText.length < MIN_TEXT_LENGTH || reviewText.length > MAX_TEXT_LENGTH) {
+            return res.status(400).json({
+                status: 'error',
+                message: `review_text must be between ${MIN_TEXT_LENGTH} and ${MAX_TEXT_LENGTH} characters`
+            });
+        }
+
+        if (Number.isNaN(serviceId) || Number.isNaN(projectId)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'service_id and gallery_project_id must be numeric IDs'
+            });
+        }
+
+        if (serviceId) {
+            const serviceResult = await pool.query(
+                'SELECT id FROM services WHERE id = $1 AND is_active = true',
+                [serviceId]
+            );
+
+            if (serviceResult.rows.length === 0) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Selected service does not exist'
+                });
+            }
+        }
+
+        if (projectId) {
+            const projectResult = await pool.query(
+                "SELECT id FROM gallery_projects WHERE id = $1 AND is_active = true AND status IN ('published', 'scheduled')",
+                [projectId]
+            );
+
+            if (projectResult.rows.length === 0) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Selected gallery project does not exist'
+                });
+            }
+        }
+
+        const result = await pool.query(
+            `INSERT INTO reviews (customer_name, rating, review_text, service_id, gallery_project_id, ip, user_agent)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING id, status, created_at`,
+            [
+                customerName, rating, reviewText, serviceId, projectId,
+                req.ip, (req.get('user-agent') || '').substring(0, 255)
+            ]
+        );
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Thank you! Your review will appear after it has been approved.',
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('❌ Submit review error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to submit review'
+        });
+    }
+});
+
+// ============================================
+// GET APPROVED REVIEWS (PUBLIC)
+// Query: ?service_id= &gallery_project_id= &featured=true &page= &limit=
+// stats: rating rata-rata & distribusi, total dan per service
+// ============================================
+router.get('/', cacheResponse(reviewCache), async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+        const offset = (page - 1) * limit;
+
+        const conditions = ["r.status = 'approved'"];
+        const values = [];
+
+        if (req.query.service_id) {
+            values.push(parseInt(req.query.service_id) || 0);
+            conditions.push(`r.service_id = $${values.length}`);
+        }
+
+        if (req.query.gallery_project_id) {
+            values.push(parseInt(req.query.gallery_project_id) || 0);
+            conditions.push(`r.gallery_project_id = $${values.length}`);
+        }
+
+        // Statistik tidak ikut filter featured supaya rata-rata tetap jujur
+        const statsClause = conditions.join(' AND ');
+
+        if (req.query.featured === 'true') {
+            conditions.push('r.is_featured = true');
+        }
+
+        const whereClause = conditions.join(' AND ');
+
+        const countResult = await pool.query(
+            `SELECT COUNT(*)::int AS total FROM reviews r WHERE ${whereClause}`,
+            values
+        );
+
+        const result = await pool.query(
+            `SELECT ${PUBLIC_COLUMNS}
+             FROM reviews r
+             ${REVIEW_JOINS}
+             WHERE ${whereClause}
+             ORDER BY r.is_featured DESC, r.created_at DESC
+             LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+
+        const overallResult = await pool.query(
+            `SELECT ${STATS_COLUMNS} FROM reviews r WHERE ${statsClause}`,
+            values
+        );
+
+        const serviceStatsResult = await pool.query(
+            `SELECT s.id AS service_id, s.title, s.slug, ${STATS_COLUMNS}
+             FROM reviews r
+             JOIN services s ON s.id = r.service_id
+             WHERE ${statsClause}
+             GROUP BY s.id, s.title, s.slug
+             ORDER BY s.service_order ASC, s.id ASC`,
+            values
+        );
+
+        const { total } = countResult.rows[0];
+
+        res.json({
+            status: 'success',
+            data: result.rows.map(formatReview),
+            stats: {
+                overall: formatStats(overallResult.rows[0]),
+                services: serviceStatsResult.rows.map(row => ({
+                    service_id: row.service_id,
+                    title: row.title,
+                    slug: row.slug,
+                    ...formatStats(row)
+                }))
+            },
+            pagination: {
+                page,
+                limit,
+                total,
+                total_pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('❌ Get reviews error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch reviews',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// MODERATION QUEUE (AUTH REQUIRED)
+// Query: ?status=pending|approved|rejected (default pending) &page= &limit=
+// ============================================
+router.get('/moderation', authenticateToken, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const offset = (page - 1) * limit;
+        const status = req.query.status || 'pending';
+
+        if (!REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Invalid status. Allowed: ${REVIEW_STATUSES.join(', ')}`
+            });
+        }
+
+        const countResult = await pool.query(`
+            SELECT
+                COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+                COUNT(*) FILTER (WHERE status = 'approved')::int AS approved,
+                COUNT(*) FILTER (WHERE status = 'rejected')::int AS rejected
+            FROM reviews
+        `);
+
+        const result = await pool.query(
+            `SELECT r.*, s.title AS service_title, s.slug AS service_slug,
+                    g.title AS gallery_project_title, a.username AS moderated_by_username
+             FROM reviews r
+             ${REVIEW_JOINS}
+             LEFT JOIN admin_users a ON a.id = r.moderated_by
+             WHERE r.status = $1
+             ORDER BY r.created_at ${status === 'pending' ? 'ASC' : 'DESC'}
+             LIMIT $2 OFFSET $3`,
+            [status, limit, offset]
+        );
+
+        const counts = countResult.rows[0];
+        const total = counts[status];
+
+        res.json({
+            status: 'success',
+            data: result.rows.map(formatReview),
+            counts,
+            pagination: {
+                page,
+                limit,
+                total,
+                total_pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('❌ Get moderation queue error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch moderation queue',
+            error: error.message
+        });
+    }
+});
+
+// Ubah status moderasi + audit. buildFields(body): kolom yang di-set selain moderated_by/moderated_at
+async function moderateReview(req, res, { action, buildFields, message }) {
+    try {
+        const reviewId = parseInt(req.params.id) || 0;
+        // Express 5: req.body undefined kalau request tanpa body
+        const fields = buildFields(req.body || {});
+
+        const beforeResult = await pool.query('SELECT * FROM reviews WHERE id = $1', [reviewId]);
+
+        if (beforeResult.rows.length === 0) {
+            return reviewNotFound(res);
+        }
+
+        const entries = Object.entries(fields);
+        const result = await pool.query(
+            `UPDATE reviews
+             SET ${entries.map(([field], i) => `${field} = $${i + 1}`).join(', ')},
+                 moderated_by = $${entries.length + 1}, moderated_at = CURRENT_TIMESTAMP,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $${entries.length + 2}
+             RETURNING *`,
+            [...entries.map(([, value]) => value), req.user.id, reviewId]
+        );
+
+        reviewCache.clear();
+
+        await recordAudit(req, {
+            action,
+            resourceType: 'reviews',
+            resourceId: reviewId,
+            before: beforeResult.rows[0],
+            after: result.rows[0]
+        });
+
+        res.json({
+            status: 'success',
+            message,
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error(`❌ Review ${action} error:`, error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to moderate review',
+            error: error.message
+        });
+    }
+}
+
+// ============================================
+// APPROVE REVIEW (AUTH REQUIRED)
+// ============================================
+router.post('/:id/approve', authenticateToken, requireEditor, (req, res) => moderateReview(req, res, {
+    action: 'approve',
+    buildFields: () => ({ status: 'approved', rejection_reason: null }),
+    message: 'Review approved'
+}));
+
+// ============================================
+// REJECT REVIEW (AUTH REQUIRED)
+// Body: { reason? } - catatan internal, tidak ditampilkan ke publik
+// ============================================
+router.post('/:id/reject', authenticateToken, requireEditor, (req, res) => moderateReview(req, res, {
+    action: 'reject',
+    buildFields: (body) => ({
+        status: 'rejected',
+        is_featured: false,
+        rejection_reason: body.reason ? String(body.reason).trim().substring(0, 500) : null
+    }),
+    message: 'Review rejected'
+}));
+
+// ============================================
+// FEATURE / UNFEATURE REVIEW (AUTH REQUIRED)
+// Body: { is_featured: true|false } - hanya review yang sudah approved
+// ============================================
+router.post('/:id/feature', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const isFeatured = body.is_featured !== false && body.is_featured !== 'false';
+
+        const checkResult = await pool.query('SELECT status FROM reviews WHERE id = $1', [parseInt(req.params.id) || 0]);
+
+        if (checkResult.rows.length === 0) {
+            return reviewNotFound(res);
+        }
+
+        if (isFeatured && checkResult.rows[0].status !== 'approved') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Only approved reviews can be featured'
+            });
+        }
+
+        return moderateReview(req, res, {
+            action: isFeatured ? 'feature' : 'unfeature',
+            buildFields: () => ({ is_featured: isFeatured }),
+            message: isFeatured ? 'Review featured' : 'Review removed from featured'
+        });
+    } catch (error) {
+        console.error('❌ Review feature error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to moderate review',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// DELETE REVIEW (AUTH REQUIRED) - untuk spam
+// ============================================
+router.delete('/:id', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const reviewId = parseInt(req.params.id) || 0;
+
+        const result = await pool.query('DELETE FROM reviews WHERE id = $1 RETURNING *', [reviewId]);
+
+        if (result.rows.length === 0) {
+            return reviewNotFound(res);
+        }
+
+        reviewCache.clear();
+
+        await recordAudit(req, {
+            action: 'delete',
+            resourceType: 'reviews',
+            resourceId: reviewId,
+            before: result.rows[0]
+        });
+
+        res.json({
+            status: 'success',
+            message: 'Review deleted successfully'
+        });
+    } catch (error) {
+        console.error('❌ Delete review error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to delete review',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,18 +1,125 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
-const { query } = require('../config/db');
+const { authenticateToken, requireEditor } = require('../middleware/auth');
+const { imageUpload: upload } = require('../middleware/upload');
+const { query, pool } = require('../config/db');
+const { recordAudit, keyBy } = require('../utils/audit');
+const { isInvalidImage, storeImage, buildSrcset } = require('../utils/imageProcessor');
+const { REVISION_FIELDS, pickFields, saveRevision, registerRevisionRoutes } = require('../utils/revisions');
+const { parsePriceCell, buildMatrix } = require('../utils/pricing');
+const { translateRows, translateRow, registerTranslationRoutes } = require('../utils/i18n');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Field yang boleh diubah lewat bulk POST /update
+const BULK_UPDATE_FIELDS = ['icon', 'title', 'description'];
+
+async function saveServiceRevision(req, before, after) {
+    await saveRevision(pool, {
+        resourceType: 'services',
+        resourceKey: after.id,
+        before: before ? pickFields(before, REVISION_FIELDS.services) : null,
+        after: pickFields(after, REVISION_FIELDS.services),
+        user: req.user
+    });
+}
+
+// Tambahkan srcset siap pakai dari varian responsive
+function formatService(service) {
+    if (!service) return service;
+    return {
+        ...service,
+        image_variants: service.image_variants || [],
+        image_srcset: buildSrcset(service.image_variants)
+    };
+}
+
+// "Poles & Coating Mobil" -> "poles-coating-mobil"
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // Buang aksen (é -> e)
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 120);
+}
+
+// Validasi field katalog. Return { values } (hanya field yang dikirim) atau { error }
+function parseServiceFields(body) {
+    const values = {};
+    
+    ['icon', 'title', 'description'].forEach(field => {
+        if (body[field] !== undefined) {
+            values[field] = body[field] === null ? '' : String(body[field]).trim();
+        }
+    });
+    
+    if (values.title === '' || values.icon === '' || values.description === '') {
+        return { error: 'icon, title and description cannot be empty' };
+    }
+    
+    if ((values.title && values.title.length > 100) || (values.icon && values.icon.length > 50)) {
+        return { error: 'title must be at most 100 characters and icon at most 50' };
+    }
+    
+    if (body.slug !== undefined) {
+        values.slug = String(body.slug).trim().toLowerCase();
+        
+        if (!SLUG_PATTERN.test(values.slug) || values.slug.length > 120) {
+            return { error: 'slug may only contain lowercase letters, numbers and single dashes (max 120 characters)' };
+        }
+    }
+    
+    if (body.long_description !== undefined) {
+        values.long_description = body.long_description ? String(body.long_description) : null;
+    }
+    
+    if (body.estimated_duration_minutes !== undefined) {
+        if (body.estimated_duration_minutes === null || body.estimated_duration_minutes === '') {
+            values.estimated_duration_minutes = null;
+        } else {
+            const duration = parseInt(body.estimated_duration_minutes);
+            
+            if (isNaN(duration) || duration <= 0) {
+                return { error: 'estimated_duration_minutes must be a positive number of minutes' };
+            }
+            values.estimated_duration_minutes = duration;
+        }
+    }
+    
+    if (body.is_active !== undefined) {
+        values.is_active = body.is_active === true || body.is_active === 'true';
+    }
+    
+    return { values };
+}
+
+// Slug dipakai untuk URL halaman detail, jadi harus unik
+async function isSlugTaken(slug, excludeId = 0) {
+    const result = await query(
+        'SELECT id FROM services WHERE slug = $1 AND id <> $2',
+        [slug, excludeId]
+    );
+    return result.rows.length > 0;
+}
+
+// 23505 = unique idx_services_slug, kalau request lain menyimpan slug yang sama setelah isSlugTaken
+function isSlugConflict(error) {
+    return error.code === '23505';
+}
 
 // GET all services
 router.get('/', async (req, res) => {
     try {
         const result = await query(
-            'SELECT * FROM services WHERE is_active = true ORDER BY service_order ASC'
+            'SELECT * FROM services WHERE is_active = true ORDER BY service_order ASC, id ASC'
         );
+        const services = await translateRows(pool, 'services', result.rows, req.locale);
 
         res.json({
             status: 'success',
-            data: result.rows
+            data: services.map(formatService)
         });
     } catch (error) {
         console.error('Error fetching services:', error);
@@ -24,14 +131,43 @@ router.get('/', async (req, res) => {
     }
 });
 
-// GET single service by ID
-router.get('/:id', async (req, res) => {
+// GET all services including soft-deleted (requires authentication)
+router.get('/all', authenticateToken, async (req, res) => {
     try {
-        const serviceId = parseInt(req.params.id);
         const result = await query(
-            'SELECT * FROM services WHERE id = $1',
-            [serviceId]
+            'SELECT * FROM services ORDER BY service_order ASC, id ASC'
         );
+
+        res.json({
+            status: 'success',
+            data: result.rows.map(formatService)
+        });
+    } catch (error) {
+        console.error('Error fetching services:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch services',
+            error: error.message
+        });
+    }
+});
+
+// Cari service dari parameter URL: angka = id, selain itu slug (slug hanya untuk service aktif)
+async function findService(param) {
+    const isId = /^\d+$/.test(param);
+    const result = await query(
+        isId
+            ? 'SELECT * FROM services WHERE id = $1'
+            : 'SELECT * FROM services WHERE slug = $1 AND is_active = true',
+        [isId ? parseInt(param) : String(param).toLowerCase()]
+    );
+    return result;
+}
+
+// GET single service by ID or slug (halaman detail publik)
+router.get('/:id', async (req, res) => {
+    try {
+        const result = await findService(req.params.id);
         
         if (result.rows.length === 0) {
             return res.status(404).json({
@@ -42,7 +178,7 @@ router.get('/:id', async (req, res) => {
         
         res.json({
             status: 'success',
-            data: result.rows[0]
+            data: formatService(await translateRow(pool, 'services', result.rows[0], req.locale))
         });
     } catch (error) {
         console.error('Error fetching service:', error);
@@ -54,10 +190,374 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// GET price matrix of a service (public)
+// data.prices: { city_car: { solid: { price_min, price_max } | null, ... }, ... } - harga per panel
+router.get('/:id/prices', async (req, res) => {
+    try {
+        const serviceResult = await findService(req.params.id);
+        const service = await translateRow(pool, 'services', serviceResult.rows[0], req.locale);
+        
+        if (!service || !service.is_active) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Service not found'
+            });
+        }
+        
+        const pricesResult = await query(
+            'SELECT vehicle_class, paint_finish, price_min, price_max, updated_at FROM service_prices WHERE service_id = $1',
+            [service.id]
+        );
+        
+        res.json({
+            status: 'success',
+            data: {
+                service_id: service.id,
+                slug: service.slug,
+                title: service.title,
+                currency: 'IDR',
+                unit: 'panel',
+                prices: buildMatrix(pricesResult.rows)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching service prices:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch service prices',
+            error: error.message
+        });
+    }
+});
+
+// REPLACE price matrix of a service (requires authentication)
+// Body: { prices: [{ vehicle_class, paint_finish, price_min, price_max? }] }
+// Kombinasi yang tidak dikirim dihapus (tidak bisa diestimasi)
+router.put('/:id/prices', authenticateToken, requireEditor, async (req, res) => {
+    const client = await pool.connect();
+    
+    try {
+        const serviceId = parseInt(req.params.id) || 0;
+        const { prices: cells } = req.body || {};
+        
+        if (!Array.isArray(cells)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'prices must be an array'
+            });
+        }
+        
+        const prices = [];
+        for (const cell of cells) {
+            const { price, error } = parsePriceCell(cell);
+            
+            if (error) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: error
+                });
+            }
+            
+            if (prices.some(p => p.vehicle_class === price.vehicle_class && p.paint_finish === price.paint_finish)) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: `Duplicate price for ${price.vehicle_class}/${price.paint_finish}`
+                });
+            }
+            prices.push(price);
+        }
+        
+        await client.query('BEGIN');
+        
+        const serviceResult = await client.query('SELECT id FROM services WHERE id = $1 FOR UPDATE', [serviceId]);
+        
+        if (serviceResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                status: 'error',
+                message: 'Service not found'
+            });
+        }
+        
+        const beforeResult = await client.query(
+            'SELECT vehicle_class, paint_finish, price_min, price_max FROM service_prices WHERE service_id = $1',
+            [serviceId]
+        );
+        
+        await client.query('DELETE FROM service_prices WHERE service_id = $1', [serviceId]);
+        
+        for (const price of prices) {
+            await client.query(
+                `INSERT INTO service_prices (service_id, vehicle_class, paint_finish, price_min, price_max, updated_by)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [serviceId, price.vehicle_class, price.paint_finish, price.price_min, price.price_max, req.user.id]
+            );
+        }
+        
+        await client.query('COMMIT');
+        
+        // NUMERIC dari pg berupa string, samakan dulu supaya diff audit akurat
+        const matrixKey = (row) => ({
+            key: `${row.vehicle_class}.${row.paint_finish}`,
+            price_min: Number(row.price_min),
+            price_max: Number(row.price_max)
+        });
+        
+        await recordAudit(req, {
+            action: 'update_prices',
+            resourceType: 'services',
+            resourceId: serviceId,
+            before: { prices: keyBy(beforeResult.rows.map(matrixKey), 'key') },
+            after: { prices: keyBy(prices.map(matrixKey), 'key') }
+        });
+        
+        res.json({
+            status: 'success',
+            message: 'Service prices updated successfully',
+            data: {
+                service_id: serviceId,
+                currency: 'IDR',
+                unit: 'panel',
+                prices: buildMatrix(prices)
+            }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error updating service prices:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update service prices',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// Revision history & rollback per service (requires authentication)
+registerRevisionRoutes(router, {
+    resourceType: 'services',
+    keyParam: 'id',
+    label: 'service',
+    restore: async (client, id, snapshot) => {
+        const currentResult = await client.query('SELECT * FROM services WHERE id = $1', [parseInt(id) || 0]);
+
+        if (currentResult.rows.length === 0) {
+            return null;
+        }
+
+        // Revisi lama belum punya field katalog baru, pakai nilai sekarang
+        const content = { ...pickFields(currentResult.rows[0], REVISION_FIELDS.services), ...snapshot };
+
+        const result = await client.query(
+            `UPDATE services 
+             SET icon = $1, title = $2, description = $3, is_active = $4,
+                 slug = $6, long_description = $7, estimated_duration_minutes = $8,
+                 image_url = $9, image_width = $10, image_height = $11, image_variants = $12::jsonb,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $5
+             RETURNING *`,
+            [
+                content.icon, content.title, content.description, content.is_active, parseInt(id) || 0,
+                content.slug, content.long_description, content.estimated_duration_minutes,
+                content.image_url, content.image_width, content.image_height,
+                content.image_variants ? JSON.stringify(content.image_variants) : null
+            ]
+        );
+        return result.rows.length > 0 ? pickFields(result.rows[0], REVISION_FIELDS.services) : null;
+    }
+});
+
+// Terjemahan per service (requires authentication)
+registerTranslationRoutes(router, {
+    resourceType: 'services',
+    keyParam: 'id',
+    label: 'service',
+    load: async (db, id) => {
+        const result = await db.query(
+            'SELECT title, description, long_description FROM services WHERE id = $1',
+            [parseInt(id) || 0]
+        );
+        return result.rows[0] || null;
+    }
+});
+
+// CREATE service (requires authentication)
+// Multipart atau JSON: icon, title, description, slug?, long_description?, estimated_duration_minutes?, image?
+// Service baru ditaruh di urutan paling akhir
+router.post('/', authenticateToken, requireEditor, upload.single('image'), async (req, res) => {
+    try {
+        const { values, error } = parseServiceFields(req.body);
+        
+        if (error) {
+            return res.status(400).json({
+                status: 'error',
+                message: error
+            });
+        }
+        
+        if (!values.icon || !values.title || !values.description) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'icon, title and description are required'
+            });
+        }
+        
+        const slug = values.slug || slugify(values.title);
+        
+        if (!slug) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Could not generate a slug from the title, please provide one'
+            });
+        }
+        
+        if (await isSlugTaken(slug)) {
+            return res.status(409).json({
+                status: 'error',
+                message: `Slug "${slug}" is already used by another service`
+            });
+        }
+        
+        const image = req.file ? await storeImage(req.file, 'services') : null;
+        
+        const result = await query(
+            `INSERT INTO services (
+                icon, title, description, slug, long_description, estimated_duration_minutes, is_active,
+                image_url, image_width, image_height, image_variants, service_order
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11::jsonb,
+                (SELECT COALESCE(MAX(service_order), 0) + 1 FROM services))
+            RETURNING *`,
+            [
+                values.icon, values.title, values.description, slug,
+                values.long_description || null,
+                values.estimated_duration_minutes || null,
+                values.is_active !== undefined ? values.is_active : true,
+                image && image.url,
+                image && image.width,
+                image && image.height,
+                image && JSON.stringify(image.variants)
+            ]
+        );
+        const created = result.rows[0];
+
+        await saveServiceRevision(req, null, created);
+
+        await recordAudit(req, {
+            action: 'create',
+            resourceType: 'services',
+            resourceId: created.id,
+            after: created
+        });
+        
+        res.status(201).json({
+            status: 'success',
+            message: 'Service created successfully',
+            data: formatService(created)
+        });
+    } catch (error) {
+        console.error('Error creating service:', error);
+        if (isInvalidImage(error)) {
+            return res.status(400).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+        if (isSlugConflict(error)) {
+            return res.status(409).json({
+                status: 'error',
+                message: 'Slug is already used by another service'
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to create service',
+            error: error.message
+        });
+    }
+});
+
+// REORDER services (requires authentication)
+// Body: { service_ids: [4, 1, 2, 3] } - harus berisi semua service (termasuk nonaktif) tepat satu kali
+router.post('/reorder', authenticateToken, requireEditor, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const { service_ids } = req.body || {};
+        const serviceIds = Array.isArray(service_ids)
+            ? service_ids.map(id => parseInt(id))
+            : null;
+
+        if (!serviceIds || serviceIds.some(isNaN) || new Set(serviceIds).size !== serviceIds.length) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'service_ids must be an array of unique service IDs'
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const beforeResult = await client.query(
+            'SELECT * FROM services ORDER BY service_order ASC, id ASC FOR UPDATE'
+        );
+        const currentIds = beforeResult.rows.map(service => service.id);
+
+        if (serviceIds.length !== currentIds.length || !currentIds.every(id => serviceIds.includes(id))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                status: 'error',
+                message: 'service_ids must contain every service exactly once',
+                expected: currentIds
+            });
+        }
+
+        await client.query(`
+            UPDATE services s
+            SET service_order = v.position, updated_at = CURRENT_TIMESTAMP
+            FROM unnest($1::int[]) WITH ORDINALITY AS v(id, position)
+            WHERE s.id = v.id
+        `, [serviceIds]);
+
+        const result = await client.query(
+            'SELECT * FROM services ORDER BY service_order ASC, id ASC'
+        );
+
+        await client.query('COMMIT');
+
+        await recordAudit(req, {
+            action: 'reorder',
+            resourceType: 'services',
+            before: keyBy(beforeResult.rows, 'id'),
+            after: keyBy(result.rows, 'id')
+        });
+
+        res.json({
+            status: 'success',
+            message: 'Services reordered successfully',
+            data: result.rows.map(formatService)
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error reordering services:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to reorder services',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
 // UPDATE all services (requires authentication)
-router.post('/update', authenticateToken, async (req, res) => {
+// Body: { services: [{ id, icon, title, description }] } - dicocokkan berdasarkan id,
+// urutan array diabaikan (pakai POST /reorder untuk mengubah urutan).
+// Field yang tidak dikirim tidak diubah; field lain (slug, gambar, dll) lewat PUT /:id
+router.post('/update', authenticateToken, requireEditor, async (req, res) => {
     try {
-        const { services } = req.body;
+        const { services } = req.body || {};
         
         if (!services || !Array.isArray(services)) {
             return res.status(400).json({
@@ -66,28 +566,83 @@ router.post('/update', authenticateToken, async (req, res) => {
             });
         }
         
+        if (services.some(service => !service || isNaN(parseInt(service.id)))) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Every service must include its id'
+            });
+        }
+        
+        const updates = [];
+        for (const service of services) {
+            // Field lain di entry diabaikan, field yang undefined dilewati parseServiceFields
+            const { values, error } = parseServiceFields(
+                Object.fromEntries(BULK_UPDATE_FIELDS.map(field => [field, service[field]]))
+            );
+
+            if (error) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: `Service ${parseInt(service.id)}: ${error}`
+                });
+            }
+
+            updates.push({ id: parseInt(service.id), values });
+        }
+        
+        const beforeResult = await query(
+            'SELECT * FROM services ORDER BY service_order ASC, id ASC'
+        );
+
+        const unknownIds = services
+            .map(service => parseInt(service.id))
+            .filter(id => !beforeResult.rows.some(row => row.id === id));
+
+        if (unknownIds.length > 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Some services were not found',
+                missing_ids: unknownIds
+            });
+        }
+
         // Update each service
-        for (let i = 0; i < services.length; i++) {
-            const service = services[i];
-            const serviceOrder = i + 1;
+        for (const { id, values } of updates) {
+            const fields = Object.keys(values);
+            if (fields.length === 0) continue;
 
             await query(
                 `UPDATE services 
-                 SET icon = $1, title = $2, description = $3, updated_at = CURRENT_TIMESTAMP
-                 WHERE service_order = $4`,
-                [service.icon, service.title, service.description, serviceOrder]
+                 SET ${fields.map((field, i) => `${field} = $${i + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $${fields.length + 1}`,
+                [...fields.map(field => values[field]), id]
             );
         }
         
         // Fetch updated data
         const result = await query(
-            'SELECT * FROM services WHERE is_active = true ORDER BY service_order ASC'
+            'SELECT * FROM services WHERE is_active = true ORDER BY service_order ASC, id ASC'
+        );
+
+        const afterResult = await query(
+            'SELECT * FROM services ORDER BY service_order ASC, id ASC'
         );
+
+        for (const service of afterResult.rows) {
+            await saveServiceRevision(req, beforeResult.rows.find(row => row.id === service.id), service);
+        }
+
+        await recordAudit(req, {
+            action: 'bulk_update',
+            resourceType: 'services',
+            before: keyBy(beforeResult.rows, 'id'),
+            after: keyBy(afterResult.rows, 'id')
+        });
         
         res.json({
             status: 'success',
             message: 'Services updated successfully',
-            data: result.rows
+            data: result.rows.map(formatService)
         });
     } catch (error) {
         console.error('Error updating services:', error);
@@ -100,14 +655,22 @@ router.post('/update', authenticateToken, async (req, res) => {
 });
 
 // UPDATE single service (requires authentication)
-router.put('/:id', authenticateToken, async (req, res) => {
+// Upload image baru (multipart) mengganti gambar lama; remove_image=true menghapus gambar
+router.put('/:id', authenticateToken, requireEditor, upload.single('image'), async (req, res) => {
     try {
-        const serviceId = parseInt(req.params.id);
-        const { icon, title, description, is_active } = req.body;
+        const serviceId = parseInt(req.params.id) || 0;
+        const { values, error } = parseServiceFields(req.body);
+        
+        if (error) {
+            return res.status(400).json({
+                status: 'error',
+                message: error
+            });
+        }
         
         // Check if service exists
         const checkResult = await query(
-            'SELECT id FROM services WHERE id = $1',
+            'SELECT * FROM services WHERE id = $1',
             [serviceId]
         );
         
@@ -118,27 +681,35 @@ router.put('/:id', authenticateToken, async (req, res) => {
             });
         }
         
+        if (values.slug && await isSlugTaken(values.slug, serviceId)) {
+            return res.status(409).json({
+                status: 'error',
+                message: `Slug "${values.slug}" is already used by another service`
+            });
+        }
+        
+        if (req.file) {
+            const image = await storeImage(req.file, 'services');
+            values.image_url = image.url;
+            values.image_width = image.width;
+            values.image_height = image.height;
+            values.image_variants = JSON.stringify(image.variants);
+        } else if (req.body.remove_image === true || req.body.remove_image === 'true') {
+            values.image_url = null;
+            values.image_width = null;
+            values.image_height = null;
+            values.image_variants = null;
+        }
+        
         // Build update query dynamically
         const updates = [];
-        const values = [];
+        const queryValues = [];
         let paramCount = 1;
         
-        if (icon !== undefined) {
-            updates.push(`icon = $${paramCount++}`);
-            values.push(icon);
-        }
-        if (title !== undefined) {
-            updates.push(`title = $${paramCount++}`);
-            values.push(title);
-        }
-        if (description !== undefined) {
-            updates.push(`description = $${paramCount++}`);
-            values.push(description);
-        }
-        if (is_active !== undefined) {
-            updates.push(`is_active = $${paramCount++}`);
-            values.push(is_active);
-        }
+        Object.entries(values).forEach(([field, value]) => {
+            updates.push(`${field} = $${paramCount++}${field === 'image_variants' ? '::jsonb' : ''}`);
+            queryValues.push(value);
+        });
         
         if (updates.length === 0) {
             return res.status(400).json({
@@ -148,26 +719,43 @@ router.put('/:id', authenticateToken, async (req, res) => {
         }
         
         updates.push(`updated_at = CURRENT_TIMESTAMP`);
-        values.push(serviceId);
-        
-        await query(
-            `UPDATE services SET ${updates.join(', ')} WHERE id = $${paramCount}`,
-            values
-        );
+        queryValues.push(serviceId);
         
-        // Fetch updated service
         const result = await query(
-            'SELECT * FROM services WHERE id = $1',
-            [serviceId]
+            `UPDATE services SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+            queryValues
         );
+
+        await saveServiceRevision(req, checkResult.rows[0], result.rows[0]);
+
+        await recordAudit(req, {
+            action: 'update',
+            resourceType: 'services',
+            resourceId: serviceId,
+            before: checkResult.rows[0],
+            after: result.rows[0]
+        });
         
         res.json({
             status: 'success',
             message: 'Service updated successfully',
-            data: result.rows[0]
+            data: formatService(result.rows[0])
         });
     } catch (error) {
         console.error('Error updating service:', error);
+        if (isInvalidImage(error)) {
+            return res.status(400).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+        if (isSlugConflict(error)) {
+            return res.status(409).json({
+                status: 'error',
+                message: 'Slug is already used by another service'
+            });
+        }
+
         res.status(500).json({
             status: 'error',
             message: 'Failed to update service',
@@ -176,14 +764,71 @@ router.put('/:id', authenticateToken, async (req, res) => {
     }
 });
 
+// RESTORE soft-deleted service (requires authentication)
+router.post('/:id/restore', authenticateToken, requireEditor, async (req, res) => {
+    try {
+        const serviceId = parseInt(req.params.id) || 0;
+        
+        const checkResult = await query(
+            'SELECT * FROM services WHERE id = $1',
+            [serviceId]
+        );
+        
+        if (checkResult.rows.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Service not found'
+            });
+        }
+        
+        if (checkResult.rows[0].is_active) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Service is not deleted'
+            });
+        }
+        
+        const result = await query(
+            `UPDATE services 
+             SET is_active = true, updated_at = CURRENT_TIMESTAMP 
+             WHERE id = $1
+             RETURNING *`,
+            [serviceId]
+        );
+
+        await saveServiceRevision(req, checkResult.rows[0], result.rows[0]);
+
+        await recordAudit(req, {
+            action: 'restore',
+            resourceType: 'services',
+            resourceId: serviceId,
+            before: checkResult.rows[0],
+            after: result.rows[0]
+        });
+        
+        res.json({
+            status: 'success',
+            message: 'Service restored successfully',
+            data: formatService(result.rows[0])
+        });
+    } catch (error) {
+        console.error('Error restoring service:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to restore service',
+            error: error.message
+        });
+    }
+});
+
 // DELETE service (soft delete - requires authentication)
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requireEditor, async (req, res) => {
     try {
-        const serviceId = parseInt(req.params.id);
+        const serviceId = parseInt(req.params.id) || 0;
         
         // Check if service exists
         const checkResult = await query(
-            'SELECT id FROM services WHERE id = $1',
+            'SELECT * FROM services WHERE id = $1',
             [serviceId]
         );
         
@@ -195,12 +840,23 @@ router.delete('/:id', authenticateToken, async (req, res) => {
         }
         
         // Soft delete - set is_active to false
-        await query(
+        const deleteResult = await query(
             `UPDATE services 
              SET is_active = false, updated_at = CURRENT_TIMESTAMP 
-             WHERE id = $1`,
+             WHERE id = $1
+             RETURNING *`,
             [serviceId]
         );
+
+        await saveServiceRevision(req, checkResult.rows[0], deleteResult.rows[0]);
+
+        await recordAudit(req, {
+            action: 'delete',
+            resourceType: 'services',
+            resourceId: serviceId,
+            before: checkResult.rows[0],
+            after: deleteResult.rows[0]
+        });
         
         res.json({
             status: 'success',
@@ -216,4 +872,4 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
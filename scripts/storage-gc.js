@@ -0,0 +1,76 @@
+// ============================================
+// STORAGE GARBAGE COLLECTION COMMAND
+// npm run storage-gc                      -> dry run, hanya laporan
+// npm run storage-gc -- --delete          -> hapus orphan yang lewat grace period
+// Opsi: --grace-hours=48  --prefix=gallery/  --json
+// ============================================
+require('dotenv').config();
+
+const { pool } = require('../config/db');
+const { runStorageGc } = require('../utils/storageGc');
+
+const args = process.argv.slice(2);
+const getOption = (name) => {
+  const arg = args.find(item => item.startsWith(`--${name}=`));
+  return arg ? arg.substring(name.length + 3) : undefined;
+};
+
+const formatSize = (bytes) => `${((bytes || 0) / 1024).toFixed(1)} KB`;
+
+const main = async () => {
+  const graceHours = getOption('grace-hours');
+
+  if (graceHours !== undefined && !(parseFloat(graceHours) >= 0)) {
+    throw new Error('--grace-hours must be a non-negative number');
+  }
+
+  const report = await runStorageGc({
+    dryRun: !args.includes('--delete'),
+    graceHours: graceHours !== undefined ? parseFloat(graceHours) : undefined,
+    prefix: getOption('prefix') || ''
+  });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+    return report;
+  }
+
+  console.log('='.repeat(50));
+  console.log(`🧹 Storage GC (${report.backend})${report.dry_run ? ' - DRY RUN' : ''}`);
+  console.log('='.repeat(50));
+  console.log(`📦 Files in storage : ${report.scanned_files}`);
+  console.log(`🔗 Referenced URLs  : ${report.referenced_urls}`);
+  console.log(`👻 Orphans          : ${report.orphans.length} (${report.orphans.filter(file => file.deletable).length} older than ${report.grace_hours}h)`);
+  report.orphans.forEach(file => {
+    console.log(`   ${file.deletable ? '-' : '~'} ${file.url} (${formatSize(file.size)})`);
+  });
+  console.log(`💔 Dangling refs    : ${report.dangling.length}`);
+  report.dangling.forEach(ref => {
+    console.log(`   - ${ref.table}#${ref.id}: ${ref.url}`);
+  });
+  if (report.external.length > 0) {
+    console.log(`🌐 External refs    : ${report.external.length} (not checked)`);
+  }
+
+  if (report.dry_run) {
+    console.log('ℹ️  Nothing deleted. Run with --delete to remove orphans older than the grace period.');
+  } else {
+    console.log(`🗑️  Deleted          : ${report.deleted.length}`);
+    report.failed.forEach(item => {
+      console.log(`   ❌ ${item.url}: ${item.error}`);
+    });
+  }
+
+  return report;
+};
+
+main()
+  .then(async (report) => {
+    await pool.end();
+    process.exit(report.failed.length > 0 ? 1 : 0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Storage GC failed:', error.message);
+    await pool.end().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,329 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const db = require('../config/db');
+const { authenticateAs } = require('./helpers/auth');
+const adminUserRoutes = require('../routes/adminUserRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin-users', adminUserRoutes);
+
+const STRONG_PASSWORD = 'Str0ng!Pass';
+
+let authorization;
+let users;
+let revokedSessions;
+
+const findUser = (id) => users.find(user => user.id === id);
+const publicUser = ({ password, token_version, ...user }) => user;
+
+const api = (method, path, body) => {
+  const req = request(app)[method](`/api/admin-users${path}`).set('Authorization', authorization);
+  return body === undefined ? req : req.send(body);
+};
+
+beforeEach(() => {
+  db.reset();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  authorization = authenticateAs(db);
+  revokedSessions = [];
+  users = [
+    { id: 1, username: 'owner', email: 'owner@example.com', role: 'owner', is_active: true, token_version: 0 },
+    { id: 2, username: 'sari', email: 'sari@example.com', role: 'editor', is_active: true, token_version: 0 }
+  ];
+
+  db.on(/SELECT id, username, email, full_name, role/, ([id], text) => ({
+    rows: (/WHERE id = \$1/.test(text) ? users.filter(user => user.id === id) : users).map(publicUser)
+  }));
+  db.on(/SELECT id, username FROM admin_users WHERE id = \$1/, ([id]) => ({
+    rows: users.filter(user => user.id === id)
+  }));
+  db.on(/SELECT username, email FROM admin_users/, ([username, email, excludeId]) => ({
+    rows: users.filter(user => user.id !== excludeId && (
+      user.username.toLowerCase() === username.toLowerCase() || user.email.toLowerCase() === email.toLowerCase()
+    ))
+  }));
+  db.on(/AS is_owner/, ([id]) => {
+    const activeOwners = users.filter(user => user.role === 'owner' && user.is_active);
+    return {
+      rows: [{
+        is_owner: activeOwners.some(user => user.id === id),
+        other_owners: activeOwners.filter(user => user.id !== id).length
+      }]
+    };
+  });
+  db.on(/INSERT INTO admin_users/, ([username, email, password, full_name, role]) => {
+    const user = { id: users.length + 1, username, email, password, full_name, role, is_active: true, token_version: 0 };
+    users.push(user);
+    return { rows: [publicUser(user)] };
+  });
+  // UPDATE dinamis: ambil pasangan "kolom = $n" dari SET lalu terapkan ke user di memory
+  db.on(/^\s*UPDATE admin_users\s+SET/, (params, text) => {
+    const user = findUser(params[Number(text.match(/WHERE id = \$(\d+)/)[1]) - 1]);
+    if (!user) return { rows: [] };
+
+    for (const [, column, index] of text.matchAll(/(\w+) = \$(\d+)/g)) {
+      if (column !== 'id') user[column] = params[index - 1];
+    }
+    if (/token_version = token_version \+ 1/.test(text)) user.token_version += 1;
+    return { rows: [publicUser(user)] };
+  });
+  db.on(/UPDATE refresh_tokens SET revoked_at/, ([userId]) => {
+    revokedSessions.push(userId);
+    return { rows: [] };
+  });
+  db.on(/DELETE FROM admin_users WHERE id = \$1/, ([id]) => {
+    const removed = users.filter(user => user.id === id);
+    users = users.filter(user => user.id !== id);
+    return { rows: removed.map(({ id }) => ({ id })) };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('access', () => {
+  test('is limited to owners', async () => {
+    authorization = authenticateAs(db, { id: 2, username: 'sari', role: 'editor' });
+
+    const res = await api('get', '/');
+
+    expect(res.status).toBe(403);
+  });
+
+  test('lists accounts without password hashes', async () => {
+    users[0].password = 'hash';
+
+    const res = await api('get', '/');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(user => user.username)).toEqual(['owner', 'sari']);
+    expect(res.body.data[0].password).toBeUndefined();
+  });
+});
+
+describe('POST /api/admin-users', () => {
+  const newUser = (overrides = {}) => ({ username: 'budi', email: 'budi@example.com', password: STRONG_PASSWORD, ...overrides });
+
+  test('creates an editor by default with a hashed password', async () => {
+    const res = await api('post', '/', newUser());
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ username: 'budi', role: 'editor' });
+    expect(res.body.data.password).toBeUndefined();
+
+    const stored = users.find(user => user.username === 'budi');
+    expect(stored.password).not.toBe(STRONG_PASSWORD);
+    expect(await bcrypt.compare(STRONG_PASSWORD, stored.password)).toBe(true);
+  });
+
+  test('creates an account with an explicit role', async () => {
+    const res = await api('post', '/', newUser({ role: 'viewer' }));
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.role).toBe('viewer');
+  });
+
+  test.each([
+    ['a missing password', { password: undefined }, /required/],
+    ['an invalid username', { username: 'a b' }, /Username must be/],
+    ['an invalid email', { email: 'budi' }, /Email address/],
+    ['an unknown role', { role: 'admin' }, /Invalid role/],
+    ['a weak password', { password: 'password' }, /Password must/],
+    ['a password containing the username', { password: 'Budi!2345' }, /must not contain the username/]
+  ])('returns 400 for %s', async (_label, overrides, message) => {
+    const res = await api('post', '/', newUser(overrides));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(message);
+    expect(db.calls.some(call => /INSERT INTO admin_users/.test(call.text))).toBe(false);
+  });
+
+  test('returns 400 for a bodyless request', async () => {
+    const res = await api('post', '/');
+
+    expect(res.status).toBe(400);
+  });
+
+  test.each([
+    ['username', { username: 'SARI' }, 'Username is already taken'],
+    ['email', { email: 'Sari@Example.com' }, 'Email is already registered']
+  ])('returns 409 for a duplicate %s', async (_label, overrides, message) => {
+    const res = await api('post', '/', newUser(overrides));
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe(message);
+  });
+
+  test('returns 409 when the unique index catches a concurrent create', async () => {
+    db.on(/INSERT INTO admin_users/, () => {
+      const error = new Error('duplicate key value violates unique constraint');
+      error.code = '23505';
+      throw error;
+    });
+
+    const res = await api('post', '/', newUser());
+
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('PUT /api/admin-users/:id', () => {
+  test('updates profile fields', async () => {
+    const res = await api('put', '/2', { full_name: 'Sari Wulandari', email: 'sari@worksglow.id' });
+
+    expect(res.status).toBe(200);
+    expect(findUser(2)).toMatchObject({ full_name: 'Sari Wulandari', email: 'sari@worksglow.id' });
+    expect(revokedSessions).toEqual([]);
+  });
+
+  test.each(['owner', 'viewer'])('changes an editor to %s', async (role) => {
+    const res = await api('put', '/2', { role });
+
+    expect(res.status).toBe(200);
+    expect(findUser(2).role).toBe(role);
+  });
+
+  test('returns 400 for an unknown role', async () => {
+    const res = await api('put', '/2', { role: 'admin' });
+
+    expect(res.status).toBe(400);
+    expect(findUser(2).role).toBe('editor');
+  });
+
+  test('refuses to demote the last active owner', async () => {
+    const res = await api('put', '/1', { role: 'editor' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Cannot change the role of the last active owner');
+    expect(findUser(1).role).toBe('owner');
+  });
+
+  test('demotes an owner while another active owner remains', async () => {
+    findUser(2).role = 'owner';
+
+    const res = await api('put', '/1', { role: 'editor' });
+
+    expect(res.status).toBe(200);
+    expect(findUser(1).role).toBe('editor');
+  });
+
+  test('an inactive owner does not count as the remaining owner', async () => {
+    Object.assign(findUser(2), { role: 'owner', is_active: false });
+
+    const res = await api('put', '/1', { role: 'viewer' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('a password change bumps token_version and revokes sessions', async () => {
+    const res = await api('put', '/2', { password: STRONG_PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(findUser(2).token_version).toBe(1);
+    expect(await bcrypt.compare(STRONG_PASSWORD, findUser(2).password)).toBe(true);
+    expect(revokedSessions).toEqual([2]);
+  });
+
+  test('returns 400 for a weak password', async () => {
+    const res = await api('put', '/2', { password: 'short' });
+
+    expect(res.status).toBe(400);
+    expect(revokedSessions).toEqual([]);
+  });
+
+  test('returns 409 when the username belongs to another account', async () => {
+    const res = await api('put', '/2', { username: 'owner' });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('returns 400 when there is nothing to update', async () => {
+    expect((await api('put', '/2', {})).status).toBe(400);
+    expect((await api('put', '/2')).status).toBe(400);
+  });
+
+  test('returns 404 for an unknown account and 400 for a non-numeric id', async () => {
+    expect((await api('put', '/99', { full_name: 'Nobody' })).status).toBe(404);
+    expect((await api('put', '/abc', { full_name: 'Nobody' })).status).toBe(400);
+  });
+});
+
+describe('activate / deactivate', () => {
+  test('deactivates an account and revokes its sessions', async () => {
+    const res = await api('post', '/2/deactivate');
+
+    expect(res.status).toBe(200);
+    expect(findUser(2).is_active).toBe(false);
+    expect(revokedSessions).toEqual([2]);
+  });
+
+  test('re-activates an account', async () => {
+    findUser(2).is_active = false;
+
+    const res = await api('post', '/2/activate');
+
+    expect(res.status).toBe(200);
+    expect(findUser(2).is_active).toBe(true);
+    expect(revokedSessions).toEqual([]);
+  });
+
+  test('refuses to deactivate your own account', async () => {
+    const res = await api('post', '/1/deactivate');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('You cannot deactivate your own account');
+    expect(findUser(1).is_active).toBe(true);
+  });
+
+  test('refuses to deactivate the last active owner', async () => {
+    // Owner yang request sudah dinonaktifkan sesi lain; tersisa satu owner aktif
+    Object.assign(findUser(1), { is_active: false });
+    findUser(2).role = 'owner';
+
+    const res = await api('post', '/2/deactivate');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Cannot deactivate the last active owner');
+    expect(findUser(2).is_active).toBe(true);
+  });
+
+  test('returns 404 for an unknown account', async () => {
+    expect((await api('post', '/99/deactivate')).status).toBe(404);
+  });
+});
+
+describe('DELETE /api/admin-users/:id', () => {
+  test('deletes another account', async () => {
+    const res = await api('delete', '/2');
+
+    expect(res.status).toBe(200);
+    expect(findUser(2)).toBeUndefined();
+  });
+
+  test('refuses to delete your own account', async () => {
+    const res = await api('delete', '/1');
+
+    expect(res.status).toBe(400);
+    expect(findUser(1)).toBeDefined();
+  });
+
+  test('refuses to delete the last active owner', async () => {
+    Object.assign(findUser(1), { is_active: false });
+    findUser(2).role = 'owner';
+
+    const res = await api('delete', '/2');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Cannot delete the last active owner');
+    expect(findUser(2)).toBeDefined();
+  });
+
+  test('returns 404 for an unknown account', async () => {
+    expect((await api('delete', '/99')).status).toBe(404);
+  });
+});
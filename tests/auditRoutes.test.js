@@ -0,0 +1,66 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/db');
+const { authenticateAs } = require('./helpers/auth');
+const auditRoutes = require('../routes/auditRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/audit', auditRoutes);
+
+let authorization;
+
+const listLogs = (query) => request(app)
+  .get('/api/audit')
+  .query(query)
+  .set('Authorization', authorization);
+
+beforeEach(() => {
+  db.reset();
+  authorization = authenticateAs(db);
+  db.on(/SELECT COUNT\(\*\)::int AS total FROM audit_logs/, () => ({ rows: [{ total: 0 }] }));
+  db.on(/FROM audit_logs\s+.*ORDER BY created_at DESC/s, () => ({ rows: [] }));
+});
+
+describe('GET /api/audit', () => {
+  test.each(['abc', '12abc', '-1', '1.5'])('rejects user_id=%s with 400', async (userId) => {
+    const res = await listLogs({ user_id: userId });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/user_id/);
+    expect(db.calls.some(call => /audit_logs/.test(call.text))).toBe(false);
+  });
+
+  test('filters by a numeric user_id', async () => {
+    const res = await listLogs({ user_id: '7' });
+
+    expect(res.status).toBe(200);
+    const count = db.calls.find(call => /FROM audit_logs/.test(call.text));
+    expect(count.text).toMatch(/WHERE admin_id = \$1/);
+    expect(count.params).toEqual([7]);
+  });
+
+  test.each(['1', 'Tue', '2025-02-30', '2025-1-5', '31/01/2025'])('rejects from=%s with 400', async (from) => {
+    const res = await listLogs({ from });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/from and to/);
+    expect(db.calls.some(call => /audit_logs/.test(call.text))).toBe(false);
+  });
+
+  test('rejects a malformed to with 400', async () => {
+    const res = await listLogs({ to: '1' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test.each(['2025-01-31', '2025-01-31T10:00:00Z', '2025-01-31T10:00:00.000+07:00'])('accepts from=%s', async (from) => {
+    const res = await listLogs({ from });
+
+    expect(res.status).toBe(200);
+    const count = db.calls.find(call => /FROM audit_logs/.test(call.text));
+    expect(count.params).toEqual([from]);
+  });
+});
@@ -0,0 +1,204 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const db = require('../config/db');
+const { issueSession } = require('../utils/authTokens');
+const authRoutes = require('../routes/authRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const PASSWORD = 'Correct-Horse-9';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+let user;
+let tokens;
+
+// refresh_tokens di memori: baris { id, user_id, family_id, token_hash, revoked_at, replaced_by, expires_at }
+const mockAuthTables = () => {
+  db.on(/INSERT INTO refresh_tokens/, ([userId, familyId, tokenHash]) => {
+    const row = {
+      id: tokens.length + 1,
+      user_id: userId,
+      family_id: familyId,
+      token_hash: tokenHash,
+      revoked_at: null,
+      replaced_by: null,
+      expires_at: new Date(Date.now() + 60 * 60 * 1000)
+    };
+    tokens.push(row);
+    return { rows: [{ id: row.id }] };
+  });
+
+  db.on(/FROM refresh_tokens t\s+JOIN admin_users u/, ([tokenHash]) => {
+    const row = tokens.find(token => token.token_hash === tokenHash);
+    if (!row) return { rows: [] };
+    return {
+      rows: [{
+        id: row.id,
+        family_id: row.family_id,
+        expired: row.expires_at < new Date(),
+        revoked_at: row.revoked_at,
+        user_id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        token_version: user.token_version,
+        is_active: user.is_active
+      }]
+    };
+  });
+
+  db.on(/UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = \$1/, ([familyId]) => {
+    tokens.filter(token => token.family_id === familyId && !token.revoked_at)
+      .forEach(token => { token.revoked_at = new Date(); });
+    return { rows: [] };
+  });
+
+  db.on(/UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = \$1/, ([userId]) => {
+    tokens.filter(token => token.user_id === userId && !token.revoked_at)
+      .forEach(token => { token.revoked_at = new Date(); });
+    return { rows: [] };
+  });
+
+  db.on(/UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = \$1 WHERE id = \$2/, ([nextId, id]) => {
+    Object.assign(tokens.find(token => token.id === id), { revoked_at: new Date(), replaced_by: nextId });
+    return { rows: [] };
+  });
+
+  // authenticateToken: token_version + status family dari sid
+  db.on(/SELECT u\.role, u\.is_active, u\.token_version/, ([id, sid]) => ({
+    rows: id === user.id
+      ? [{
+        role: user.role,
+        is_active: user.is_active,
+        token_version: user.token_version,
+        session_active: sid === null || tokens.some(token => token.family_id === sid && !token.revoked_at)
+      }]
+      : []
+  }));
+
+  db.on(/FROM admin_users WHERE id = \$1/, () => ({ rows: [{ ...user }] }));
+
+  db.on(/SET password = \$1, token_version = token_version \+ 1/, ([hashedPassword]) => {
+    user.password = hashedPassword;
+    user.token_version += 1;
+    return { rows: [{ ...user }] };
+  });
+
+  db.on(/UPDATE password_reset_tokens SET used_at/, () => ({ rows: [] }));
+};
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refresh_token: refreshToken });
+const me = (token) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+beforeEach(() => {
+  db.reset();
+  tokens = [];
+  user = {
+    id: 1,
+    username: 'owner',
+    email: 'owner@example.com',
+    full_name: 'Owner',
+    role: 'owner',
+    password: passwordHash,
+    is_active: true,
+    token_version: 0
+  };
+  mockAuthTables();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('refresh rotation', () => {
+  test('exchanges a refresh token for a new pair in the same family', async () => {
+    const session = await issueSession(user);
+
+    const res = await refresh(session.refresh_token);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.refresh_token).not.toBe(session.refresh_token);
+    expect(tokens).toHaveLength(2);
+    expect(tokens[0]).toMatchObject({ replaced_by: 2 });
+    expect(tokens[0].revoked_at).not.toBeNull();
+    expect(tokens[1]).toMatchObject({ family_id: tokens[0].family_id, revoked_at: null });
+    expect(jwt.decode(res.body.data.token).sid).toBe(tokens[0].family_id);
+
+    expect((await me(res.body.data.token)).status).toBe(200);
+  });
+
+  test('rejects unknown and expired refresh tokens', async () => {
+    const session = await issueSession(user);
+    tokens[0].expires_at = new Date(Date.now() - 1000);
+
+    expect((await refresh('not-a-real-token')).status).toBe(401);
+    expect((await refresh(session.refresh_token)).status).toBe(401);
+    expect(tokens[0].revoked_at).not.toBeNull();
+  });
+
+  test('reusing a rotated token revokes the whole family', async () => {
+    const session = await issueSession(user);
+    const rotated = await refresh(session.refresh_token);
+
+    const reuse = await refresh(session.refresh_token);
+
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.message).toMatch(/already been used/);
+    expect(tokens.every(token => token.revoked_at)).toBe(true);
+
+    // Token hasil rotasi (milik pencuri atau pemilik asli) ikut mati, begitu juga access token-nya
+    expect((await refresh(rotated.body.data.refresh_token)).status).toBe(401);
+    expect((await me(rotated.body.data.token)).status).toBe(401);
+  });
+
+  test('reuse only revokes its own family', async () => {
+    const stolen = await issueSession(user);
+    const otherDevice = await issueSession(user);
+    await refresh(stolen.refresh_token);
+
+    await refresh(stolen.refresh_token);
+
+    expect((await me(otherDevice.token)).status).toBe(200);
+    expect((await refresh(otherDevice.refresh_token)).status).toBe(200);
+  });
+});
+
+describe('token_version', () => {
+  test('changing the password invalidates existing access and refresh tokens', async () => {
+    const session = await issueSession(user);
+    const otherDevice = await issueSession(user);
+
+    const res = await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${session.token}`)
+      .send({ current_password: PASSWORD, new_password: 'Brand-New-Passw0rd!' });
+
+    expect(res.status).toBe(200);
+    expect(user.token_version).toBe(1);
+    expect(jwt.decode(res.body.data.token).tv).toBe(1);
+
+    expect((await me(session.token)).status).toBe(401);
+    expect((await me(otherDevice.token)).status).toBe(401);
+    expect((await refresh(otherDevice.refresh_token)).status).toBe(401);
+    expect((await me(res.body.data.token)).status).toBe(200);
+  });
+
+  test('an access token with a stale version is rejected even if its session is active', async () => {
+    const session = await issueSession(user);
+    user.token_version = 2;
+
+    const res = await me(session.token);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toMatch(/revoked/);
+  });
+});
@@ -0,0 +1,201 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/db');
+const { authenticateAs } = require('./helpers/auth');
+const bookingRoutes = require('../routes/bookingRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/bookings', bookingRoutes);
+
+// Seminggu dari sekarang: selalu di masa depan & dalam max_advance_days
+const BOOKING_DATE = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+
+let settings;
+let bookings;
+
+const newBooking = (overrides = {}) => ({
+  service_id: 1,
+  customer_name: 'Budi',
+  customer_phone: '08123456789',
+  booking_date: BOOKING_DATE,
+  start_time: '10:00',
+  ...overrides
+});
+
+beforeEach(() => {
+  db.reset();
+  settings = {
+    open_time: '08:00',
+    close_time: '17:00',
+    slot_duration_minutes: 60,
+    bay_capacity: 1,
+    working_days: [0, 1, 2, 3, 4, 5, 6],
+    max_advance_days: 60
+  };
+  // Booking lama dibuat saat durasi slot masih 2 jam: 09:00 - 11:00 di bay 1
+  bookings = [
+    { id: 1, booking_date: BOOKING_DATE, start_time: '09:00', end_time: '11:00', bay_number: 1, status: 'confirmed' }
+  ];
+
+  db.on(/FROM booking_settings/, () => ({ rows: [settings] }));
+  db.on(/SELECT id FROM services WHERE id = \$1 AND is_active = true/, () => ({ rows: [{ id: 1 }] }));
+  db.on(/pg_advisory_xact_lock/, () => ({ rows: [{}] }));
+
+  db.on(/SELECT DISTINCT bay_number FROM bookings/, ([date, start, end, statuses, excludeId]) => ({
+    rows: bookings
+      .filter(booking => booking.booking_date === date && booking.start_time < end && booking.end_time > start)
+      .filter(booking => statuses.includes(booking.status) && booking.id !== excludeId)
+      .map(booking => ({ bay_number: booking.bay_number }))
+  }));
+
+  db.on(/INSERT INTO bookings/, (params) => {
+    const booking = {
+      id: bookings.length + 1,
+      booking_date: params[6],
+      start_time: params[7],
+      end_time: params[8],
+      bay_number: params[9],
+      status: 'pending'
+    };
+    bookings.push(booking);
+    return { rows: [{ id: booking.id }] };
+  });
+
+  db.on(/WHERE b\.id = \$1/, ([id]) => ({ rows: bookings.filter(booking => booking.id === id) }));
+
+  db.on(/SELECT to_char\(start_time, 'HH24:MI'\) AS start_time,\s+to_char\(end_time/, ([date, statuses]) => ({
+    rows: bookings.filter(booking => booking.booking_date === date && statuses.includes(booking.status))
+  }));
+});
+
+describe('claiming a bay', () => {
+  test('rejects a slot that overlaps a longer booking starting earlier', async () => {
+    const res = await request(app).post('/api/bookings').send(newBooking({ start_time: '10:00' }));
+
+    expect(res.status).toBe(409);
+    expect(bookings).toHaveLength(1);
+  });
+
+  test('books the slot right after the longer booking ends, storing its end time', async () => {
+    const res = await request(app).post('/api/bookings').send(newBooking({ start_time: '11:00' }));
+
+    expect(res.status).toBe(201);
+    expect(bookings[1]).toMatchObject({ start_time: '11:00', end_time: '12:00', bay_number: 1 });
+  });
+
+  test('locks the whole day rather than a single start time', async () => {
+    await request(app).post('/api/bookings').send(newBooking({ start_time: '13:00' }));
+
+    expect(db.calls.find(call => /pg_advisory_xact_lock/.test(call.text)).params).toEqual([`booking-day:${BOOKING_DATE}`]);
+  });
+
+  test('uses a free bay when another bay is busy', async () => {
+    settings.bay_capacity = 2;
+
+    const res = await request(app).post('/api/bookings').send(newBooking({ start_time: '10:00' }));
+
+    expect(res.status).toBe(201);
+    expect(bookings[1].bay_number).toBe(2);
+  });
+
+  test('maps an exclusion constraint violation to 409', async () => {
+    db.on(/INSERT INTO bookings/, () => {
+      throw Object.assign(new Error('conflicting key value violates exclusion constraint'), { code: '23P01' });
+    });
+
+    const res = await request(app).post('/api/bookings').send(newBooking({ start_time: '14:00' }));
+
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('bodyless requests', () => {
+  let authorization;
+
+  beforeEach(() => {
+    authorization = authenticateAs(db);
+  });
+
+  test('public POST / returns 400', async () => {
+    const res = await request(app).post('/api/bookings');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/are required/);
+    expect(db.calls).toHaveLength(0);
+  });
+
+  test('POST /:id/reschedule returns 400', async () => {
+    const res = await request(app).post('/api/bookings/1/reschedule').set('Authorization', authorization);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('booking_date and start_time are required');
+  });
+
+  test('POST /settings/update returns 400 without touching the settings', async () => {
+    const res = await request(app).post('/api/bookings/settings/update').set('Authorization', authorization);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^Provide at least one of: open_time/);
+    expect(db.calls.some(call => /booking_settings/.test(call.text))).toBe(false);
+  });
+
+  test('POST /:id/cancel works without a reason', async () => {
+    db.on(/SET status = 'cancelled'/, () => ({ rows: [{ id: 1 }] }));
+
+    const res = await request(app).post('/api/bookings/1/cancel').set('Authorization', authorization);
+
+    expect(res.status).toBe(200);
+    expect(db.calls.find(call => /SET status = 'cancelled'/.test(call.text)).params[1]).toBeNull();
+  });
+});
+
+test('availability counts bookings that span several slots', async () => {
+  settings.bay_capacity = 2;
+
+  const res = await request(app).get('/api/bookings/availability').query({ date: BOOKING_DATE });
+
+  expect(res.status).toBe(200);
+  const byStart = Object.fromEntries(res.body.data.slots.map(slot => [slot.start_time, slot]));
+  expect(byStart['09:00']).toMatchObject({ booked: 1, available: 1 });
+  expect(byStart['10:00']).toMatchObject({ booked: 1, available: 1 });
+  expect(byStart['11:00']).toMatchObject({ booked: 0, available: 2 });
+});
+
+describe('list filters', () => {
+  let authorization;
+
+  beforeEach(() => {
+    authorization = authenticateAs(db);
+    db.on(/LEFT JOIN services s ON s\.id = b\.service_id\s+(WHERE|ORDER)/, () => ({ rows: [] }));
+  });
+
+  test.each([
+    ['date', '2024-02-30'],
+    ['from', 'yesterday'],
+    ['to', '2024-1-5']
+  ])('rejects a malformed %s with 400', async (name, value) => {
+    const res = await request(app).get('/api/bookings').query({ [name]: value }).set('Authorization', authorization);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toContain(`"${name}"`);
+  });
+
+  test('rejects an unknown status with 400', async () => {
+    const res = await request(app).get('/api/bookings').query({ status: 'done' }).set('Authorization', authorization);
+
+    expect(res.status).toBe(400);
+  });
+
+  test('passes valid filters to the query', async () => {
+    const res = await request(app)
+      .get('/api/bookings')
+      .query({ status: 'pending', from: '2024-01-01', to: '2024-01-31' })
+      .set('Authorization', authorization);
+
+    expect(res.status).toBe(200);
+    expect(db.calls[db.calls.length - 1].params).toEqual(['pending', '2024-01-01', '2024-01-31']);
+  });
+});
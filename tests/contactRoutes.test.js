@@ -0,0 +1,165 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/db');
+const { authenticateAs } = require('./helpers/auth');
+const contactRoutes = require('../routes/contactRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/contact', contactRoutes);
+
+let authorization;
+let messages;
+let notes;
+
+const findMessage = (id) => messages.find(message => message.id === id);
+
+beforeEach(() => {
+  db.reset();
+  authorization = authenticateAs(db);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  messages = [
+    { id: 1, name: 'Budi', message: 'Berapa biaya repaint?', is_read: false, is_archived: false },
+    { id: 2, name: 'Sari', message: 'Bisa booking Sabtu?', is_read: true, is_archived: false }
+  ];
+  notes = [];
+
+  db.on(/SELECT \* FROM contact_messages WHERE id = \$1/, ([id]) => ({ rows: messages.filter(message => message.id === id) }));
+  db.on(/SELECT id FROM contact_messages WHERE id = \$1/, ([id]) => ({ rows: messages.filter(message => message.id === id) }));
+  db.on(/FROM contact_message_notes n/, ([id]) => ({ rows: notes.filter(note => note.message_id === id) }));
+
+  db.on(/SET is_read = \$1/, ([isRead, id]) => {
+    const message = findMessage(id);
+    if (!message) return { rows: [] };
+    message.is_read = isRead;
+    return { rows: [{ ...message }] };
+  });
+  db.on(/SET is_archived = \$1/, ([isArchived, id]) => {
+    const message = findMessage(id);
+    if (!message) return { rows: [] };
+    message.is_archived = isArchived;
+    return { rows: [{ ...message }] };
+  });
+  db.on(/SET is_read = true, read_at = COALESCE/, ([id]) => {
+    findMessage(id).is_read = true;
+    return { rows: [] };
+  });
+  db.on(/INSERT INTO contact_message_notes/, ([messageId, adminId, note]) => {
+    notes.push({ id: notes.length + 1, message_id: messageId, admin_id: adminId, note });
+    return { rows: [] };
+  });
+  db.on(/DELETE FROM contact_messages WHERE id = \$1/, ([id]) => ({ rows: messages.filter(message => message.id === id) }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/contact/messages', () => {
+  beforeEach(() => {
+    db.on(/SELECT COUNT\(\*\)::int AS total/, () => ({ rows: [{ total: 2, unread: 1 }] }));
+    db.on(/SELECT \* FROM contact_messages\s+WHERE is_archived/, () => ({ rows: messages }));
+  });
+
+  test('lists the inbox with pagination and unread count', async () => {
+    const res = await request(app).get('/api/contact/messages').query({ page: 1, limit: 1 }).set('Authorization', authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.pagination).toEqual({ page: 1, limit: 1, total: 2, unread: 1, total_pages: 2 });
+    expect(db.calls[db.calls.length - 1].params).toEqual([false, 1, 0]);
+  });
+
+  test('filters archived and unread messages', async () => {
+    await request(app).get('/api/contact/messages').query({ archived: 'true', status: 'unread' }).set('Authorization', authorization);
+
+    const list = db.calls[db.calls.length - 1];
+    expect(list.text).toMatch(/WHERE is_archived = \$1 AND is_read = \$2/);
+    expect(list.params).toEqual([true, false, 20, 0]);
+  });
+
+  test('requires authentication', async () => {
+    expect((await request(app).get('/api/contact/messages')).status).toBe(401);
+  });
+});
+
+describe('read / archive toggles', () => {
+  test('marks a message read by default and unread with is_read=false', async () => {
+    const read = await request(app).post('/api/contact/messages/1/read').set('Authorization', authorization);
+    expect(read.status).toBe(200);
+    expect(findMessage(1).is_read).toBe(true);
+
+    const unread = await request(app)
+      .post('/api/contact/messages/1/read')
+      .set('Authorization', authorization)
+      .send({ is_read: false });
+    expect(unread.body.message).toBe('Message marked as unread');
+    expect(findMessage(1).is_read).toBe(false);
+  });
+
+  test('archives a bodyless request and restores with is_archived="false"', async () => {
+    const archived = await request(app).post('/api/contact/messages/2/archive').set('Authorization', authorization);
+    expect(archived.status).toBe(200);
+    expect(findMessage(2).is_archived).toBe(true);
+
+    const restored = await request(app)
+      .post('/api/contact/messages/2/archive')
+      .set('Authorization', authorization)
+      .send({ is_archived: 'false' });
+    expect(restored.body.message).toBe('Message moved back to inbox');
+    expect(findMessage(2).is_archived).toBe(false);
+  });
+});
+
+describe('POST /api/contact/messages/:id/notes', () => {
+  test('adds a note and marks the message read', async () => {
+    const res = await request(app)
+      .post('/api/contact/messages/1/notes')
+      .set('Authorization', authorization)
+      .send({ note: '  Sudah dibalas via WhatsApp  ' });
+
+    expect(res.status).toBe(201);
+    expect(notes).toEqual([{ id: 1, message_id: 1, admin_id: 1, note: 'Sudah dibalas via WhatsApp' }]);
+    expect(findMessage(1).is_read).toBe(true);
+    expect(res.body.data.notes).toHaveLength(1);
+  });
+
+  test('rejects an empty or missing note with 400', async () => {
+    const blank = await request(app).post('/api/contact/messages/1/notes').set('Authorization', authorization).send({ note: '  ' });
+    const bodyless = await request(app).post('/api/contact/messages/1/notes').set('Authorization', authorization);
+
+    expect(blank.status).toBe(400);
+    expect(bodyless.status).toBe(400);
+    expect(notes).toHaveLength(0);
+  });
+
+  test('returns 404 for an unknown message', async () => {
+    const res = await request(app).post('/api/contact/messages/9/notes').set('Authorization', authorization).send({ note: 'Halo' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('non-numeric ids', () => {
+  test.each([
+    ['get', '/api/contact/messages/abc'],
+    ['post', '/api/contact/messages/abc/read'],
+    ['post', '/api/contact/messages/abc/archive'],
+    ['post', '/api/contact/messages/abc/notes'],
+    ['delete', '/api/contact/messages/abc']
+  ])('%s %s returns 404 instead of a database error', async (method, path) => {
+    const res = await request(app)[method](path).set('Authorization', authorization).send({ note: 'Halo' });
+
+    expect(res.status).toBe(404);
+    expect(db.calls.flatMap(call => call.params).some(Number.isNaN)).toBe(false);
+  });
+});
+
+test('public POST /messages rejects a bodyless request with 400', async () => {
+  const res = await request(app).post('/api/contact/messages');
+
+  expect(res.status).toBe(400);
+  expect(db.calls).toHaveLength(0);
+});
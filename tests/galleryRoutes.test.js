@@ -0,0 +1,508 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const sharp = require('sharp');
+const db = require('../config/db');
+const { authenticateAs } = require('./helpers/auth');
+const { setBackend, getBackend, saveBuffer } = require('../utils/storage');
+const { getCache } = require('../utils/cache');
+const galleryRoutes = require('../routes/galleryRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/gallery', galleryRoutes);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let authorization;
+let png;
+
+const texts = () => db.calls.map(call => call.text.trim());
+// Query pertama setelah lookup user di authenticateToken
+const firstRouteQuery = () => texts().find(text => !/FROM admin_users/.test(text));
+const storedKeys = () => [...getBackend().files.keys()];
+// deleteImage berjalan tanpa ditunggu
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+beforeAll(async () => {
+  png = await sharp({
+    create: { width: 40, height: 30, channels: 3, background: { r: 20, g: 120, b: 200 } }
+  }).png().toBuffer();
+});
+
+beforeEach(() => {
+  db.reset();
+  setBackend('memory');
+  getBackend().files.clear();
+  getCache('gallery').clear();
+  authorization = authenticateAs(db);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  db.on(/INSERT INTO audit_logs/, () => ({ rows: [] }));
+  db.on(/UPDATE gallery_images SET is_primary = true\s+WHERE id = \(/, () => ({ rows: [] }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/gallery/create', () => {
+  let storedAtInsert;
+
+  beforeEach(() => {
+    storedAtInsert = null;
+    db.on(/INSERT INTO gallery_projects/, (params) => {
+      storedAtInsert = getBackend().files.size;
+      return { rows: [{ id: 7, title: params[0], status: params[8] }] };
+    });
+    db.on(/INSERT INTO gallery_images/, () => ({ rows: [] }));
+    db.on(/FROM gallery_images\s+WHERE project_id = \$1/, () => ({ rows: [] }));
+  });
+
+  const createProject = () => request(app)
+    .post('/api/gallery/create')
+    .set('Authorization', authorization)
+    .field('title', 'Civic Repaint')
+    .attach('images', png, { filename: 'before.png', contentType: 'image/png' })
+    .attach('images', png, { filename: 'after.png', contentType: 'image/png' });
+
+  test('stores uploads before opening the transaction', async () => {
+    const res = await createProject();
+
+    expect(res.status).toBe(200);
+    expect(firstRouteQuery()).toBe('BEGIN');
+    // Original + satu varian per gambar
+    expect(storedAtInsert).toBe(4);
+
+    const inserts = db.calls.filter(call => /INSERT INTO gallery_images/.test(call.text));
+    expect(inserts.map(call => [call.params[0], call.params[2], call.params[3]])).toEqual([[7, 0, true], [7, 1, false]]);
+  });
+
+  test('removes stored uploads when the transaction rolls back', async () => {
+    db.on(/INSERT INTO gallery_images/, () => { throw new Error('insert failed'); });
+
+    const res = await createProject();
+
+    expect(res.status).toBe(500);
+    expect(texts()).toContain('ROLLBACK');
+    await flush();
+    expect(getBackend().files.size).toBe(0);
+  });
+
+  test('rejects an undecodable image with 400 without touching the database', async () => {
+    const res = await request(app)
+      .post('/api/gallery/create')
+      .set('Authorization', authorization)
+      .field('title', 'Civic Repaint')
+      .attach('images', png, { filename: 'before.png', contentType: 'image/png' })
+      .attach('images', Buffer.from('not really a jpeg'), { filename: 'after.jpg', contentType: 'image/jpeg' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid image');
+    expect(db.calls.some(call => /gallery_/.test(call.text))).toBe(false);
+    await flush();
+    expect(getBackend().files.size).toBe(0);
+  });
+
+  test('validates status and image roles before uploading', async () => {
+    const badStatus = await request(app)
+      .post('/api/gallery/create')
+      .set('Authorization', authorization)
+      .field('title', 'Civic Repaint')
+      .field('status', 'hidden')
+      .attach('images', png, { filename: 'before.png', contentType: 'image/png' });
+    const badRole = await request(app)
+      .post('/api/gallery/create')
+      .set('Authorization', authorization)
+      .field('title', 'Civic Repaint')
+      .field('image_roles', 'during')
+      .attach('images', png, { filename: 'before.png', contentType: 'image/png' });
+
+    expect(badStatus.status).toBe(400);
+    expect(badStatus.body.message).toMatch(/^Invalid status/);
+    expect(badRole.status).toBe(400);
+    expect(badRole.body.message).toMatch(/^Invalid image role "during"/);
+    expect(getBackend().files.size).toBe(0);
+  });
+});
+
+describe('POST /api/gallery/update/:id', () => {
+  let oldImage;
+
+  beforeEach(async () => {
+    oldImage = {
+      id: 31,
+      image_url: await saveBuffer('gallery/old.jpg', Buffer.from('jpeg'), 'image/jpeg'),
+      variants: [{ url: await saveBuffer('gallery/old-320w.webp', Buffer.from('webp'), 'image/webp'), width: 320 }],
+      media_id: null
+    };
+
+    db.on(/SELECT \* FROM gallery_projects WHERE id = \$1/, ([id]) => ({
+      rows: id === 5 ? [{ id: 5, title: 'Civic', status: 'published', publish_at: null, unpublish_at: null }] : []
+    }));
+    db.on(/FROM gallery_images WHERE project_id = \$1 ORDER BY image_order/, () => ({ rows: [] }));
+    db.on(/SELECT image_url, variants, media_id FROM gallery_images WHERE id = ANY/, () => ({ rows: [oldImage] }));
+    db.on(/DELETE FROM gallery_images WHERE id = ANY/, () => ({ rows: [] }));
+    db.on(/COALESCE\(MAX\(image_order\), -1\)/, () => ({ rows: [{ max_order: 0 }] }));
+    db.on(/INSERT INTO gallery_images/, () => ({ rows: [] }));
+  });
+
+  const deleteOldImage = () => request(app)
+    .post('/api/gallery/update/5')
+    .set('Authorization', authorization)
+    .send({ deleted_images: [31] });
+
+  test('deletes removed image files only after COMMIT', async () => {
+    const res = await deleteOldImage();
+
+    expect(res.status).toBe(200);
+    await flush();
+    expect(storedKeys()).toEqual([]);
+  });
+
+  test('keeps removed image files when the transaction rolls back', async () => {
+    db.on(/UPDATE gallery_images SET is_primary = true\s+WHERE id = \(/, () => { throw new Error('connection lost'); });
+
+    const res = await deleteOldImage();
+
+    expect(res.status).toBe(500);
+    expect(texts()).toContain('ROLLBACK');
+    await flush();
+    expect(storedKeys()).toEqual(['gallery/old.jpg', 'gallery/old-320w.webp']);
+  });
+
+  test('stores new uploads before the transaction and keeps their roles', async () => {
+    const res = await request(app)
+      .post('/api/gallery/update/5')
+      .set('Authorization', authorization)
+      .field('image_roles', '["after"]')
+      .attach('newImages', png, { filename: 'after.png', contentType: 'image/png' });
+
+    expect(res.status).toBe(200);
+    expect(firstRouteQuery()).toBe('BEGIN');
+    const insert = db.calls.find(call => /INSERT INTO gallery_images/.test(call.text));
+    expect(insert.params[2]).toBe(1);
+    expect(insert.params[7]).toBe('after');
+    expect(insert.params[1]).toMatch(/^memory:\/\/gallery\//);
+  });
+
+  test('removes new uploads when validation fails inside the transaction', async () => {
+    const res = await request(app)
+      .post('/api/gallery/update/5')
+      .set('Authorization', authorization)
+      .field('status', 'scheduled')
+      .attach('newImages', png, { filename: 'after.png', contentType: 'image/png' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('publish_at is required for scheduled projects');
+    await flush();
+    expect(storedKeys()).toEqual(['gallery/old.jpg', 'gallery/old-320w.webp']);
+  });
+
+  test('rejects an undecodable image with 400 instead of dropping it', async () => {
+    const res = await request(app)
+      .post('/api/gallery/update/5')
+      .set('Authorization', authorization)
+      .attach('newImages', png, { filename: 'after.png', contentType: 'image/png' })
+      .attach('newImages', Buffer.from('not really a jpeg'), { filename: 'civic.jpg', contentType: 'image/jpeg' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid image');
+    expect(texts()).not.toContain('BEGIN');
+    await flush();
+    expect(storedKeys()).toEqual(['gallery/old.jpg', 'gallery/old-320w.webp']);
+  });
+});
+
+describe('DELETE /api/gallery/delete/:id', () => {
+  let image;
+
+  beforeEach(async () => {
+    image = {
+      id: 31,
+      image_url: await saveBuffer('gallery/civic.jpg', Buffer.from('jpeg'), 'image/jpeg'),
+      variants: [],
+      media_id: null
+    };
+    db.on(/FROM gallery_images WHERE project_id = \$1/, () => ({ rows: [image] }));
+    db.on(/DELETE FROM gallery_projects WHERE id = \$1/, ([id]) => ({ rows: id === 5 ? [{ id: 5 }] : [] }));
+  });
+
+  test('deletes files after the project row is committed', async () => {
+    const res = await request(app).delete('/api/gallery/delete/5').set('Authorization', authorization);
+
+    expect(res.status).toBe(200);
+    await flush();
+    expect(getBackend().files.size).toBe(0);
+  });
+
+  test('keeps files when the delete fails or the project is missing', async () => {
+    const missing = await request(app).delete('/api/gallery/delete/9').set('Authorization', authorization);
+    db.on(/DELETE FROM gallery_projects WHERE id = \$1/, () => { throw new Error('connection lost'); });
+    const failed = await request(app).delete('/api/gallery/delete/5').set('Authorization', authorization);
+
+    expect(missing.status).toBe(404);
+    expect(failed.status).toBe(500);
+    await flush();
+    expect(storedKeys()).toEqual(['gallery/civic.jpg']);
+  });
+
+  test('keeps files that belong to the media library', async () => {
+    image.media_id = 3;
+
+    await request(app).delete('/api/gallery/delete/5').set('Authorization', authorization);
+
+    await flush();
+    expect(storedKeys()).toEqual(['gallery/civic.jpg']);
+  });
+});
+
+describe('POST /api/gallery/:id/images/reorder', () => {
+  beforeEach(() => {
+    db.on(/SELECT id FROM gallery_projects WHERE id = \$1 FOR UPDATE/, ([id]) => ({ rows: id === 5 ? [{ id }] : [] }));
+    db.on(/FROM gallery_images WHERE project_id = \$1 ORDER BY image_order/, () => ({
+      rows: [{ id: 1, image_order: 0 }, { id: 2, image_order: 1 }, { id: 3, image_order: 2 }]
+    }));
+    db.on(/FROM unnest\(\$2::int\[\]\) WITH ORDINALITY/, () => ({ rows: [] }));
+  });
+
+  const reorder = (body, id = 5) => request(app)
+    .post(`/api/gallery/${id}/images/reorder`)
+    .set('Authorization', authorization)
+    .send(body);
+
+  test.each([
+    ['a bodyless request', undefined],
+    ['a non-array', { image_ids: '1,2,3' }],
+    ['non-numeric ids', { image_ids: [1, 'x', 3] }],
+    ['duplicate ids', { image_ids: [1, 1, 2] }]
+  ])('rejects %s with 400 before opening a transaction', async (label, body) => {
+    const res = await reorder(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('image_ids must be an array of unique image IDs');
+    expect(texts()).not.toContain('BEGIN');
+  });
+
+  test('requires every image of the project exactly once', async () => {
+    const res = await reorder({ image_ids: [3, 1] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.expected).toEqual([1, 2, 3]);
+    expect(texts()).toContain('ROLLBACK');
+  });
+
+  test('returns 404 for an unknown project and reorders a complete list', async () => {
+    expect((await reorder({ image_ids: [3, 1, 2] }, 9)).status).toBe(404);
+
+    const res = await reorder({ image_ids: [3, 1, 2] });
+
+    expect(res.status).toBe(200);
+    expect(db.calls.find(call => /WITH ORDINALITY/.test(call.text)).params).toEqual([5, [3, 1, 2]]);
+  });
+});
+
+describe('POST /api/gallery/:id/images/:imageId/primary', () => {
+  beforeEach(() => {
+    db.on(/SELECT id, is_primary FROM gallery_images WHERE id = \$1 AND project_id = \$2/, ([imageId, projectId]) => ({
+      rows: imageId === 2 && projectId === 5 ? [{ id: 2, is_primary: false }] : []
+    }));
+    db.on(/SELECT id FROM gallery_images WHERE project_id = \$1 AND is_primary = true/, () => ({ rows: [{ id: 1 }] }));
+    db.on(/UPDATE gallery_images SET is_primary = (true|false) WHERE/, () => ({ rows: [] }));
+    db.on(/FROM gallery_images WHERE project_id = \$1 ORDER BY image_order/, () => ({ rows: [] }));
+  });
+
+  test('clears the old primary before setting the new one', async () => {
+    const res = await request(app).post('/api/gallery/5/images/2/primary').set('Authorization', authorization);
+
+    expect(res.status).toBe(200);
+    const updates = db.calls.filter(call => /^UPDATE gallery_images SET is_primary/.test(call.text));
+    expect(updates.map(call => [call.text.match(/is_primary = (\w+)/)[1], call.params])).toEqual([
+      ['false', [5]],
+      ['true', [2]]
+    ]);
+  });
+
+  test('returns 404 for an image outside the project', async () => {
+    const res = await request(app).post('/api/gallery/6/images/2/primary').set('Authorization', authorization);
+
+    expect(res.status).toBe(404);
+    expect(db.calls.some(call => /^UPDATE gallery_images/.test(call.text))).toBe(false);
+  });
+});
+
+describe('before/after pairs', () => {
+  let images;
+  let pairs;
+
+  beforeEach(() => {
+    images = [
+      { id: 1, role: 'before', caption: null, alt_text: null, variants: [] },
+      { id: 2, role: null, caption: null, alt_text: null, variants: [] },
+      { id: 3, role: 'process', caption: null, alt_text: null, variants: [] }
+    ];
+    pairs = [];
+
+    db.on(/WHERE project_id = \$1 AND id = ANY\(\$2::int\[\]\) FOR UPDATE/, ([, ids]) => ({
+      rows: images.filter(image => ids.includes(image.id))
+    }));
+    db.on(/FROM gallery_images WHERE id = \$1 AND project_id = \$2/, ([id]) => ({ rows: images.filter(image => image.id === id) }));
+    db.on(/SELECT id FROM gallery_image_pairs WHERE before_image_id = \$1 OR after_image_id = \$2/, ([beforeId, afterId]) => ({
+      rows: pairs.filter(pair => pair.before_image_id === beforeId || pair.after_image_id === afterId)
+    }));
+    db.on(/SELECT id FROM gallery_image_pairs WHERE before_image_id = \$1 OR after_image_id = \$1/, ([id]) => ({
+      rows: pairs.filter(pair => pair.before_image_id === id || pair.after_image_id === id)
+    }));
+    db.on(/UPDATE gallery_images SET role = '(before|after)' WHERE id = \$1/, ([id], text) => {
+      images.find(image => image.id === id).role = text.match(/'(\w+)'/)[1];
+      return { rows: [] };
+    });
+    db.on(/INSERT INTO gallery_image_pairs/, ([projectId, beforeId, afterId, caption]) => {
+      const pair = { id: pairs.length + 1, project_id: projectId, before_image_id: beforeId, after_image_id: afterId, caption, pair_order: 0 };
+      pairs.push(pair);
+      return { rows: [pair] };
+    });
+    db.on(/UPDATE gallery_images SET caption = \$1/, ([caption, altText, role, id]) => ({
+      rows: [{ ...images.find(image => image.id === id), caption, alt_text: altText, role }]
+    }));
+  });
+
+  const createPair = (body) => request(app).post('/api/gallery/5/pairs').set('Authorization', authorization).send(body);
+
+  test('pairs two images and fills in missing roles', async () => {
+    const res = await createPair({ before_image_id: 1, after_image_id: 2, caption: ' Pintu depan ' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.caption).toBe('Pintu depan');
+    expect(images.find(image => image.id === 2).role).toBe('after');
+  });
+
+  test('returns 409 when one of the images is already paired', async () => {
+    pairs.push({ id: 8, before_image_id: 1, after_image_id: 4 });
+
+    const res = await createPair({ before_image_id: 1, after_image_id: 2 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.pair_id).toBe(8);
+    expect(texts()).toContain('ROLLBACK');
+  });
+
+  test('rejects images whose roles do not fit the pair', async () => {
+    const res = await createPair({ before_image_id: 3, after_image_id: 2 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Pairs need a "before" image and an "after" image');
+  });
+
+  test('rejects bodyless and self pairs with 400', async () => {
+    expect((await createPair(undefined)).status).toBe(400);
+    expect((await createPair({ before_image_id: 1, after_image_id: 1 })).status).toBe(400);
+  });
+
+  test('returns 409 when changing the role of a paired image', async () => {
+    pairs.push({ id: 8, before_image_id: 1, after_image_id: 2 });
+
+    const res = await request(app).put('/api/gallery/5/images/1').set('Authorization', authorization).send({ role: 'process' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.pair_id).toBe(8);
+    expect(db.calls.some(call => /UPDATE gallery_images SET caption/.test(call.text))).toBe(false);
+  });
+
+  test('allows caption changes on a paired image', async () => {
+    pairs.push({ id: 8, before_image_id: 1, after_image_id: 2 });
+
+    const res = await request(app).put('/api/gallery/5/images/1').set('Authorization', authorization).send({ caption: 'Sebelum' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ caption: 'Sebelum', role: 'before' });
+  });
+});
+
+describe('POST /api/gallery/status/:id', () => {
+  beforeEach(() => {
+    db.on(/SELECT \* FROM gallery_projects WHERE id = \$1/, ([id]) => ({
+      rows: id === 5 ? [{ id: 5, status: 'draft', publish_at: null, unpublish_at: null }] : []
+    }));
+    db.on(/SET status = \$1, publish_at = \$2, unpublish_at = \$3/, ([status, publishAt, unpublishAt, id]) => ({
+      rows: [{ id, status, publish_at: publishAt, unpublish_at: unpublishAt }]
+    }));
+  });
+
+  const changeStatus = (body, id = 5) => request(app).post(`/api/gallery/status/${id}`).set('Authorization', authorization).send(body);
+
+  test.each([
+    ['a missing status', undefined, 'Status is required'],
+    ['an unknown status', { status: 'hidden' }, /^Invalid status/],
+    ['an invalid date', { status: 'published', publish_at: 'tomorrow' }, 'publish_at and unpublish_at must be valid dates'],
+    ['a schedule without publish_at', { status: 'scheduled' }, 'publish_at is required for scheduled projects'],
+    [
+      'unpublish_at before publish_at',
+      { status: 'published', publish_at: '2025-06-01T00:00:00Z', unpublish_at: '2025-05-01T00:00:00Z' },
+      'unpublish_at must be after publish_at'
+    ]
+  ])('rejects %s with 400', async (label, body, message) => {
+    const res = await changeStatus(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toEqual(typeof message === 'string' ? message : expect.stringMatching(message));
+    expect(db.calls.some(call => /^UPDATE gallery_projects/.test(call.text.trim()))).toBe(false);
+  });
+
+  test('publishing with a future publish_at schedules the project', async () => {
+    const publishAt = new Date(Date.now() + 3 * DAY).toISOString();
+
+    const res = await changeStatus({ status: 'published', publish_at: publishAt });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('scheduled');
+  });
+
+  test('returns 404 for an unknown or non-numeric project', async () => {
+    expect((await changeStatus({ status: 'published' }, 9)).status).toBe(404);
+    expect((await changeStatus({ status: 'published' }, 'abc')).status).toBe(404);
+  });
+});
+
+describe('public cache', () => {
+  beforeEach(() => {
+    db.on(/SELECT COUNT\(\*\)::int AS total FROM gallery_projects WHERE/, () => ({ rows: [{ total: 1 }] }));
+    db.on(/SELECT \* FROM gallery_projects\s+WHERE\s+is_active = true/, () => ({ rows: [{ id: 5, title: 'Civic' }] }));
+    db.on(/FROM content_translations/, () => ({ rows: [] }));
+    db.on(/WHERE project_id = ANY\(\$1::int\[\]\)/, () => ({ rows: [] }));
+    db.on(/SELECT \* FROM gallery_projects WHERE id = \$1/, () => ({ rows: [{ id: 5, status: 'draft' }] }));
+    db.on(/SET status = \$1, publish_at = \$2, unpublish_at = \$3/, () => ({ rows: [{ id: 5, status: 'published' }] }));
+  });
+
+  const listCount = () => db.calls.filter(call => /SELECT COUNT\(\*\)::int AS total FROM gallery_projects/.test(call.text)).length;
+
+  test('serves repeated list requests from the cache', async () => {
+    const first = await request(app).get('/api/gallery');
+    const second = await request(app).get('/api/gallery');
+
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body).toEqual(first.body);
+    expect(listCount()).toBe(1);
+  });
+
+  test('a status change clears the cached list', async () => {
+    await request(app).get('/api/gallery');
+    await request(app).post('/api/gallery/status/5').set('Authorization', authorization).send({ status: 'published' });
+    const after = await request(app).get('/api/gallery');
+
+    expect(after.headers['x-cache']).toBe('MISS');
+    expect(listCount()).toBe(2);
+  });
+
+  test('does not cache failed requests', async () => {
+    await request(app).get('/api/gallery').query({ sort: 'random' });
+    const res = await request(app).get('/api/gallery').query({ sort: 'random' });
+
+    expect(res.status).toBe(400);
+    expect(res.headers['x-cache']).toBe('MISS');
+  });
+});
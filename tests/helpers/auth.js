@@ -0,0 +1,32 @@
+const jwt = require('jsonwebtoken');
+
+// ============================================
+// AUTH HELPER untuk test route yang pakai authenticateToken
+// Access token tanpa sid (session_active selalu true) + handler lookup admin_users di fakeDb.
+// ============================================
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const DEFAULT_USER = { id: 1, username: 'owner', email: 'owner@example.com', role: 'owner', token_version: 0 };
+
+const signAccessToken = (user = DEFAULT_USER) => jwt.sign(
+  { id: user.id, username: user.username, email: user.email, role: user.role, tv: user.token_version || 0 },
+  process.env.JWT_SECRET,
+  { expiresIn: '15m' }
+);
+
+// Daftarkan user yang dikenali authenticateToken, return header Authorization
+const authenticateAs = (db, user = DEFAULT_USER) => {
+  db.on(/SELECT u\.role, u\.is_active, u\.token_version/, ([id]) => ({
+    rows: id === user.id
+      ? [{ role: user.role, is_active: true, token_version: user.token_version || 0, session_active: true }]
+      : []
+  }));
+
+  return `Bearer ${signAccessToken(user)}`;
+};
+
+module.exports = {
+  DEFAULT_USER,
+  signAccessToken,
+  authenticateAs
+};
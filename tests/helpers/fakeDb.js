@@ -0,0 +1,55 @@
+// ============================================
+// FAKE DATABASE untuk test
+// Pengganti config/db: query dicocokkan ke handler berdasarkan regex SQL.
+// Query tanpa handler langsung throw supaya test tidak diam-diam lolos.
+//
+// Pemakaian:
+//   jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+//   const db = require('../config/db');
+//   db.on(/FROM admin_users WHERE id = \$1/, ([id]) => ({ rows: [...] }));
+// ============================================
+const TRANSACTION_PATTERN = /^\s*(BEGIN|COMMIT|ROLLBACK)\s*$/i;
+
+const createFakeDb = () => {
+  let handlers = [];
+  const calls = [];
+
+  const run = async (text, params = []) => {
+    calls.push({ text, params });
+
+    if (TRANSACTION_PATTERN.test(text)) {
+      return { rows: [], rowCount: 0 };
+    }
+
+    const handler = handlers.find(item => item.pattern.test(text));
+    if (!handler) {
+      throw new Error(`fakeDb: no handler for query: ${text.replace(/\s+/g, ' ').trim()}`);
+    }
+
+    const result = await handler.respond(params, text);
+    const rows = (result && result.rows) || [];
+    return { rows, rowCount: result && result.rowCount !== undefined ? result.rowCount : rows.length };
+  };
+
+  const pool = {
+    query: run,
+    connect: async () => ({ query: run, release: () => {} }),
+    end: async () => {}
+  };
+
+  return {
+    pool,
+    query: run,
+    calls,
+    // Handler yang didaftarkan belakangan menang (bisa override default per test)
+    on: (pattern, respond) => {
+      handlers.unshift({ pattern, respond });
+    },
+    reset: () => {
+      handlers = [];
+      calls.length = 0;
+    }
+  };
+};
+
+module.exports = { createFakeDb };
@@ -0,0 +1,68 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/db');
+const { authenticateAs } = require('./helpers/auth');
+const heroRoutes = require('../routes/heroRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/hero', heroRoutes);
+// Sama seperti error handler global di index.js
+app.use((err, req, res, next) => {
+  res.status(err.status || 500).json({ status: 'error', message: err.message });
+});
+
+let authorization;
+
+beforeEach(() => {
+  db.reset();
+  authorization = authenticateAs(db);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('slide uploads use the shared image rules (no GIF)', async () => {
+  const res = await request(app)
+    .post('/api/hero')
+    .set('Authorization', authorization)
+    .field('title', 'Promo')
+    .attach('image', Buffer.from('GIF89a'), { filename: 'promo.gif', contentType: 'image/gif' });
+
+  expect(res.body.message).toBe('Only image files (JPEG, PNG, WebP) are allowed');
+  expect(db.calls.some(call => /hero_slides/.test(call.text))).toBe(false);
+});
+
+test('slide uploads accept files up to the shared 10MB limit', async () => {
+  // Lebih besar dari batas lama 5MB; gagal di decode, bukan di multer
+  const res = await request(app)
+    .post('/api/hero')
+    .set('Authorization', authorization)
+    .field('title', 'Promo')
+    .attach('image', Buffer.alloc(6 * 1024 * 1024), { filename: 'promo.jpg', contentType: 'image/jpeg' });
+
+  expect(res.body.message).not.toMatch(/File too large/);
+});
+
+test('undecodable uploads return 400 instead of 500', async () => {
+  const res = await request(app)
+    .post('/api/hero')
+    .set('Authorization', authorization)
+    .field('title', 'Promo')
+    .attach('image', Buffer.from('not really a jpeg'), { filename: 'promo.jpg', contentType: 'image/jpeg' });
+
+  expect(res.status).toBe(400);
+  expect(res.body.message).toBe('Invalid image');
+  expect(db.calls.some(call => /hero_slides/.test(call.text))).toBe(false);
+});
+
+test('bodyless reorder falls into the slide_ids validation', async () => {
+  const res = await request(app).post('/api/hero/reorder').set('Authorization', authorization);
+
+  expect(res.status).toBe(400);
+  expect(res.body.message).toBe('slide_ids must be an array of unique slide IDs');
+});
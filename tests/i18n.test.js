@@ -0,0 +1,235 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/db');
+const { authenticateAs } = require('./helpers/auth');
+const { createCache, cacheResponse } = require('../utils/cache');
+const {
+  DEFAULT_LOCALE,
+  parseAcceptLanguage,
+  detectLocale,
+  translateRow,
+  registerTranslationRoutes
+} = require('../utils/i18n');
+
+const SERVICE = { id: 3, title: 'Cat ulang', description: 'Cat seluruh bodi', icon: 'spray-can' };
+const ENGLISH = { title: 'Repaint' };
+
+// Terjemahan services/3 di content_translations
+const registerTranslations = () => {
+  db.on(/SELECT resource_key, field, value FROM content_translations/, ([resourceType, locale, keys]) => ({
+    rows: resourceType === 'services' && locale === 'en' && keys.includes('3')
+      ? Object.entries(ENGLISH).map(([field, value]) => ({ resource_key: '3', field, value }))
+      : []
+  }));
+};
+
+beforeEach(() => {
+  db.reset();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseAcceptLanguage', () => {
+  test('sorts languages by q and drops the region', () => {
+    expect(parseAcceptLanguage('id;q=0.5, en-US, fr;q=0.8')).toEqual(['en', 'fr', 'id']);
+  });
+
+  test('keeps header order for equal q values', () => {
+    expect(parseAcceptLanguage('fr, en;q=0.9, id;q=0.9')).toEqual(['fr', 'en', 'id']);
+  });
+
+  test('ignores wildcards, q=0 and malformed q values', () => {
+    expect(parseAcceptLanguage('*, en;q=0, id;q=abc, fr')).toEqual(['fr']);
+  });
+
+  test('returns an empty list without a header', () => {
+    expect(parseAcceptLanguage(undefined)).toEqual([]);
+    expect(parseAcceptLanguage('')).toEqual([]);
+  });
+});
+
+describe('detectLocale', () => {
+  const app = express();
+  app.use(detectLocale);
+  app.get('/locale', (req, res) => res.json({ locale: req.locale }));
+
+  const localeFor = (headers = {}, query = {}) => request(app).get('/locale').query(query).set(headers);
+
+  test('falls back to the default locale without Accept-Language', async () => {
+    const res = await localeFor();
+
+    expect(DEFAULT_LOCALE).toBe('id');
+    expect(res.body.locale).toBe('id');
+    expect(res.headers['content-language']).toBe('id');
+    expect(res.headers.vary).toMatch(/Accept-Language/);
+  });
+
+  test('uses the best supported language from Accept-Language', async () => {
+    expect((await localeFor({ 'Accept-Language': 'en-GB' })).body.locale).toBe('en');
+    expect((await localeFor({ 'Accept-Language': 'fr, en;q=0.5, id;q=0.4' })).body.locale).toBe('en');
+  });
+
+  test('falls back to the default locale for unsupported languages', async () => {
+    expect((await localeFor({ 'Accept-Language': 'fr, de;q=0.8' })).body.locale).toBe('id');
+  });
+
+  test('?lang overrides Accept-Language', async () => {
+    const res = await localeFor({ 'Accept-Language': 'id' }, { lang: 'EN-us' });
+
+    expect(res.body.locale).toBe('en');
+    expect(res.headers['content-language']).toBe('en');
+  });
+
+  test('an unsupported ?lang falls back to Accept-Language', async () => {
+    expect((await localeFor({ 'Accept-Language': 'en' }, { lang: 'fr' })).body.locale).toBe('en');
+  });
+});
+
+describe('translateRow', () => {
+  beforeEach(registerTranslations);
+
+  test('merges translated fields and keeps the default for the rest', async () => {
+    const translated = await translateRow(db, 'services', SERVICE, 'en');
+
+    expect(translated).toEqual({ ...SERVICE, title: 'Repaint' });
+    expect(SERVICE.title).toBe('Cat ulang');
+  });
+
+  test('does not query translations for the default locale', async () => {
+    expect(await translateRow(db, 'services', SERVICE, 'id')).toBe(SERVICE);
+    expect(db.calls).toHaveLength(0);
+  });
+
+  test('returns the row unchanged when it has no translation', async () => {
+    const other = { ...SERVICE, id: 4 };
+
+    expect(await translateRow(db, 'services', other, 'en')).toBe(other);
+  });
+
+  test('looks up translations by a custom key field', async () => {
+    const translated = await translateRow(db, 'services', { code: 3, title: 'Cat ulang' }, 'en', 'code');
+
+    expect(translated.title).toBe('Repaint');
+    expect(db.calls[0].params[2]).toEqual(['3']);
+  });
+
+  test('passes a missing row through', async () => {
+    expect(await translateRow(db, 'services', null, 'en')).toBeNull();
+  });
+});
+
+describe('registerTranslationRoutes', () => {
+  let authorization;
+  let onChange;
+
+  const router = express.Router();
+  registerTranslationRoutes(router, {
+    resourceType: 'services',
+    keyParam: 'id',
+    label: 'service',
+    load: async (client, id) => (id === '3' ? { title: SERVICE.title, description: SERVICE.description } : null),
+    onChange: () => onChange()
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/services', router);
+
+  const saveTranslation = (locale, body, id = 3) => request(app)
+    .put(`/api/services/${id}/translations/${locale}`)
+    .set('Authorization', authorization)
+    .send(body);
+
+  beforeEach(() => {
+    authorization = authenticateAs(db);
+    onChange = jest.fn();
+    db.on(/SELECT field, value FROM content_translations/, () => ({ rows: [{ field: 'title', value: 'Repaint' }] }));
+    db.on(/INSERT INTO content_translations/, () => ({ rows: [] }));
+    db.on(/INSERT INTO audit_logs/, () => ({ rows: [] }));
+  });
+
+  test.each(['fr', 'xx'])('returns 400 for the unknown locale %s', async (locale) => {
+    const res = await saveTranslation(locale, { title: 'Repeindre' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Locale must be one of: en/);
+    expect(db.calls.some(call => /content_translations|BEGIN/.test(call.text))).toBe(false);
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  test('returns 400 for the default locale', async () => {
+    const res = await saveTranslation('id', { title: 'Cat ulang' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Edit the default language \(id\)/);
+  });
+
+  test('returns 400 for fields that cannot be translated', async () => {
+    const res = await saveTranslation('en', { icon: 'brush' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.fields).toEqual(['title', 'description', 'long_description']);
+  });
+
+  test('returns 404 for an unknown resource', async () => {
+    expect((await saveTranslation('en', { title: 'Repaint' }, 9)).status).toBe(404);
+  });
+
+  test('saves a translation and resolves it over the default content', async () => {
+    const res = await saveTranslation('EN', { title: 'Repaint' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      locale: 'en',
+      resolved: { title: 'Repaint', description: SERVICE.description }
+    });
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('cached responses per locale', () => {
+  const app = express();
+  const cache = createCache();
+  app.use(detectLocale);
+  app.get('/api/services/3', cacheResponse(cache), async (req, res) => {
+    res.json({ status: 'success', data: await translateRow(db, 'services', SERVICE, req.locale) });
+  });
+
+  const fetchService = (language) => request(app).get('/api/services/3').set('Accept-Language', language);
+
+  beforeEach(() => {
+    cache.clear();
+    registerTranslations();
+  });
+
+  test('keeps a separate entry for each locale of the same URL', async () => {
+    const english = await fetchService('en');
+    const indonesian = await fetchService('id');
+
+    expect(english.headers['x-cache']).toBe('MISS');
+    expect(indonesian.headers['x-cache']).toBe('MISS');
+    expect(english.body.data.title).toBe('Repaint');
+    expect(indonesian.body.data.title).toBe('Cat ulang');
+    expect(cache.size()).toBe(2);
+  });
+
+  test('serves each locale its own cached body', async () => {
+    await fetchService('en');
+    await fetchService('id');
+    db.calls.length = 0;
+
+    const english = await fetchService('en-US,en;q=0.9');
+    const indonesian = await fetchService('id');
+
+    expect(english.headers['x-cache']).toBe('HIT');
+    expect(english.body.data.title).toBe('Repaint');
+    expect(indonesian.headers['x-cache']).toBe('HIT');
+    expect(indonesian.body.data.title).toBe('Cat ulang');
+    expect(db.calls).toHaveLength(0);
+  });
+});
@@ -0,0 +1,48 @@
+const sharp = require('sharp');
+const { setBackend, getBackend } = require('../utils/storage');
+const { processImage, storeImage, isInvalidImage } = require('../utils/imageProcessor');
+
+const png = (width, height) => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } }
+}).png().toBuffer();
+
+beforeEach(() => {
+  setBackend('memory');
+  getBackend().files.clear();
+});
+
+describe('processImage', () => {
+  test('re-encodes the original and builds smaller WebP variants', async () => {
+    const { original, variants } = await processImage(await png(700, 350));
+
+    expect(original).toMatchObject({ width: 700, height: 350, format: 'png' });
+    expect(variants.map(variant => variant.width)).toEqual([320, 640]);
+    expect(variants.every(variant => variant.format === 'webp')).toBe(true);
+  });
+
+  test('throws an INVALID_IMAGE error with status 400 for undecodable buffers', async () => {
+    const error = await processImage(Buffer.from('not an image')).catch(err => err);
+
+    expect(isInvalidImage(error)).toBe(true);
+    expect(error.status).toBe(400);
+    expect(error.message).toBe('Invalid image');
+  });
+
+  test('rejects truncated images', async () => {
+    const buffer = await png(400, 400);
+
+    await expect(processImage(buffer.subarray(0, buffer.length / 2))).rejects.toMatchObject({ code: 'INVALID_IMAGE' });
+  });
+});
+
+test('storeImage stores nothing when the upload cannot be decoded', async () => {
+  const file = { buffer: Buffer.from('GIF89a-broken'), mimetype: 'image/jpeg' };
+
+  await expect(storeImage(file, 'hero')).rejects.toMatchObject({ status: 400 });
+  expect(getBackend().files.size).toBe(0);
+});
+
+test('isInvalidImage ignores other errors', () => {
+  expect(isInvalidImage(new Error('disk full'))).toBe(false);
+  expect(isInvalidImage(undefined)).toBe(false);
+});
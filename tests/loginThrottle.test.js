@@ -0,0 +1,239 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const db = require('../config/db');
+const {
+  startLoginAttempt,
+  cancelLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+} = require('../utils/loginThrottle');
+
+const MINUTE = 60 * 1000;
+const IP = '10.0.0.8';
+
+// State login_attempts & admin_users di memory, jam bisa dimajukan lewat advance()
+let now;
+let attempts;
+let user;
+
+const advance = (ms) => { now += ms; };
+const seconds = (ms) => Math.floor(ms / 1000);
+const inWindow = (attempt, windowMinutes) => attempt.created_at > now - windowMinutes * MINUTE;
+
+const failureStats = (matches, windowMinutes, excludeId) => {
+  const recent = attempts.filter(attempt => matches(attempt) && attempt.id !== excludeId && inWindow(attempt, windowMinutes));
+  const lastSuccess = Math.max(-Infinity, ...recent.filter(attempt => attempt.success).map(attempt => attempt.created_at));
+  const failures = recent.filter(attempt => !attempt.success && attempt.created_at > lastSuccess);
+  return {
+    failures: failures.length,
+    seconds_since_last: failures.length > 0 ? seconds(now - Math.max(...failures.map(attempt => attempt.created_at))) : null
+  };
+};
+
+const attempt = async (username = 'owner', ip = IP) => {
+  const result = await startLoginAttempt({ username, ip });
+  if (result.blocked) return result;
+  return { ...result, lockout: await recordLoginFailure({ userId: username === user.username ? user.id : null }) };
+};
+
+beforeEach(() => {
+  db.reset();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+  now = Date.now();
+  attempts = [];
+  user = { id: 1, username: 'owner', failed_login_count: 0, locked_until: null, last_failed_login_at: null };
+
+  db.on(/INSERT INTO login_attempts/, ([username, ip]) => {
+    const row = { id: attempts.length + 1, username, ip, success: false, created_at: now };
+    attempts.push(row);
+    return { rows: [{ id: row.id }] };
+  });
+  db.on(/DELETE FROM login_attempts WHERE id = \$1/, ([id]) => {
+    attempts = attempts.filter(row => row.id !== id);
+    return { rows: [] };
+  });
+  db.on(/UPDATE login_attempts SET success = true WHERE id = \$1/, ([id]) => {
+    attempts.find(row => row.id === id).success = true;
+    return { rows: [] };
+  });
+  db.on(/DELETE FROM login_attempts\s+WHERE LOWER\(username\)/, ([username]) => {
+    attempts = attempts.filter(row => row.username.toLowerCase() !== username.toLowerCase() || row.success);
+    return { rows: [] };
+  });
+
+  db.on(/WITH recent AS/, ([value, windowMinutes, excludeId], text) => ({
+    rows: [failureStats(
+      /LOWER\(username\)/.test(text)
+        ? row => row.username.toLowerCase() === value.toLowerCase()
+        : row => row.ip === value,
+      parseInt(windowMinutes),
+      excludeId
+    )]
+  }));
+
+  db.on(/WHERE username = \$1 AND locked_until > CURRENT_TIMESTAMP/, ([username]) => ({
+    rows: username === user.username && user.locked_until > now
+      ? [{ locked_seconds: Math.ceil((user.locked_until - now) / 1000) }]
+      : []
+  }));
+
+  // Sama dengan CASE di recordLoginFailure: semua kolom dihitung dari nilai lama
+  db.on(/SET failed_login_count = CASE/, ([id, windowMinutes, maxFailed, lockoutMinutes]) => {
+    if (id !== user.id) return { rows: [] };
+
+    const restart = (user.locked_until !== null && user.locked_until <= now)
+      || user.last_failed_login_at === null
+      || user.last_failed_login_at <= now - parseInt(windowMinutes) * MINUTE;
+    const next = restart ? 1 : user.failed_login_count + 1;
+
+    user.locked_until = user.locked_until > now
+      ? user.locked_until
+      : (next >= maxFailed ? now + parseInt(lockoutMinutes) * MINUTE : null);
+    user.failed_login_count = next;
+    user.last_failed_login_at = now;
+    return { rows: [{ failed_login_count: next }] };
+  });
+  db.on(/SET failed_login_count = 0, locked_until = NULL, last_failed_login_at = NULL( WHERE|, updated_at)/, ([id]) => {
+    if (id !== user.id) return { rows: [] };
+    Object.assign(user, { failed_login_count: 0, locked_until: null, last_failed_login_at: null });
+    return { rows: [{ username: user.username }] };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('progressive delay', () => {
+  test('allows the free attempts, then doubles the wait after each failure', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await attempt('ghost')).blocked).toBeNull();
+    }
+
+    const fourth = await attempt('ghost');
+    expect(fourth.blocked).toMatchObject({ status: 429, retryAfter: 2 });
+
+    advance(2 * 1000);
+    expect((await attempt('ghost')).blocked).toBeNull();
+
+    // Kegagalan ke-4: tunggu 4 detik
+    advance(2 * 1000);
+    expect((await attempt('ghost')).blocked).toMatchObject({ status: 429, retryAfter: 2 });
+    advance(2 * 1000);
+    expect((await attempt('ghost')).blocked).toBeNull();
+  });
+
+  test('blocked attempts are not recorded and do not extend the wait', async () => {
+    for (let i = 0; i < 3; i++) await attempt('ghost');
+
+    await attempt('ghost');
+    await attempt('ghost');
+
+    expect(attempts).toHaveLength(3);
+  });
+
+  test('throttles an IP across usernames only after its larger allowance', async () => {
+    for (let i = 0; i < 10; i++) {
+      expect((await attempt(`user${i}`)).blocked).toBeNull();
+    }
+
+    expect((await attempt('user10')).blocked).toMatchObject({ status: 429 });
+    expect((await attempt('user10', '10.0.0.9')).blocked).toBeNull();
+  });
+
+  test('concurrent attempts see each other and cannot all get past the limit', async () => {
+    for (let i = 0; i < 2; i++) await attempt('ghost');
+
+    const results = await Promise.all(Array.from({ length: 6 }, () => startLoginAttempt({ username: 'ghost', ip: IP })));
+
+    expect(results.filter(result => !result.blocked).length).toBeLessThanOrEqual(1);
+  });
+});
+
+describe('account lockout', () => {
+  test('locks the account on the fifth failure and reports it', async () => {
+    const results = [];
+    for (let i = 0; i < 5; i++) {
+      results.push(await attempt());
+      // Cukup jauh supaya backoff username tidak ikut memblokir
+      advance(6 * MINUTE);
+    }
+
+    expect(results.slice(0, 4).every(result => result.lockout === null)).toBe(true);
+    expect(results[4].lockout).toMatchObject({ status: 423, retryAfter: 15 * 60 });
+    expect(user.failed_login_count).toBe(5);
+  });
+
+  test('a locked account is rejected with 423 before the password is checked', async () => {
+    user.locked_until = now + 10 * MINUTE;
+
+    const result = await startLoginAttempt({ username: 'owner', ip: IP });
+
+    expect(result.blocked).toMatchObject({ status: 423, retryAfter: 600 });
+    expect(attempts).toHaveLength(0);
+  });
+
+  test('the failure counter decays once the last failure is outside the window', async () => {
+    Object.assign(user, { failed_login_count: 4, last_failed_login_at: now - 20 * MINUTE });
+
+    const result = await attempt();
+
+    expect(result.lockout).toBeNull();
+    expect(user.failed_login_count).toBe(1);
+    expect(user.locked_until).toBeNull();
+  });
+
+  test('an expired lock restarts the counter', async () => {
+    Object.assign(user, { failed_login_count: 5, locked_until: now - MINUTE, last_failed_login_at: now - 2 * MINUTE });
+
+    const result = await attempt();
+
+    expect(result.lockout).toBeNull();
+    expect(user.failed_login_count).toBe(1);
+  });
+
+  test('does the increment and the lock in a single statement', async () => {
+    Object.assign(user, { failed_login_count: 4, last_failed_login_at: now - MINUTE });
+
+    await recordLoginFailure({ userId: 1 });
+
+    const updates = db.calls.filter(call => /UPDATE admin_users/.test(call.text));
+    expect(updates).toHaveLength(1);
+    expect(updates[0].text).toMatch(/RETURNING failed_login_count/);
+    expect(user.locked_until).toBe(now + 15 * MINUTE);
+  });
+});
+
+describe('reset', () => {
+  test('a successful login clears the counter and the username backoff', async () => {
+    for (let i = 0; i < 3; i++) await attempt();
+    advance(MINUTE);
+
+    const success = await startLoginAttempt({ username: 'owner', ip: IP });
+    await recordLoginSuccess({ attempt: success, userId: 1 });
+
+    expect(user).toMatchObject({ failed_login_count: 0, locked_until: null, last_failed_login_at: null });
+    expect((await attempt()).blocked).toBeNull();
+    expect((await attempt()).blocked).toBeNull();
+  });
+
+  test('a cancelled attempt (password ok, 2FA pending) leaves no record', async () => {
+    const pending = await startLoginAttempt({ username: 'owner', ip: IP });
+    await cancelLoginAttempt(pending);
+
+    expect(attempts).toHaveLength(0);
+  });
+
+  test('unlockAccount clears the lock and recent failures', async () => {
+    for (let i = 0; i < 3; i++) await attempt();
+    user.locked_until = now + 10 * MINUTE;
+
+    expect(await unlockAccount(1)).toBe(true);
+    expect(user.locked_until).toBeNull();
+    expect(attempts).toHaveLength(0);
+    expect(await unlockAccount(99)).toBe(false);
+  });
+});
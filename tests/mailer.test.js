@@ -0,0 +1,171 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/db');
+const { sendMail, canDeliverMail, registerTransport, setTransport } = require('../utils/mailer');
+const authRoutes = require('../routes/authRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const ORIGINAL_ENV = { ...process.env };
+
+const loggedText = (spy) => spy.mock.calls.map(args => args.join(' ')).join('\n');
+
+beforeEach(() => {
+  db.reset();
+  setTransport(null);
+  process.env = { ...ORIGINAL_ENV };
+  delete process.env.MAIL_TRANSPORT;
+  delete process.env.MAIL_HTTP_URL;
+  delete process.env.MAIL_HTTP_API_KEY;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  process.env = ORIGINAL_ENV;
+});
+
+describe('mail transports', () => {
+  test('console transport never logs the message body', async () => {
+    await sendMail({ to: 'owner@example.com', subject: 'Reset', text: 'https://x/reset?token=secret-token' });
+
+    const output = loggedText(console.log);
+    expect(output).toContain('owner@example.com');
+    expect(output).not.toContain('secret-token');
+  });
+
+  test('console transport does not count as deliverable', () => {
+    expect(canDeliverMail()).toBe(false);
+
+    process.env.MAIL_HTTP_URL = 'https://mail.example.com/emails';
+    expect(canDeliverMail()).toBe(true);
+  });
+
+  test('http transport posts JSON with the API key and hides the body on errors', async () => {
+    process.env.MAIL_HTTP_URL = 'https://mail.example.com/emails';
+    process.env.MAIL_HTTP_API_KEY = 'key-123';
+
+    global.fetch = jest.fn().mockResolvedValueOnce({ ok: true, status: 200 });
+    await sendMail({ to: 'owner@example.com', subject: 'Hi', text: 'token=abc' });
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://mail.example.com/emails');
+    expect(options.headers.Authorization).toBe('Bearer key-123');
+    expect(JSON.parse(options.body)).toMatchObject({ to: 'owner@example.com', subject: 'Hi' });
+
+    global.fetch = jest.fn().mockResolvedValueOnce({ ok: false, status: 422 });
+    const error = await sendMail({ to: 'owner@example.com', subject: 'Hi', text: 'token=abc' }).catch(e => e);
+    expect(error.message).toBe('Mail API responded with HTTP 422');
+
+    delete global.fetch;
+  });
+});
+
+describe('outbox transport', () => {
+  let outboxDir;
+
+  const outboxMessages = () => fs.readdirSync(outboxDir)
+    .map(file => JSON.parse(fs.readFileSync(path.join(outboxDir, file), 'utf8')));
+
+  beforeEach(() => {
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-outbox-test-'));
+    process.env.MAIL_OUTBOX_DIR = outboxDir;
+    process.env.MAIL_TRANSPORT = 'outbox';
+  });
+
+  afterEach(() => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  test('writes the full message to a file without logging the body', async () => {
+    await sendMail({ to: 'owner@example.com', subject: 'Reset', text: 'https://x/reset?token=secret-token' });
+
+    expect(outboxMessages()).toEqual([expect.objectContaining({
+      to: 'owner@example.com',
+      subject: 'Reset',
+      text: 'https://x/reset?token=secret-token'
+    })]);
+    expect(loggedText(console.log)).toContain(outboxDir);
+    expect(loggedText(console.log)).not.toContain('secret-token');
+  });
+
+  test('is refused in production and never counts as deliverable', async () => {
+    expect(canDeliverMail()).toBe(false);
+
+    process.env.NODE_ENV = 'production';
+    await expect(sendMail({ to: 'owner@example.com', subject: 'Reset', text: 'x' })).rejects.toThrow(/disabled in production/);
+    expect(fs.readdirSync(outboxDir)).toHaveLength(0);
+  });
+
+  test('makes the reset link retrievable in development', async () => {
+    process.env.NODE_ENV = 'development';
+    db.on(/FROM admin_users WHERE LOWER\(email\)/, () => ({ rows: [{ id: 7, username: 'owner', email: 'owner@example.com' }] }));
+    db.on(/UPDATE password_reset_tokens SET used_at/, () => ({ rows: [] }));
+    db.on(/INSERT INTO password_reset_tokens/, () => ({ rows: [] }));
+
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: 'owner@example.com' });
+
+    expect(res.status).toBe(200);
+    const [message] = outboxMessages();
+    expect(message.text).toMatch(/\?token=[a-f0-9]{64}/);
+  });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+  const user = { id: 7, username: 'owner', email: 'owner@example.com', full_name: 'Owner' };
+
+  const mockUserLookup = () => {
+    db.on(/FROM admin_users WHERE LOWER\(email\)/, () => ({ rows: [user] }));
+    db.on(/UPDATE password_reset_tokens SET used_at/, () => ({ rows: [] }));
+    db.on(/INSERT INTO password_reset_tokens/, () => ({ rows: [] }));
+  };
+
+  test('fails closed in production without a delivering transport', async () => {
+    process.env.NODE_ENV = 'production';
+    mockUserLookup();
+
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+
+    expect(res.status).toBe(503);
+    expect(db.calls.some(call => /password_reset_tokens/.test(call.text))).toBe(false);
+  });
+
+  test('sends the reset link through a delivering transport', async () => {
+    process.env.NODE_ENV = 'production';
+    const sent = [];
+    registerTransport('capture', async (message) => { sent.push(message); });
+    setTransport('capture');
+    mockUserLookup();
+
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+
+    expect(res.status).toBe(200);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe(user.email);
+    expect(sent[0].text).toMatch(/\?token=[a-f0-9]{64}/);
+    expect(loggedText(console.log)).not.toMatch(/token=[a-f0-9]{64}/);
+  });
+
+  test('expires the new token when the email cannot be sent', async () => {
+    registerTransport('broken', async () => { throw new Error('SMTP down'); });
+    setTransport('broken');
+    mockUserLookup();
+
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+
+    expect(res.status).toBe(200);
+    const invalidations = db.calls.filter(call => /UPDATE password_reset_tokens SET used_at/.test(call.text));
+    expect(invalidations).toHaveLength(2);
+  });
+});
@@ -0,0 +1,139 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/db');
+const { authenticateAs } = require('./helpers/auth');
+const { setBackend, getBackend, saveBuffer } = require('../utils/storage');
+const mediaRoutes = require('../routes/mediaRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/media', mediaRoutes);
+
+let authorization;
+let media;
+let revisionReferences;
+
+beforeEach(async () => {
+  db.reset();
+  setBackend('memory');
+  getBackend().files.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  authorization = authenticateAs(db);
+  media = {
+    id: 9,
+    media_type: 'image',
+    url: await saveBuffer('media/civic.webp', Buffer.from('webp'), 'image/webp'),
+    width: 1600,
+    height: 900,
+    variants: [],
+    hero_usage: 0,
+    gallery_usage: 0
+  };
+  revisionReferences = 0;
+
+  db.on(/FROM media m WHERE m\.id = \$1/, ([id]) => ({ rows: id === media.id ? [{ ...media }] : [] }));
+  db.on(/COUNT\(\*\)::int AS total FROM content_revisions\s+WHERE content->>'media_id'/, () => ({
+    rows: [{ total: revisionReferences }]
+  }));
+  db.on(/DELETE FROM media WHERE id = \$1/, () => ({ rows: [], rowCount: 1 }));
+  db.on(/INSERT INTO audit_logs/, () => ({ rows: [] }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DELETE /api/media/:id', () => {
+  test('refuses media still referenced by revision history', async () => {
+    revisionReferences = 2;
+
+    const res = await request(app).delete('/api/media/9').set('Authorization', authorization);
+
+    expect(res.status).toBe(409);
+    expect(res.body.usage.content_revisions).toBe(2);
+    expect(db.calls.find(call => /FROM content_revisions/.test(call.text)).params).toEqual(['9', media.url]);
+    expect(db.calls.some(call => /DELETE FROM media/.test(call.text))).toBe(false);
+    expect(getBackend().files.has('media/civic.webp')).toBe(true);
+  });
+
+  test('refuses media attached to a hero slide before checking revisions', async () => {
+    media.hero_usage = 1;
+
+    const res = await request(app).delete('/api/media/9').set('Authorization', authorization);
+
+    expect(res.status).toBe(409);
+    expect(res.body.usage.hero_slides).toBe(1);
+  });
+
+  test('deletes unreferenced media and its file', async () => {
+    const res = await request(app).delete('/api/media/9').set('Authorization', authorization);
+
+    expect(res.status).toBe(200);
+    expect(getBackend().files.has('media/civic.webp')).toBe(false);
+  });
+});
+
+describe('bodyless requests', () => {
+  test('PUT /:id returns 400', async () => {
+    const res = await request(app).put('/api/media/9').set('Authorization', authorization);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('No fields to update');
+  });
+
+  test('POST /:id/attach returns 400 before opening a transaction', async () => {
+    const res = await request(app).post('/api/media/9/attach').set('Authorization', authorization);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^target \(hero_slide or gallery_project\) and target_id are required/);
+    expect(db.calls.map(call => call.text)).not.toContain('BEGIN');
+  });
+});
+
+describe('POST /api/media/:id/attach', () => {
+  const slide = {
+    id: 4,
+    subtitle: 'Works Glow',
+    title: 'Repaint',
+    description: null,
+    image_url: 'memory://hero/old.webp',
+    image_width: 1200,
+    image_height: 800,
+    image_variants: [],
+    media_id: null,
+    button_text: null,
+    button_link: null,
+    starts_at: null,
+    ends_at: null,
+    is_active: true
+  };
+
+  beforeEach(() => {
+    db.on(/SELECT \* FROM hero_slides WHERE id = \$1 FOR UPDATE/, () => ({ rows: [{ ...slide }] }));
+    db.on(/UPDATE hero_slides/, ([url, width, height, variants, mediaId]) => ({
+      rows: [{ ...slide, image_url: url, image_width: width, image_height: height, image_variants: JSON.parse(variants), media_id: mediaId }]
+    }));
+    db.on(/pg_advisory_xact_lock/, () => ({ rows: [{}] }));
+    db.on(/SELECT COUNT\(\*\)::int AS total FROM content_revisions WHERE resource_type/, () => ({ rows: [{ total: 1 }] }));
+    db.on(/INSERT INTO content_revisions/, () => ({ rows: [{ id: 1, revision_number: 2 }] }));
+  });
+
+  test('attaching to a hero slide records a revision inside the transaction', async () => {
+    const res = await request(app)
+      .post('/api/media/9/attach')
+      .set('Authorization', authorization)
+      .send({ target: 'hero_slide', target_id: 4 });
+
+    expect(res.status).toBe(200);
+
+    const insert = db.calls.find(call => /INSERT INTO content_revisions/.test(call.text));
+    expect(insert.params.slice(0, 2)).toEqual(['hero_slides', '4']);
+    expect(JSON.parse(insert.params[2])).toMatchObject({ image_url: media.url, media_id: 9, title: 'Repaint' });
+
+    const texts = db.calls.map(call => call.text.trim());
+    expect(texts.indexOf('COMMIT')).toBeGreaterThan(db.calls.indexOf(insert));
+  });
+});
@@ -0,0 +1,161 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/db');
+const { authenticateAs } = require('./helpers/auth');
+const { parsePriceCell, buildMatrix, calculateEstimate } = require('../utils/pricing');
+const estimateRoutes = require('../routes/estimateRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/estimate', estimateRoutes);
+
+const cell = (overrides = {}) => ({ vehicle_class: 'sedan', paint_finish: 'metallic', price_min: 500000, ...overrides });
+
+describe('parsePriceCell', () => {
+  test('accepts numeric strings and defaults price_max to price_min', () => {
+    expect(parsePriceCell(cell({ price_min: '450000' }))).toEqual({
+      price: { vehicle_class: 'sedan', paint_finish: 'metallic', price_min: 450000, price_max: 450000 }
+    });
+    expect(parsePriceCell(cell({ price_max: '' })).price.price_max).toBe(500000);
+    expect(parsePriceCell(cell({ price_max: 750000 })).price.price_max).toBe(750000);
+  });
+
+  test.each([
+    ['Infinity price_min', { price_min: 'Infinity' }],
+    ['Infinity price_max', { price_max: 'Infinity' }],
+    ['-Infinity price_min', { price_min: -Infinity }],
+    ['non-numeric price', { price_min: 'gratis' }],
+    ['negative price', { price_min: -1 }],
+    ['price_max below price_min', { price_max: 100 }]
+  ])('rejects %s', (label, overrides) => {
+    expect(parsePriceCell(cell(overrides)).error).toMatch(/must be numbers/);
+  });
+
+  test('rejects unknown vehicle classes, paint finishes and non-objects', () => {
+    expect(parsePriceCell(cell({ vehicle_class: 'truck' })).error).toMatch(/Invalid vehicle_class/);
+    expect(parsePriceCell(cell({ paint_finish: 'chrome' })).error).toMatch(/Invalid paint_finish/);
+    expect(parsePriceCell('500000').error).toBe('Each price must be an object');
+  });
+});
+
+describe('buildMatrix', () => {
+  test('fills every class/finish and converts NUMERIC strings', () => {
+    const matrix = buildMatrix([
+      { vehicle_class: 'suv', paint_finish: 'pearl', price_min: '800000.00', price_max: '950000.00' },
+      { vehicle_class: 'tank', paint_finish: 'solid', price_min: '1', price_max: '1' }
+    ]);
+
+    expect(Object.keys(matrix)).toEqual(['city_car', 'sedan', 'suv', 'pickup']);
+    expect(matrix.suv.pearl).toEqual({ price_min: 800000, price_max: 950000 });
+    expect(matrix.suv.solid).toBeNull();
+    expect(matrix.tank).toBeUndefined();
+  });
+});
+
+describe('calculateEstimate', () => {
+  test('applies size factors, rounds each panel and sums the totals', () => {
+    const estimate = calculateEstimate(
+      { price_min: '500000', price_max: '650000' },
+      [
+        { code: 'hood', name: 'Kap Mesin', size_factor: '1.30' },
+        { code: 'front_door_left', name: 'Pintu Depan Kiri', size_factor: '1.00' },
+        { code: 'mirror_left', name: 'Spion Kiri', size_factor: '0.15' }
+      ]
+    );
+
+    expect(estimate.items).toEqual([
+      { panel: 'hood', name: 'Kap Mesin', size_factor: 1.3, price_min: 650000, price_max: 845000 },
+      { panel: 'front_door_left', name: 'Pintu Depan Kiri', size_factor: 1, price_min: 500000, price_max: 650000 },
+      { panel: 'mirror_left', name: 'Spion Kiri', size_factor: 0.15, price_min: 75000, price_max: 98000 }
+    ]);
+    expect(estimate.total_min).toBe(1225000);
+    expect(estimate.total_max).toBe(1593000);
+  });
+});
+
+describe('POST /api/estimate', () => {
+  const panels = [
+    { code: 'hood', name: 'Kap Mesin', size_factor: '1.30' },
+    { code: 'roof', name: 'Atap', size_factor: '1.50' }
+  ];
+
+  beforeEach(() => {
+    db.reset();
+    db.on(/FROM services\s+WHERE is_active = true AND (slug|id) = \$1/, ([key]) => ({
+      rows: key === 'full-body-repaint' || key === 3
+        ? [{ id: 3, slug: 'full-body-repaint', title: 'Full Body Repaint', estimated_duration_minutes: 480 }]
+        : []
+    }));
+    db.on(/FROM price_panels WHERE is_active = true AND code = ANY/, ([codes]) => ({
+      rows: panels.filter(panel => codes.includes(panel.code))
+    }));
+    db.on(/FROM service_prices/, ([, vehicleClass, paintFinish]) => ({
+      rows: vehicleClass === 'sedan' && paintFinish === 'solid' ? [{ price_min: '400000.00', price_max: '500000.00' }] : []
+    }));
+  });
+
+  test('returns per-panel items and totals in request order', async () => {
+    const res = await request(app).post('/api/estimate').send({
+      service: 'Full-Body-Repaint',
+      vehicle_class: 'sedan',
+      paint_finish: 'solid',
+      panels: 'roof, hood, roof'
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.items.map(item => item.panel)).toEqual(['roof', 'hood']);
+    expect(res.body.data.items.map(item => item.price_min)).toEqual([600000, 520000]);
+    expect(res.body.data.total_min).toBe(1120000);
+    expect(res.body.data.total_max).toBe(1400000);
+    expect(res.body.data.service.id).toBe(3);
+  });
+
+  test('reports unknown panels', async () => {
+    const res = await request(app).post('/api/estimate').send({
+      service_id: 3, vehicle_class: 'sedan', paint_finish: 'solid', panels: ['hood', 'spoiler']
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.unknown_panels).toEqual(['spoiler']);
+  });
+
+  test('returns 404 when the matrix has no price for the combination', async () => {
+    const res = await request(app).post('/api/estimate').send({
+      service_id: 3, vehicle_class: 'suv', paint_finish: 'solid', panels: ['hood']
+    });
+
+    expect(res.status).toBe(404);
+  });
+
+  test('validates vehicle class and panel count before querying', async () => {
+    const invalidClass = await request(app).post('/api/estimate').send({
+      service_id: 3, vehicle_class: 'truck', paint_finish: 'solid', panels: ['hood']
+    });
+    const noPanels = await request(app).post('/api/estimate').send({
+      service_id: 3, vehicle_class: 'sedan', paint_finish: 'solid', panels: []
+    });
+
+    expect(invalidClass.status).toBe(400);
+    expect(noPanels.status).toBe(400);
+    expect(db.calls).toHaveLength(0);
+  });
+  test('rejects a bodyless request with 400', async () => {
+    const res = await request(app).post('/api/estimate');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('service_id or service (slug) is required');
+    expect(db.calls).toHaveLength(0);
+  });
+});
+
+test('PUT /api/estimate/panels/:code rejects a bodyless request with 400', async () => {
+  db.reset();
+  const authorization = authenticateAs(db);
+
+  const res = await request(app).put('/api/estimate/panels/hood').set('Authorization', authorization);
+
+  expect(res.status).toBe(400);
+  expect(db.calls.some(call => /price_panels/.test(call.text))).toBe(false);
+});
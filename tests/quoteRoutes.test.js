@@ -0,0 +1,174 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/db');
+const { authenticateAs } = require('./helpers/auth');
+const { setBackend, getBackend } = require('../utils/storage');
+const quoteRoutes = require('../routes/quoteRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/quotes', quoteRoutes);
+
+const submitQuote = () => request(app)
+  .post('/api/quotes')
+  .field('customer_name', 'Sari')
+  .field('customer_phone', '08123456789')
+  .field('vehicle_make', 'Honda')
+  .field('vehicle_model', 'Jazz')
+  .field('damaged_panels', 'hood, front_bumper')
+  .attach('photos', Buffer.from('jpeg-1'), { filename: 'dent-1.jpg', contentType: 'image/jpeg' })
+  .attach('photos', Buffer.from('jpeg-2'), { filename: 'dent-2.jpg', contentType: 'image/jpeg' });
+
+beforeEach(() => {
+  db.reset();
+  setBackend('memory');
+  getBackend().files.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/quotes', () => {
+  beforeEach(() => {
+    db.on(/INSERT INTO quote_requests/, () => ({ rows: [{ id: 12 }] }));
+    db.on(/INSERT INTO quote_request_photos/, () => ({ rows: [] }));
+    db.on(/SELECT \* FROM quote_requests WHERE id = \$1/, () => ({ rows: [{ id: 12, status: 'new' }] }));
+    db.on(/FROM quote_request_photos\s+WHERE quote_id = \$1/, () => ({ rows: [] }));
+  });
+
+  test('uploads photos before opening the transaction', async () => {
+    const storedAtInsert = [];
+    db.on(/INSERT INTO quote_requests/, () => {
+      storedAtInsert.push(getBackend().files.size);
+      return { rows: [{ id: 12 }] };
+    });
+
+    const res = await submitQuote();
+
+    expect(res.status).toBe(201);
+    expect(db.calls[0].text).toBe('BEGIN');
+    expect(storedAtInsert).toEqual([2]);
+
+    const photoInserts = db.calls.filter(call => /INSERT INTO quote_request_photos/.test(call.text));
+    expect(photoInserts.map(call => [call.params[0], call.params[2]])).toEqual([[12, 0], [12, 1]]);
+    expect(photoInserts.map(call => call.params[1])).toEqual([...getBackend().files.keys()].map(key => `memory://${key}`));
+  });
+
+  test('removes uploaded photos when the insert fails', async () => {
+    db.on(/INSERT INTO quote_request_photos/, () => { throw new Error('insert failed'); });
+
+    const res = await submitQuote();
+
+    expect(res.status).toBe(500);
+    expect(db.calls.map(call => call.text.trim())).toContain('ROLLBACK');
+    // deleteFile berjalan tanpa ditunggu
+    await new Promise(resolve => setImmediate(resolve));
+    expect(getBackend().files.size).toBe(0);
+  });
+
+  test('returns 400 for a bodyless submission', async () => {
+    const res = await request(app).post('/api/quotes');
+
+    expect(res.status).toBe(400);
+    expect(db.calls).toHaveLength(0);
+  });
+
+  test('does not touch the database when an upload fails', async () => {
+    const save = getBackend().save;
+    getBackend().save = jest.fn()
+      .mockImplementationOnce(save)
+      .mockRejectedValueOnce(new Error('storage down'));
+
+    try {
+      const res = await submitQuote();
+
+      expect(res.status).toBe(500);
+      expect(db.calls).toHaveLength(0);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(getBackend().files.size).toBe(0);
+    } finally {
+      getBackend().save = save;
+    }
+  });
+});
+
+describe('POST /api/quotes/:id/respond', () => {
+  let authorization;
+  let quote;
+
+  beforeEach(() => {
+    authorization = authenticateAs(db);
+    quote = { id: 12, status: 'new' };
+
+    db.on(/UPDATE quote_requests\s+SET status = 'quoted'/, ([, , , id, statuses]) => {
+      if (id !== quote.id || !statuses.includes(quote.status)) return { rows: [] };
+      quote.status = 'quoted';
+      return { rows: [{ id }] };
+    });
+    db.on(/SELECT status FROM quote_requests WHERE id = \$1/, ([id]) => ({ rows: id === quote.id ? [{ status: quote.status }] : [] }));
+    db.on(/SELECT \* FROM quote_requests WHERE id = \$1/, () => ({ rows: [quote] }));
+    db.on(/FROM quote_request_photos\s+WHERE quote_id = \$1/, () => ({ rows: [] }));
+  });
+
+  const respond = (id = 12) => request(app)
+    .post(`/api/quotes/${id}/respond`)
+    .set('Authorization', authorization)
+    .send({ estimated_price: 1500000 });
+
+  test.each(['new', 'quoted'])('sends an estimate for a %s quote', async (status) => {
+    quote.status = status;
+
+    const res = await respond();
+
+    expect(res.status).toBe(200);
+    expect(quote.status).toBe('quoted');
+  });
+
+  test.each(['accepted', 'rejected'])('returns 409 for a %s quote', async (status) => {
+    quote.status = status;
+
+    const res = await respond();
+
+    expect(res.status).toBe(409);
+    expect(quote.status).toBe(status);
+  });
+
+  test('returns 404 for an unknown quote', async () => {
+    expect((await respond(99)).status).toBe(404);
+  });
+});
+
+describe('POST /api/quotes/:id/status', () => {
+  let authorization;
+
+  beforeEach(() => {
+    authorization = authenticateAs(db);
+    db.on(/SELECT id, estimated_price FROM quote_requests WHERE id = \$1/, ([id]) => ({
+      rows: id === 12 ? [{ id: 12, estimated_price: null }] : []
+    }));
+  });
+
+  test('returns 404 for a non-numeric id instead of a database error', async () => {
+    const res = await request(app)
+      .post('/api/quotes/abc/status')
+      .set('Authorization', authorization)
+      .send({ status: 'rejected' });
+
+    expect(res.status).toBe(404);
+    expect(db.calls.find(call => /FROM quote_requests WHERE id = \$1/.test(call.text)).params).toEqual([0]);
+  });
+
+  test('returns 400 for a bodyless request', async () => {
+    const res = await request(app)
+      .post('/api/quotes/12/status')
+      .set('Authorization', authorization);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Invalid status/);
+  });
+});
@@ -0,0 +1,76 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/db');
+const { authenticateAs } = require('./helpers/auth');
+const reviewRoutes = require('../routes/reviewRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/reviews', reviewRoutes);
+
+let authorization;
+let review;
+
+beforeEach(() => {
+  db.reset();
+  authorization = authenticateAs(db);
+  review = { id: 5, status: 'approved', is_featured: false, rejection_reason: null };
+
+  db.on(/SELECT \* FROM reviews WHERE id = \$1/, () => ({ rows: [review] }));
+  db.on(/SELECT status FROM reviews WHERE id = \$1/, () => ({ rows: [review] }));
+  db.on(/UPDATE reviews/, (params) => {
+    review = { ...review, updated: params };
+    return { rows: [review] };
+  });
+  db.on(/INSERT INTO audit_logs/, () => ({ rows: [] }));
+});
+
+const updateParams = () => db.calls.find(call => /UPDATE reviews/.test(call.text)).params;
+
+test('reject without a body stores no reason instead of failing', async () => {
+  const res = await request(app)
+    .post('/api/reviews/5/reject')
+    .set('Authorization', authorization);
+
+  expect(res.status).toBe(200);
+  expect(updateParams().slice(0, 3)).toEqual(['rejected', false, null]);
+});
+
+test('reject keeps the reason from the body', async () => {
+  const res = await request(app)
+    .post('/api/reviews/5/reject')
+    .set('Authorization', authorization)
+    .send({ reason: '  spam  ' });
+
+  expect(res.status).toBe(200);
+  expect(updateParams()[2]).toBe('spam');
+});
+
+test('feature without a body features the review', async () => {
+  const res = await request(app)
+    .post('/api/reviews/5/feature')
+    .set('Authorization', authorization);
+
+  expect(res.status).toBe(200);
+  expect(res.body.message).toBe('Review featured');
+  expect(updateParams()[0]).toBe(true);
+});
+
+test('feature rejects reviews that are not approved', async () => {
+  review.status = 'pending';
+
+  const res = await request(app)
+    .post('/api/reviews/5/feature')
+    .set('Authorization', authorization)
+    .send({ is_featured: true });
+
+  expect(res.status).toBe(400);
+});
+
+test('submitting without a body is a validation error', async () => {
+  const res = await request(app).post('/api/reviews');
+
+  expect(res.status).toBe(400);
+});
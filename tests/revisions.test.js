@@ -0,0 +1,72 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const db = require('../config/db');
+const { saveRevision } = require('../utils/revisions');
+
+let revisions;
+
+const statements = () => db.calls.map(call => call.text.replace(/\s+/g, ' ').trim().split(' ').slice(0, 2).join(' '));
+
+beforeEach(() => {
+  db.reset();
+  revisions = [];
+
+  db.on(/pg_advisory_xact_lock/, () => ({ rows: [{}] }));
+  db.on(/SELECT COUNT\(\*\)::int AS total FROM content_revisions/, () => ({ rows: [{ total: revisions.length }] }));
+  db.on(/INSERT INTO content_revisions/, ([, , content]) => {
+    const revision = { id: revisions.length + 1, revision_number: revisions.length + 1, content: JSON.parse(content) };
+    revisions.push(revision);
+    return { rows: [revision] };
+  });
+});
+
+test('takes a per-resource advisory lock before numbering the revision', async () => {
+  const client = await db.pool.connect();
+
+  await saveRevision(client, { resourceType: 'services', resourceKey: 4, after: { title: 'Repaint' } });
+
+  const lock = db.calls.find(call => /pg_advisory_xact_lock/.test(call.text));
+  expect(lock.text).toMatch(/hashtext\(\$1\)/);
+  expect(lock.params).toEqual(['services:4']);
+  expect(statements()).toEqual(['SELECT pg_advisory_xact_lock(hashtext($1))', 'INSERT INTO']);
+});
+
+test('with the pool it wraps lock and inserts in its own transaction', async () => {
+  const revision = await saveRevision(db.pool, {
+    resourceType: 'hero_slides',
+    resourceKey: 2,
+    before: { title: 'Lama' },
+    after: { title: 'Baru' }
+  });
+
+  expect(revision.revision_number).toBe(2);
+  expect(revisions.map(item => item.content)).toEqual([{ title: 'Lama' }, { title: 'Baru' }]);
+  expect(statements()).toEqual([
+    'BEGIN',
+    'SELECT pg_advisory_xact_lock(hashtext($1))',
+    'SELECT COUNT(*)::int',
+    'INSERT INTO',
+    'INSERT INTO',
+    'COMMIT'
+  ]);
+});
+
+test('rolls back the pool transaction when the insert fails', async () => {
+  db.on(/INSERT INTO content_revisions/, () => { throw new Error('insert failed'); });
+
+  await expect(saveRevision(db.pool, { resourceType: 'services', resourceKey: 1, after: { title: 'x' } }))
+    .rejects.toThrow('insert failed');
+  expect(statements().pop()).toBe('ROLLBACK');
+});
+
+test('skips unchanged content without touching the database', async () => {
+  const result = await saveRevision(db.pool, {
+    resourceType: 'services',
+    resourceKey: 1,
+    before: { title: 'Sama' },
+    after: { title: 'Sama' }
+  });
+
+  expect(result).toBeNull();
+  expect(db.calls).toHaveLength(0);
+});
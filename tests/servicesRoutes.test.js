@@ -0,0 +1,160 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/db');
+const { authenticateAs } = require('./helpers/auth');
+const servicesRoutes = require('../routes/servicesRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/services', servicesRoutes);
+
+let authorization;
+let services;
+
+const bulkUpdate = (body) => request(app)
+  .post('/api/services/update')
+  .set('Authorization', authorization)
+  .send(body);
+
+const serviceUpdates = () => db.calls.filter(call => /^\s*UPDATE services/.test(call.text));
+
+beforeEach(() => {
+  db.reset();
+  authorization = authenticateAs(db);
+  services = [
+    { id: 1, icon: 'spray-can', title: 'Repaint', description: 'Full body', is_active: true },
+    { id: 2, icon: 'wrench', title: 'Dent Repair', description: 'Ketok magic', is_active: true }
+  ];
+
+  db.on(/SELECT \* FROM services (WHERE is_active = true )?ORDER BY/, () => ({ rows: services }));
+  db.on(/SELECT \* FROM services WHERE id = \$1/, ([id]) => ({ rows: services.filter(service => service.id === id) }));
+  db.on(/^\s*UPDATE services/, () => ({ rows: [] }));
+  db.on(/pg_advisory_xact_lock/, () => ({ rows: [{}] }));
+  db.on(/SELECT COUNT\(\*\)::int AS total FROM content_revisions/, () => ({ rows: [{ total: 1 }] }));
+  db.on(/INSERT INTO content_revisions/, () => ({ rows: [{ id: 1, revision_number: 2 }] }));
+  db.on(/INSERT INTO audit_logs/, () => ({ rows: [] }));
+});
+
+describe('POST /api/services/update', () => {
+  test.each([
+    ['an empty title', { id: 1, title: '  ' }, /cannot be empty/],
+    ['a null description', { id: 1, description: null }, /cannot be empty/],
+    ['an over-length title', { id: 2, title: 'x'.repeat(101) }, /at most 100 characters/],
+    ['an over-length icon', { id: 2, icon: 'i'.repeat(51) }, /at most 50/]
+  ])('rejects %s with 400 before writing', async (label, entry, message) => {
+    const res = await bulkUpdate({ services: [{ id: 1, title: 'Repaint' }, entry] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(new RegExp(`^Service ${entry.id}: `));
+    expect(res.body.message).toMatch(message);
+    expect(serviceUpdates()).toHaveLength(0);
+  });
+
+  test('updates only the fields each entry sends', async () => {
+    const res = await bulkUpdate({
+      services: [
+        { id: 1, title: ' Full Repaint ' },
+        { id: 2, icon: 'hammer', title: 'Dent', description: 'PDR', slug: 'ignored' }
+      ]
+    });
+
+    expect(res.status).toBe(200);
+    const [first, second] = serviceUpdates();
+    expect(first.text).toMatch(/SET title = \$1, updated_at/);
+    expect(first.params).toEqual(['Full Repaint', 1]);
+    expect(second.text).toMatch(/SET icon = \$1, title = \$2, description = \$3, updated_at/);
+    expect(second.params).toEqual(['hammer', 'Dent', 'PDR', 2]);
+  });
+
+  test('still reports unknown ids with 404', async () => {
+    const res = await bulkUpdate({ services: [{ id: 9, title: 'Ghost' }] });
+
+    expect(res.status).toBe(404);
+    expect(res.body.missing_ids).toEqual([9]);
+  });
+
+  test('rejects entries without an id and bodyless requests', async () => {
+    expect((await bulkUpdate({ services: [{ title: 'No id' }] })).status).toBe(400);
+    expect((await request(app).post('/api/services/update').set('Authorization', authorization)).status).toBe(400);
+  });
+});
+
+test('bodyless reorder falls into the service_ids validation', async () => {
+  const res = await request(app).post('/api/services/reorder').set('Authorization', authorization);
+
+  expect(res.status).toBe(400);
+  expect(res.body.message).toBe('service_ids must be an array of unique service IDs');
+});
+
+describe('non-numeric ids', () => {
+  test('PUT /:id returns 404 instead of a database error', async () => {
+    const res = await request(app)
+      .put('/api/services/abc')
+      .set('Authorization', authorization)
+      .send({ title: 'Repaint' });
+
+    expect(res.status).toBe(404);
+    expect(db.calls.find(call => /WHERE id = \$1/.test(call.text)).params).toEqual([0]);
+  });
+
+  test('DELETE /:id returns 404 instead of a database error', async () => {
+    const res = await request(app).delete('/api/services/abc').set('Authorization', authorization);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('slug conflicts', () => {
+  const uniqueViolation = () => {
+    const error = new Error('duplicate key value violates unique constraint "idx_services_slug"');
+    error.code = '23505';
+    throw error;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.on(/SELECT id FROM services WHERE slug = \$1/, () => ({ rows: [] }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('POST / returns 409 when the slug is taken between the check and the insert', async () => {
+    db.on(/INSERT INTO services/, uniqueViolation);
+
+    const res = await request(app)
+      .post('/api/services')
+      .set('Authorization', authorization)
+      .send({ icon: 'spray-can', title: 'Repaint', description: 'Full body' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Slug is already used by another service');
+  });
+
+  test('PUT /:id returns 409 when the slug is taken between the check and the update', async () => {
+    db.on(/^\s*UPDATE services SET/, uniqueViolation);
+
+    const res = await request(app)
+      .put('/api/services/1')
+      .set('Authorization', authorization)
+      .send({ slug: 'dent-repair' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Slug is already used by another service');
+  });
+
+  test('PUT /:id still returns 409 up front for a slug that is already taken', async () => {
+    db.on(/SELECT id FROM services WHERE slug = \$1/, () => ({ rows: [{ id: 2 }] }));
+
+    const res = await request(app)
+      .put('/api/services/1')
+      .set('Authorization', authorization)
+      .send({ slug: 'dent-repair' });
+
+    expect(res.status).toBe(409);
+    expect(serviceUpdates()).toHaveLength(0);
+  });
+});
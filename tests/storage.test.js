@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Backend local membaca env saat module di-load
+const LOCAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'worksglow-storage-'));
+process.env.STORAGE_LOCAL_DIR = LOCAL_DIR;
+process.env.STORAGE_PUBLIC_URL = 'http://cdn.test/uploads/';
+
+const {
+  generateKey,
+  saveBuffer,
+  saveFile,
+  deleteFile,
+  listFiles,
+  registerBackend,
+  setBackend,
+  getBackend,
+  getBackendName
+} = require('../utils/storage');
+
+const upload = (name, content = 'image-bytes') => ({
+  originalname: name,
+  mimetype: 'image/jpeg',
+  buffer: Buffer.from(content)
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  setBackend(null);
+});
+
+afterAll(() => {
+  fs.rmSync(LOCAL_DIR, { recursive: true, force: true });
+});
+
+describe('backend selection', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('STORAGE_DRIVER wins, otherwise blob when a token exists, otherwise local', () => {
+    delete process.env.STORAGE_DRIVER;
+    delete process.env.BLOB_READ_WRITE_TOKEN;
+    expect(getBackendName()).toBe('local');
+
+    process.env.BLOB_READ_WRITE_TOKEN = 'token';
+    expect(getBackendName()).toBe('blob');
+
+    process.env.STORAGE_DRIVER = 'memory';
+    expect(getBackendName()).toBe('memory');
+
+    setBackend('local');
+    expect(getBackendName()).toBe('local');
+  });
+
+  test('unknown or incomplete backends are rejected', () => {
+    expect(() => setBackend('ftp')).toThrow('Unknown storage backend: ftp');
+    expect(() => registerBackend('broken', { save: async () => {} })).toThrow(/must implement save, remove and list/);
+  });
+
+  test('generateKey keeps the folder and extension', () => {
+    expect(generateKey('hero', '.webp')).toMatch(/^hero\/\d+-\d+\.webp$/);
+  });
+});
+
+describe('memory backend', () => {
+  beforeEach(() => {
+    setBackend('memory');
+    getBackend().files.clear();
+  });
+
+  test('saves, lists and deletes uploads', async () => {
+    const url = await saveFile(upload('Photo.JPG'), 'gallery');
+
+    expect(url).toMatch(/^memory:\/\/gallery\/\d+-\d+\.jpg$/);
+    const stored = getBackend().files.get(url.replace('memory://', ''));
+    expect(stored.contentType).toBe('image/jpeg');
+    expect(stored.buffer.toString()).toBe('image-bytes');
+
+    const files = await listFiles('gallery/');
+    expect(files).toEqual([expect.objectContaining({ url, size: 11 })]);
+
+    await deleteFile(url);
+    expect(await listFiles()).toEqual([]);
+  });
+
+  test('list filters by prefix', async () => {
+    await saveBuffer('hero/a.webp', Buffer.from('a'), 'image/webp');
+    await saveBuffer('services/b.webp', Buffer.from('b'), 'image/webp');
+
+    expect((await listFiles('hero/')).map(file => file.key)).toEqual(['hero/a.webp']);
+  });
+
+  test('saveFile rejects empty buffers and ignores missing files', async () => {
+    await expect(saveFile(upload('empty.jpg', ''))).rejects.toThrow('File buffer is empty');
+    expect(await saveFile(null)).toBeNull();
+  });
+});
+
+describe('local backend', () => {
+  beforeEach(() => {
+    setBackend('local');
+  });
+
+  test('writes under the uploads dir and serves from the public URL', async () => {
+    const url = await saveBuffer('services/card.webp', Buffer.from('webp'), 'image/webp');
+
+    expect(url).toBe('http://cdn.test/uploads/services/card.webp');
+    expect(fs.readFileSync(path.join(LOCAL_DIR, 'services', 'card.webp'), 'utf8')).toBe('webp');
+
+    const files = await listFiles('services/');
+    expect(files).toEqual([expect.objectContaining({ key: 'services/card.webp', url, size: 4 })]);
+
+    await deleteFile(url);
+    expect(fs.existsSync(path.join(LOCAL_DIR, 'services', 'card.webp'))).toBe(false);
+  });
+
+  test('refuses keys that escape the uploads dir', async () => {
+    await expect(saveBuffer('../escape.txt', Buffer.from('x'), 'text/plain')).rejects.toThrow('Invalid storage key');
+    expect(fs.existsSync(path.join(LOCAL_DIR, '..', 'escape.txt'))).toBe(false);
+  });
+
+  test('removing foreign or missing URLs is a no-op', async () => {
+    await expect(getBackend().remove('https://elsewhere.test/uploads/x.jpg')).resolves.toBeUndefined();
+    await expect(getBackend().remove('http://cdn.test/uploads/missing.jpg')).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,55 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const db = require('../config/db');
+const { setBackend, getBackend, saveBuffer } = require('../utils/storage');
+const { collectReferences, runStorageGc } = require('../utils/storageGc');
+
+const LIVE_TABLES = /FROM (gallery_images|hero_slides|media|services|quote_request_photos)\b/;
+
+const storeOldFile = async (key) => {
+  const url = await saveBuffer(key, Buffer.from('image'), 'image/webp');
+  getBackend().files.get(key).uploaded_at = new Date('2020-01-01T00:00:00Z');
+  return url;
+};
+
+beforeEach(() => {
+  db.reset();
+  setBackend('memory');
+  getBackend().files.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  db.on(LIVE_TABLES, () => ({ rows: [] }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('revision snapshots count as references for image_url and image_variants', async () => {
+  db.on(/FROM content_revisions/, () => ({
+    rows: [{
+      id: 3,
+      url: 'memory://services/old.webp',
+      variants: [{ width: 480, url: 'memory://services/old-480.webp' }]
+    }]
+  }));
+
+  const references = await collectReferences();
+
+  expect(references.get('memory://services/old.webp')).toEqual([{ table: 'content_revisions', id: 3 }]);
+  expect(references.get('memory://services/old-480.webp')).toEqual([{ table: 'content_revisions', id: 3 }]);
+  expect(db.calls.find(call => /FROM content_revisions/.test(call.text)).text)
+    .toMatch(/content->>'image_url'.*content->'image_variants'/s);
+});
+
+test('gc keeps files only referenced by an old revision and deletes real orphans', async () => {
+  const keptUrl = await storeOldFile('services/old.webp');
+  const orphanUrl = await storeOldFile('services/orphan.webp');
+
+  db.on(/FROM content_revisions/, () => ({ rows: [{ id: 3, url: keptUrl, variants: null }] }));
+
+  const report = await runStorageGc({ dryRun: false });
+
+  expect(report.deleted).toEqual([orphanUrl]);
+  expect(getBackend().files.has('services/old.webp')).toBe(true);
+  expect(getBackend().files.has('services/orphan.webp')).toBe(false);
+});
@@ -0,0 +1,113 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+} = require('../utils/totp');
+
+// RFC 6238 Appendix B (SHA1), secret ASCII "12345678901234567890", 6 digit terakhir
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+const counterAt = (seconds) => Math.floor(seconds / 30);
+
+const mockNow = (seconds) => jest.spyOn(Date, 'now').mockReturnValue(seconds * 1000);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('base32', () => {
+  test('encodes the RFC secret', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  test('round-trips and ignores case, padding and spaces', () => {
+    const buffer = Buffer.from('works glow');
+    const encoded = base32Encode(buffer);
+
+    expect(base32Decode(encoded)).toEqual(buffer);
+    expect(base32Decode(`${encoded.toLowerCase().match(/.{1,4}/g).join(' ')}====`)).toEqual(buffer);
+  });
+
+  test('rejects invalid characters', () => {
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+  });
+
+  test('generated secrets are 160-bit', () => {
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+  });
+});
+
+describe('generateCode', () => {
+  test.each(RFC_VECTORS)('matches RFC 6238 at T=%d', (seconds, expected) => {
+    expect(generateCode(RFC_SECRET, counterAt(seconds))).toBe(expected);
+  });
+});
+
+describe('verifyCode', () => {
+  test.each(RFC_VECTORS)('accepts the RFC code at T=%d and returns its counter', (seconds, code) => {
+    mockNow(seconds);
+    expect(verifyCode(RFC_SECRET, code)).toBe(counterAt(seconds));
+  });
+
+  test('tolerates one step of clock drift by default', () => {
+    const now = 1234567890;
+    const counter = counterAt(now);
+    mockNow(now);
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, counter - 1))).toBe(counter - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, counter + 1))).toBe(counter + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, counter - 2))).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, counter + 2))).toBeNull();
+  });
+
+  test('window option widens or disables drift tolerance', () => {
+    const now = 1234567890;
+    const counter = counterAt(now);
+    mockNow(now);
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, counter - 2), { window: 2 })).toBe(counter - 2);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, counter - 1), { window: 0 })).toBeNull();
+  });
+
+  test('rejects codes at or before the last used counter (replay)', () => {
+    const now = 1234567890;
+    const counter = counterAt(now);
+    const code = generateCode(RFC_SECRET, counter);
+    mockNow(now);
+
+    expect(verifyCode(RFC_SECRET, code, { lastCounter: counter - 1 })).toBe(counter);
+    expect(verifyCode(RFC_SECRET, code, { lastCounter: counter })).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, counter + 1), { lastCounter: counter })).toBe(counter + 1);
+  });
+
+  test('accepts spaced input and rejects malformed codes', () => {
+    mockNow(59);
+
+    expect(verifyCode(RFC_SECRET, '287 082')).toBe(1);
+    expect(verifyCode(RFC_SECRET, '28708')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, null)).toBeNull();
+  });
+});
+
+test('buildOtpauthUri includes issuer, secret and parameters', () => {
+  const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, accountName: 'owner' }));
+
+  expect(uri.protocol).toBe('otpauth:');
+  expect(uri.host).toBe('totp');
+  expect(decodeURIComponent(uri.pathname)).toBe('/Works Glow:owner');
+  expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+  expect(uri.searchParams.get('digits')).toBe('6');
+  expect(uri.searchParams.get('period')).toBe('30');
+});
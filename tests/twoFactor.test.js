@@ -0,0 +1,222 @@
+jest.mock('../config/db', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const db = require('../config/db');
+const { authenticateAs } = require('./helpers/auth');
+const { generateCode } = require('../utils/totp');
+const { hashToken, createLoginChallenge } = require('../utils/authTokens');
+const authRoutes = require('../routes/authRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const PASSWORD = 'Correct-Horse-9';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+const counterNow = () => Math.floor(Date.now() / 1000 / 30);
+
+let user;
+let recoveryCodes;
+let authorization;
+
+// State admin_users + admin_recovery_codes di memori, meniru semantik query controller
+const mockTwoFactorTables = () => {
+  db.on(/SELECT \* FROM admin_users WHERE id = \$1/, ([id]) => ({ rows: id === user.id ? [{ ...user }] : [] }));
+
+  db.on(/UPDATE admin_users SET totp_secret = \$1, totp_last_counter = NULL/, ([secret]) => {
+    user.totp_secret = secret;
+    user.totp_last_counter = null;
+    return { rows: [] };
+  });
+
+  db.on(/UPDATE admin_users SET totp_last_counter = \$1/, ([counter]) => {
+    if (user.totp_last_counter !== null && user.totp_last_counter >= counter) {
+      return { rows: [] };
+    }
+    user.totp_last_counter = counter;
+    return { rows: [{ id: user.id }] };
+  });
+
+  db.on(/SET totp_enabled = true/, () => {
+    user.totp_enabled = true;
+    return { rows: [] };
+  });
+
+  db.on(/SET totp_enabled = false, totp_secret = NULL, totp_last_counter = NULL/, () => {
+    Object.assign(user, { totp_enabled: false, totp_secret: null, totp_last_counter: null });
+    return { rows: [] };
+  });
+
+  db.on(/DELETE FROM admin_recovery_codes/, () => {
+    recoveryCodes = [];
+    return { rows: [] };
+  });
+
+  db.on(/INSERT INTO admin_recovery_codes/, ([, codeHash]) => {
+    recoveryCodes.push({ id: recoveryCodes.length + 1, code_hash: codeHash, used_at: null });
+    return { rows: [] };
+  });
+
+  db.on(/UPDATE admin_recovery_codes SET used_at/, ([, codeHash]) => {
+    const code = recoveryCodes.find(item => item.code_hash === codeHash && !item.used_at);
+    if (!code) return { rows: [] };
+    code.used_at = new Date();
+    return { rows: [{ id: code.id }] };
+  });
+
+  db.on(/COUNT\(\*\)::int AS total FROM admin_recovery_codes/, () => ({
+    rows: [{ total: recoveryCodes.filter(item => !item.used_at).length }]
+  }));
+};
+
+// Query login throttle & completeLogin: tidak ada lockout, session baru selalu berhasil
+const mockLoginTables = () => {
+  db.on(/FROM admin_users\s+WHERE username = \$1 AND locked_until/, () => ({ rows: [] }));
+  db.on(/FROM login_attempts/, () => ({ rows: [{ failures: 0, seconds_since_last: null }] }));
+  db.on(/INSERT INTO login_attempts/, () => ({ rows: [{ id: 1 }] }));
+  db.on(/UPDATE login_attempts SET success = true/, () => ({ rows: [] }));
+  db.on(/DELETE FROM login_attempts WHERE id = \$1/, () => ({ rows: [] }));
+  db.on(/UPDATE admin_users\s+SET failed_login_count = CASE/, () => ({ rows: [{ failed_login_count: 1 }] }));
+  db.on(/UPDATE admin_users SET failed_login_count = 0/, () => ({ rows: [] }));
+  db.on(/UPDATE admin_users SET last_login_at/, () => ({ rows: [] }));
+  db.on(/INSERT INTO refresh_tokens/, () => ({ rows: [{ id: 1 }] }));
+};
+
+const enableTwoFactor = async () => {
+  const setup = await request(app).post('/api/auth/2fa/setup').set('Authorization', authorization);
+  const code = generateCode(setup.body.data.secret, counterNow());
+  const enable = await request(app).post('/api/auth/2fa/enable').set('Authorization', authorization).send({ code });
+  return { setup, enable, code };
+};
+
+beforeEach(() => {
+  db.reset();
+  user = {
+    id: 1,
+    username: 'owner',
+    email: 'owner@example.com',
+    role: 'owner',
+    password: passwordHash,
+    is_active: true,
+    token_version: 0,
+    totp_secret: null,
+    totp_enabled: false,
+    totp_last_counter: null
+  };
+  recoveryCodes = [];
+  authorization = authenticateAs(db, user);
+  mockTwoFactorTables();
+  mockLoginTables();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('enable', () => {
+  test('setup returns a secret and enable confirms it with a code', async () => {
+    const { setup, enable } = await enableTwoFactor();
+
+    expect(setup.status).toBe(200);
+    expect(setup.body.data.otpauth_uri).toContain(`secret=${setup.body.data.secret}`);
+    expect(enable.status).toBe(200);
+    expect(enable.body.data.recovery_codes).toHaveLength(10);
+    expect(user.totp_enabled).toBe(true);
+    expect(recoveryCodes.map(code => code.code_hash))
+      .toEqual(enable.body.data.recovery_codes.map(code => hashToken(code.replace('-', ''))));
+  });
+
+  test('enable rejects a wrong code', async () => {
+    await request(app).post('/api/auth/2fa/setup').set('Authorization', authorization);
+    const wrongCode = generateCode(user.totp_secret, counterNow() + 5);
+
+    const res = await request(app).post('/api/auth/2fa/enable').set('Authorization', authorization).send({ code: wrongCode });
+
+    expect(res.status).toBe(400);
+    expect(user.totp_enabled).toBe(false);
+  });
+
+  test('enable before setup is rejected', async () => {
+    const res = await request(app).post('/api/auth/2fa/enable').set('Authorization', authorization).send({ code: '123456' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Start two-factor setup first');
+  });
+
+  test('setup is refused once 2FA is enabled', async () => {
+    await enableTwoFactor();
+
+    const res = await request(app).post('/api/auth/2fa/setup').set('Authorization', authorization);
+
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('verify login', () => {
+  const challengeFor = () => createLoginChallenge(user).challenge_token;
+
+  test('rejects replay of the code used to enable, accepts the next one', async () => {
+    const { code } = await enableTwoFactor();
+
+    const replay = await request(app).post('/api/auth/2fa/verify').send({ challenge_token: challengeFor(), code });
+    expect(replay.status).toBe(401);
+
+    const nextCode = generateCode(user.totp_secret, user.totp_last_counter + 1);
+    const res = await request(app).post('/api/auth/2fa/verify').send({ challenge_token: challengeFor(), code: nextCode });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toBeDefined();
+    expect(res.body.data.refresh_token).toBeDefined();
+  });
+
+  test('recovery codes work exactly once', async () => {
+    const { enable } = await enableTwoFactor();
+    const [recoveryCode] = enable.body.data.recovery_codes;
+
+    const first = await request(app).post('/api/auth/2fa/verify')
+      .send({ challenge_token: challengeFor(), recovery_code: recoveryCode.toUpperCase() });
+    const second = await request(app).post('/api/auth/2fa/verify')
+      .send({ challenge_token: challengeFor(), recovery_code: recoveryCode });
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(401);
+  });
+
+  test('challenge is invalid after the token version changes', async () => {
+    await enableTwoFactor();
+    const challenge = challengeFor();
+    user.token_version = 1;
+
+    const res = await request(app).post('/api/auth/2fa/verify')
+      .send({ challenge_token: challenge, code: generateCode(user.totp_secret, user.totp_last_counter + 1) });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('disable', () => {
+  test('requires the current password', async () => {
+    await enableTwoFactor();
+
+    const res = await request(app).post('/api/auth/2fa/disable').set('Authorization', authorization).send({ password: 'wrong' });
+
+    expect(res.status).toBe(401);
+    expect(user.totp_enabled).toBe(true);
+  });
+
+  test('clears the secret and recovery codes', async () => {
+    await enableTwoFactor();
+
+    const res = await request(app).post('/api/auth/2fa/disable').set('Authorization', authorization).send({ password: PASSWORD });
+    const status = await request(app).get('/api/auth/2fa').set('Authorization', authorization);
+
+    expect(res.status).toBe(200);
+    expect(user).toMatchObject({ totp_enabled: false, totp_secret: null, totp_last_counter: null });
+    expect(recoveryCodes).toHaveLength(0);
+    expect(status.body.data).toEqual({ enabled: false, recovery_codes_remaining: 0 });
+  });
+});
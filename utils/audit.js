@@ -0,0 +1,81 @@
+const { query } = require('../config/db');
+
+// Kolom yang selalu berubah & tidak perlu masuk diff
+const IGNORED_FIELDS = ['updated_at'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  !Array.isArray(value) && !(value instanceof Date);
+
+// Ratakan object bertingkat jadi { "slide1.title": ... } supaya diff lebih spesifik
+const flatten = (value, prefix = '', output = {}) => {
+  if (!isPlainObject(value)) {
+    if (prefix) output[prefix] = value;
+    return output;
+  }
+
+  Object.keys(value).forEach(key => {
+    if (IGNORED_FIELDS.includes(key)) return;
+    flatten(value[key], prefix ? `${prefix}.${key}` : key, output);
+  });
+
+  return output;
+};
+
+// Diff sebelum/sesudah: { field: { from, to } } hanya untuk field yang berubah
+const computeDiff = (before, after) => {
+  const flatBefore = flatten(before || {});
+  const flatAfter = flatten(after || {});
+  const keys = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+  const diff = {};
+
+  keys.forEach(key => {
+    const from = flatBefore[key] === undefined ? null : flatBefore[key];
+    const to = flatAfter[key] === undefined ? null : flatAfter[key];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      diff[key] = { from, to };
+    }
+  });
+
+  return diff;
+};
+
+// Ubah array rows jadi object berkunci supaya bisa di-diff per item
+const keyBy = (rows, key) => {
+  const output = {};
+  (rows || []).forEach(row => {
+    output[`${row[key]}`] = row;
+  });
+  return output;
+};
+
+// Simpan satu entri audit. Tidak pernah throw: gagal audit tidak boleh
+// membatalkan perubahan yang sudah tersimpan.
+const recordAudit = async (req, { action, resourceType, resourceId = null, before = null, after = null }) => {
+  try {
+    await query(
+      `INSERT INTO audit_logs
+       (admin_id, admin_username, action, resource_type, resource_id, changes, before_data, after_data, ip, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        req.user ? req.user.id : null,
+        req.user ? req.user.username : null,
+        action,
+        resourceType,
+        resourceId === null ? null : String(resourceId),
+        JSON.stringify(computeDiff(before, after)),
+        before === null ? null : JSON.stringify(before),
+        after === null ? null : JSON.stringify(after),
+        req.ip,
+        (req.get('user-agent') || '').substring(0, 255)
+      ]
+    );
+  } catch (error) {
+    console.error('❌ Failed to write audit log:', error.message);
+  }
+};
+
+module.exports = {
+  computeDiff,
+  keyBy,
+  recordAudit
+};
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/db');
+
+// Access token pendek, refresh token panjang & disimpan (hash) di database
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const LOGIN_CHALLENGE_TTL = '5m';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Generate JWT access token (tv = token_version, sid = refresh token family)
+const generateAccessToken = (user, sessionId) => jwt.sign(
+  {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    tv: user.token_version || 0,
+    sid: sessionId
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const getAccessTokenExpiry = (token) => {
+  const decoded = jwt.decode(token);
+  return decoded.exp - decoded.iat;
+};
+
+const insertRefreshToken = async (db, userId, familyId, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const result = await db.query(
+    `INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at, created_ip, user_agent)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4 || ' days')::interval, $5, $6)
+     RETURNING id`,
+    [
+      userId, familyId, hashToken(refreshToken), String(REFRESH_TOKEN_TTL_DAYS),
+      req ? req.ip : null,
+      req ? (req.get('user-agent') || '').substring(0, 255) : null
+    ]
+  );
+
+  return { id: result.rows[0].id, refreshToken };
+};
+
+const buildSessionResponse = (user, familyId, refreshToken) => {
+  const token = generateAccessToken(user, familyId);
+  return {
+    token,
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: getAccessTokenExpiry(token)
+  };
+};
+
+// Buat sesi baru (family baru) setelah login berhasil
+const issueSession = async (user, req) => {
+  const familyId = crypto.randomUUID();
+  const { refreshToken } = await insertRefreshToken(pool, user.id, familyId, req);
+  return buildSessionResponse(user, familyId, refreshToken);
+};
+
+const revokeFamily = async (db, familyId) => {
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL',
+    [familyId]
+  );
+};
+
+// Logout dari semua device (dipakai juga saat ganti password / akun dinonaktifkan)
+const revokeUserSessions = async (userId) => {
+  await pool.query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+};
+
+// Tukar refresh token dengan pasangan token baru.
+// Token yang sudah pernah dirotasi lalu dipakai lagi = kemungkinan dicuri,
+// jadi seluruh family dicabut dan user harus login ulang.
+// Return { session } kalau berhasil, atau { error } berisi alasan gagal.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT t.id, t.family_id, t.expires_at < CURRENT_TIMESTAMP AS expired, t.revoked_at,
+              u.id AS user_id, u.username, u.email, u.role, u.token_version, u.is_active
+       FROM refresh_tokens t
+       JOIN admin_users u ON u.id = t.user_id
+       WHERE t.token_hash = $1
+       FOR UPDATE OF t`,
+      [hashToken(refreshToken)]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { error: 'invalid' };
+    }
+
+    const stored = result.rows[0];
+
+    if (stored.revoked_at) {
+      await revokeFamily(client, stored.family_id);
+      await client.query('COMMIT');
+      console.warn(`⚠️ Refresh token reuse detected for user ${stored.user_id}, family ${stored.family_id} revoked`);
+      return { error: 'reused' };
+    }
+
+    if (stored.expired || !stored.is_active) {
+      await revokeFamily(client, stored.family_id);
+      await client.query('COMMIT');
+      return { error: 'invalid' };
+    }
+
+    const next = await insertRefreshToken(client, stored.user_id, stored.family_id, req);
+
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $1 WHERE id = $2',
+      [next.id, stored.id]
+    );
+
+    await client.query('COMMIT');
+
+    const user = {
+      id: stored.user_id,
+      username: stored.username,
+      email: stored.email,
+      role: stored.role,
+      token_version: stored.token_version
+    };
+
+    return { session: buildSessionResponse(user, stored.family_id, next.refreshToken) };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Token sementara setelah password benar, ditukar dengan sesi setelah kode 2FA valid.
+// Punya purpose '2fa' sehingga ditolak oleh authenticateToken.
+const createLoginChallenge = (user) => {
+  const token = jwt.sign(
+    { id: user.id, purpose: '2fa', tv: user.token_version || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: LOGIN_CHALLENGE_TTL }
+  );
+  return {
+    challenge_token: token,
+    expires_in: getAccessTokenExpiry(token)
+  };
+};
+
+// Return payload challenge, atau null kalau token tidak valid / expired
+const verifyLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Cabut sesi milik refresh token tertentu (logout)
+const revokeRefreshToken = async (refreshToken) => {
+  const result = await pool.query(
+    'SELECT family_id FROM refresh_tokens WHERE token_hash = $1',
+    [hashToken(refreshToken)]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await revokeFamily(pool, result.rows[0].family_id);
+  return true;
+};
+
+const revokeSession = async (familyId) => {
+  await revokeFamily(pool, familyId);
+};
+
+module.exports = {
+  hashToken,
+  issueSession,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,72 @@
+// ============================================
+// IN-PROCESS CACHE
+// Cache sederhana per instance (TTL + batas jumlah entry).
+// Di Vercel tiap instance punya cache sendiri: invalidasi hanya berlaku di instance
+// yang menerima mutasi, instance lain paling lama basi selama TTL.
+// ============================================
+const caches = new Map();
+
+const createCache = ({ ttlSeconds = 60, maxEntries = 200 } = {}) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    // Map menjaga urutan insert, entry paling lama dibuang duluan
+    if (!entries.has(key) && entries.size >= maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+  };
+
+  const clear = () => {
+    entries.clear();
+  };
+
+  return { get, set, clear, size: () => entries.size };
+};
+
+// Cache bernama supaya route lain bisa ikut invalidasi (misal media attach -> gallery)
+const getCache = (name, options) => {
+  if (!caches.has(name)) {
+    caches.set(name, createCache(options));
+  }
+  return caches.get(name);
+};
+
+// Middleware untuk GET publik: simpan body JSON sukses berdasarkan bahasa + URL lengkap
+// (locale dari Accept-Language tidak kelihatan di URL)
+const cacheResponse = (cache) => (req, res, next) => {
+  const key = `${req.locale || ''}|${req.originalUrl}`;
+  const cached = cache.get(key);
+
+  if (cached !== undefined) {
+    res.set('X-Cache', 'HIT');
+    return res.json(cached);
+  }
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode === 200 && body && body.status === 'success') {
+      cache.set(key, body);
+    }
+    res.set('X-Cache', 'MISS');
+    return originalJson(body);
+  };
+  next();
+};
+
+module.exports = {
+  createCache,
+  getCache,
+  cacheResponse
+};
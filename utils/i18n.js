@@ -0,0 +1,298 @@
+const { pool } = require('../config/db');
+const { authenticateToken, requireEditor } = require('../middleware/auth');
+const { recordAudit } = require('./audit');
+
+// ============================================
+// MULTILINGUAL CONTENT
+// Kolom asli di tabel konten = bahasa default. Terjemahan bahasa lain disimpan
+// per field di content_translations (resource_type + resource_key + locale + field).
+// Field yang belum diterjemahkan otomatis pakai bahasa default.
+// ============================================
+const SUPPORTED_LOCALES = (process.env.SUPPORTED_LOCALES || 'id,en')
+    .split(',')
+    .map(locale => locale.trim().toLowerCase())
+    .filter(Boolean);
+
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE)
+    ? process.env.DEFAULT_LOCALE
+    : SUPPORTED_LOCALES[0];
+
+// Field yang boleh diterjemahkan per resource. null = semua key di konten (about_content JSONB)
+const TRANSLATABLE_FIELDS = {
+    hero_slides: ['subtitle', 'title', 'description', 'button_text'],
+    services: ['title', 'description', 'long_description'],
+    gallery_projects: ['title', 'subtitle', 'description'],
+    contact_info: ['address', 'working_hours'],
+    about_content: null
+};
+
+// "en-US,en;q=0.9,id;q=0.8" -> ['en', 'en', 'id'] urut berdasarkan q
+function parseAcceptLanguage(header) {
+    if (!header) return [];
+
+    return header
+        .split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const qParam = params.find(param => param.trim().startsWith('q='));
+            const q = qParam ? parseFloat(qParam.trim().substring(2)) : 1;
+            return { locale: tag.trim().toLowerCase().split('-')[0], q: isNaN(q) ? 0 : q, index };
+        })
+        .filter(entry => entry.locale && entry.locale !== '*' && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map(entry => entry.locale);
+}
+
+// ?lang= menang atas Accept-Language; locale yang tidak didukung jatuh ke default
+function resolveLocale(req) {
+    const requested = req.query && req.query.lang ? String(req.query.lang).toLowerCase().split('-')[0] : null;
+
+    if (requested && SUPPORTED_LOCALES.includes(requested)) {
+        return requested;
+    }
+
+    const accepted = parseAcceptLanguage(req.get('accept-language'))
+        .find(locale => SUPPORTED_LOCALES.includes(locale));
+
+    return accepted || DEFAULT_LOCALE;
+}
+
+// Middleware global: set req.locale untuk semua route
+function detectLocale(req, res, next) {
+    req.locale = resolveLocale(req);
+    res.set('Content-Language', req.locale);
+    res.vary('Accept-Language');
+    next();
+}
+
+// Return Map resource_key -> { field: value } untuk satu locale
+async function fetchTranslations(db, resourceType, keys, locale) {
+    const translations = new Map();
+
+    if (locale === DEFAULT_LOCALE || keys.length === 0) {
+        return translations;
+    }
+
+    const result = await db.query(
+        `SELECT resource_key, field, value FROM content_translations
+         WHERE resource_type = $1 AND locale = $2 AND resource_key = ANY($3::text[])`,
+        [resourceType, locale, keys.map(String)]
+    );
+
+    result.rows.forEach(row => {
+        if (!translations.has(row.resource_key)) translations.set(row.resource_key, {});
+        translations.get(row.resource_key)[row.field] = row.value;
+    });
+
+    return translations;
+}
+
+// Timpa field dengan terjemahan (kalau ada). keyField = kolom yang dipakai sebagai resource_key
+async function translateRows(db, resourceType, rows, locale, keyField = 'id') {
+    const keys = rows.filter(Boolean).map(row => row[keyField]);
+    const translations = await fetchTranslations(db, resourceType, keys, locale);
+
+    if (translations.size === 0) {
+        return rows;
+    }
+
+    return rows.map(row => row && translations.has(String(row[keyField]))
+        ? { ...row, ...translations.get(String(row[keyField])) }
+        : row);
+}
+
+async function translateRow(db, resourceType, row, locale, keyField = 'id') {
+    if (!row) return row;
+    const [translated] = await translateRows(db, resourceType, [row], locale, keyField);
+    return translated;
+}
+
+// Nilai kosong tidak disimpan sebagai terjemahan (supaya fallback ke default)
+function isEmptyValue(value) {
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+// ============================================
+// ROUTES: lihat & edit terjemahan satu resource
+// options.load(db, key) mengembalikan konten bahasa default { field: value } atau null.
+// keyParam null = resource tunggal (misal contact_info), path jadi /translations.
+// options.onChange() dipanggil setelah terjemahan berubah (misal untuk clear cache).
+// ============================================
+function registerTranslationRoutes(router, { resourceType, keyParam, label, load, onChange }) {
+    const basePath = keyParam ? `/:${keyParam}/translations` : '/translations';
+    const getKey = (req) => keyParam ? req.params[keyParam] : 'default';
+    const notFoundMessage = `${label.charAt(0).toUpperCase()}${label.slice(1)} not found`;
+
+    // GET .../translations - sumber bahasa default + semua terjemahan
+    router.get(basePath, authenticateToken, async (req, res) => {
+        try {
+            const key = getKey(req);
+            const source = await load(pool, key);
+
+            if (!source) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: notFoundMessage
+                });
+            }
+
+            const result = await pool.query(
+                `SELECT locale, field, value, updated_at FROM content_translations
+                 WHERE resource_type = $1 AND resource_key = $2
+                 ORDER BY locale, field`,
+                [resourceType, String(key)]
+            );
+
+            const translations = {};
+            SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE).forEach(locale => {
+                translations[locale] = {};
+            });
+            result.rows.forEach(row => {
+                if (translations[row.locale]) translations[row.locale][row.field] = row.value;
+            });
+
+            res.json({
+                status: 'success',
+                data: {
+                    resource_type: resourceType,
+                    resource_key: String(key),
+                    default_locale: DEFAULT_LOCALE,
+                    locales: SUPPORTED_LOCALES,
+                    fields: TRANSLATABLE_FIELDS[resourceType] || Object.keys(source),
+                    source,
+                    translations
+                }
+            });
+        } catch (error) {
+            console.error(`Error fetching ${label} translations:`, error);
+            res.status(500).json({
+                status: 'error',
+                message: `Failed to fetch ${label} translations`,
+                error: error.message
+            });
+        }
+    });
+
+    // PUT .../translations/:locale - body { field: value }; null / '' menghapus terjemahan field itu
+    router.put(`${basePath}/:locale`, authenticateToken, requireEditor, async (req, res) => {
+        const client = await pool.connect();
+
+        try {
+            const key = getKey(req);
+            const locale = String(req.params.locale).toLowerCase();
+
+            if (!SUPPORTED_LOCALES.includes(locale) || locale === DEFAULT_LOCALE) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: `Locale must be one of: ${SUPPORTED_LOCALES.filter(l => l !== DEFAULT_LOCALE).join(', ')}. ` +
+                        `Edit the default language (${DEFAULT_LOCALE}) through the regular update endpoint.`
+                });
+            }
+
+            const source = await load(client, key);
+
+            if (!source) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: notFoundMessage
+                });
+            }
+
+            const allowedFields = TRANSLATABLE_FIELDS[resourceType] || Object.keys(source);
+            const entries = Object.entries(req.body || {});
+            const invalidFields = entries.map(([field]) => field).filter(field => !allowedFields.includes(field));
+
+            if (entries.length === 0 || invalidFields.length > 0) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: entries.length === 0
+                        ? 'No fields to update'
+                        : `Fields cannot be translated: ${invalidFields.join(', ')}`,
+                    fields: allowedFields
+                });
+            }
+
+            await client.query('BEGIN');
+
+            const beforeResult = await client.query(
+                `SELECT field, value FROM content_translations
+                 WHERE resource_type = $1 AND resource_key = $2 AND locale = $3`,
+                [resourceType, String(key), locale]
+            );
+
+            for (const [field, value] of entries) {
+                if (isEmptyValue(value)) {
+                    await client.query(
+                        `DELETE FROM content_translations
+                         WHERE resource_type = $1 AND resource_key = $2 AND locale = $3 AND field = $4`,
+                        [resourceType, String(key), locale, field]
+                    );
+                } else {
+                    await client.query(`
+                        INSERT INTO content_translations (resource_type, resource_key, locale, field, value, updated_by)
+                        VALUES ($1, $2, $3, $4, $5::jsonb, $6)
+                        ON CONFLICT (resource_type, resource_key, locale, field) DO UPDATE SET
+                            value = EXCLUDED.value,
+                            updated_by = EXCLUDED.updated_by,
+                            updated_at = CURRENT_TIMESTAMP
+                    `, [resourceType, String(key), locale, field, JSON.stringify(value), req.user.id]);
+                }
+            }
+
+            const afterResult = await client.query(
+                `SELECT field, value FROM content_translations
+                 WHERE resource_type = $1 AND resource_key = $2 AND locale = $3`,
+                [resourceType, String(key), locale]
+            );
+
+            await client.query('COMMIT');
+
+            if (onChange) onChange();
+
+            const toObject = (rows) => Object.fromEntries(rows.map(row => [row.field, row.value]));
+            const translation = toObject(afterResult.rows);
+
+            await recordAudit(req, {
+                action: 'translate',
+                resourceType,
+                resourceId: `${key}:${locale}`,
+                before: toObject(beforeResult.rows),
+                after: translation
+            });
+
+            res.json({
+                status: 'success',
+                message: `Translation (${locale}) saved successfully`,
+                data: {
+                    locale,
+                    translation,
+                    // Hasil akhir yang dilihat pengunjung: default + terjemahan
+                    resolved: { ...source, ...translation }
+                }
+            });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`Error saving ${label} translation:`, error);
+            res.status(500).json({
+                status: 'error',
+                message: `Failed to save ${label} translation`,
+                error: error.message
+            });
+        } finally {
+            client.release();
+        }
+    });
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    TRANSLATABLE_FIELDS,
+    parseAcceptLanguage,
+    resolveLocale,
+    detectLocale,
+    fetchTranslations,
+    translateRows,
+    translateRow,
+    registerTranslationRoutes
+};
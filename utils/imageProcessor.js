@@ -0,0 +1,141 @@
+const sharp = require('sharp');
+const { generateKey, saveBuffer, deleteFile } = require('./storage');
+
+// ============================================
+// IMAGE PIPELINE
+// Upload -> auto-rotate & strip EXIF/GPS -> original + varian WebP beberapa lebar.
+// Lebar varian bisa diatur lewat env IMAGE_VARIANT_WIDTHS="320,640,1024,1600".
+// ============================================
+const VARIANT_WIDTHS = (process.env.IMAGE_VARIANT_WIDTHS || '320,640,1024,1600')
+  .split(',')
+  .map(width => parseInt(width))
+  .filter(width => width > 0)
+  .sort((a, b) => a - b);
+const WEBP_QUALITY = parseInt(process.env.IMAGE_WEBP_QUALITY) || 80;
+
+// Format yang di-encode ulang (otomatis tanpa metadata). Format lain disimpan apa adanya.
+const REENCODE_FORMATS = ['jpeg', 'png', 'webp'];
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif'
+};
+
+// Lebar varian yang dibuat: tidak pernah upscale, minimal satu varian
+const pickVariantWidths = (originalWidth) => {
+  const widths = VARIANT_WIDTHS.filter(width => width < originalWidth);
+  return widths.length > 0 ? widths : [originalWidth];
+};
+
+// Buffer yang tidak bisa di-decode sharp = kesalahan input, bukan server error
+const INVALID_IMAGE = 'INVALID_IMAGE';
+
+const isInvalidImage = (error) => Boolean(error) && error.code === INVALID_IMAGE;
+
+const encodeImage = async (buffer) => {
+  // rotate() tanpa argumen = terapkan orientasi EXIF sebelum metadata dibuang
+  const base = sharp(buffer, { failOn: 'error' }).rotate();
+  const metadata = await sharp(buffer).metadata();
+
+  let original;
+  if (REENCODE_FORMATS.includes(metadata.format)) {
+    const { data, info } = await base.clone()
+      .toFormat(metadata.format)
+      .toBuffer({ resolveWithObject: true });
+    original = { buffer: data, width: info.width, height: info.height, format: metadata.format };
+  } else {
+    original = { buffer, width: metadata.width, height: metadata.height, format: metadata.format };
+  }
+
+  const variants = [];
+  for (const width of pickVariantWidths(original.width)) {
+    const { data, info } = await base.clone()
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: WEBP_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+    variants.push({ buffer: data, width: info.width, height: info.height, format: 'webp' });
+  }
+
+  return { original, variants };
+};
+
+// Proses buffer gambar di memory. Return { original, variants } berisi buffer & dimensi.
+// Gagal decode dilempar sebagai error dengan code INVALID_IMAGE (status 400).
+const processImage = async (buffer) => {
+  try {
+    return await encodeImage(buffer);
+  } catch (error) {
+    throw Object.assign(new Error('Invalid image'), { code: INVALID_IMAGE, status: 400, cause: error });
+  }
+};
+
+// Proses & simpan file upload multer ke storage.
+// Return { url, width, height, variants: [{ url, width, height, format, size }] }
+const storeImage = async (file, folder = 'gallery') => {
+  if (!file) return null;
+
+  if (!file.buffer || file.buffer.length === 0) {
+    throw new Error('File buffer is empty');
+  }
+
+  const { original, variants } = await processImage(file.buffer);
+  const baseKey = generateKey(folder);
+  const extension = original.format === 'jpeg' ? 'jpg' : original.format;
+  const storedUrls = [];
+
+  try {
+    const url = await saveBuffer(
+      `${baseKey}.${extension}`,
+      original.buffer,
+      MIME_TYPES[original.format] || file.mimetype
+    );
+    storedUrls.push(url);
+
+    const storedVariants = [];
+    for (const variant of variants) {
+      const variantUrl = await saveBuffer(`${baseKey}-${variant.width}w.webp`, variant.buffer, MIME_TYPES.webp);
+      storedUrls.push(variantUrl);
+      storedVariants.push({
+        url: variantUrl,
+        width: variant.width,
+        height: variant.height,
+        format: variant.format,
+        size: variant.buffer.length
+      });
+    }
+
+    return {
+      url,
+      width: original.width,
+      height: original.height,
+      variants: storedVariants
+    };
+  } catch (error) {
+    // Jangan tinggalkan file setengah jadi di storage
+    storedUrls.forEach(storedUrl => deleteFile(storedUrl));
+    throw error;
+  }
+};
+
+// Hapus original beserta semua varian
+const deleteImage = async (url, variants = []) => {
+  await Promise.all([url, ...(variants || []).map(variant => variant.url)].map(deleteFile));
+};
+
+// "url 320w, url 640w, ..." siap dipakai di atribut srcset
+const buildSrcset = (variants) => {
+  if (!Array.isArray(variants) || variants.length === 0) {
+    return null;
+  }
+  return variants.map(variant => `${variant.url} ${variant.width}w`).join(', ');
+};
+
+module.exports = {
+  isInvalidImage,
+  processImage,
+  storeImage,
+  deleteImage,
+  buildSrcset
+};
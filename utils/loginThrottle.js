@@ -0,0 +1,212 @@
+const pool = require('../config/db');
+
+// ============================================
+// LOGIN THROTTLE
+// Semua state di Postgres supaya berlaku di semua instance serverless
+// ============================================
+const ATTEMPT_WINDOW_MINUTES = 15;
+const FREE_ATTEMPTS_PER_USERNAME = 3;
+const FREE_ATTEMPTS_PER_IP = 10; // Lebih longgar, satu IP bisa dipakai beberapa staff
+const MAX_DELAY_SECONDS = 5 * 60;
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Delay naik 2x lipat setiap gagal setelah jatah percobaan bebas habis
+const progressiveDelay = (failures, freeAttempts) => {
+  if (failures < freeAttempts) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - freeAttempts + 1), MAX_DELAY_SECONDS);
+};
+
+// Jumlah gagal sejak login sukses terakhir (dalam window) & detik sejak gagal terakhir.
+// excludeId = percobaan yang sedang berjalan (sudah tercatat, tidak ikut dihitung)
+const getFailureStats = async (column, value, excludeId) => {
+  const matcher = column === 'username' ? 'LOWER(username) = LOWER($1)' : 'ip = $1';
+
+  const result = await pool.query(
+    `WITH recent AS (
+       SELECT success, created_at FROM login_attempts
+       WHERE ${matcher} AND id <> $3 AND created_at > CURRENT_TIMESTAMP - ($2 || ' minutes')::interval
+     )
+     SELECT COUNT(*)::int AS failures,
+            EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - MAX(created_at)))::int AS seconds_since_last
+     FROM recent
+     WHERE success = false
+       AND created_at > COALESCE((SELECT MAX(created_at) FROM recent WHERE success), '-infinity'::timestamp)`,
+    [value, String(ATTEMPT_WINDOW_MINUTES), excludeId]
+  );
+
+  return result.rows[0];
+};
+
+const remainingDelay = (stats, freeAttempts) => {
+  const delay = progressiveDelay(stats.failures, freeAttempts);
+  if (delay === 0 || stats.seconds_since_last === null) {
+    return 0;
+  }
+  return Math.max(delay - stats.seconds_since_last, 0);
+};
+
+// Dipanggil sebelum password diverifikasi. Percobaan langsung dicatat sebagai gagal
+// SEBELUM dicek, jadi request paralel saling melihat dan tidak bisa lolos bersamaan.
+// Return { id, blocked }: blocked null kalau boleh lanjut, atau { status, message, retryAfter }.
+// Hasilnya wajib ditutup dengan recordLoginFailure / recordLoginSuccess / cancelLoginAttempt.
+const startLoginAttempt = async ({ username, ip }) => {
+  const attemptResult = await pool.query(
+    'INSERT INTO login_attempts (username, ip, success) VALUES ($1, $2, false) RETURNING id',
+    [username, ip]
+  );
+  const attempt = { id: attemptResult.rows[0].id, blocked: null };
+
+  const lockResult = await pool.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM (locked_until - CURRENT_TIMESTAMP)))::int AS locked_seconds
+     FROM admin_users
+     WHERE username = $1 AND locked_until > CURRENT_TIMESTAMP`,
+    [username]
+  );
+
+  if (lockResult.rows.length > 0) {
+    attempt.blocked = {
+      status: 423,
+      message: 'Account is temporarily locked due to too many failed login attempts',
+      retryAfter: lockResult.rows[0].locked_seconds
+    };
+  } else {
+    const [ipStats, usernameStats] = await Promise.all([
+      getFailureStats('ip', ip, attempt.id),
+      getFailureStats('username', username, attempt.id)
+    ]);
+
+    const retryAfter = Math.max(
+      remainingDelay(ipStats, FREE_ATTEMPTS_PER_IP),
+      remainingDelay(usernameStats, FREE_ATTEMPTS_PER_USERNAME)
+    );
+
+    if (retryAfter > 0) {
+      attempt.blocked = {
+        status: 429,
+        message: `Too many failed login attempts. Please wait ${retryAfter} seconds before trying again`,
+        retryAfter
+      };
+    }
+  }
+
+  // Percobaan yang ditolak tidak dihitung, supaya delay tidak terus diperpanjang
+  if (attempt.blocked) {
+    await cancelLoginAttempt(attempt);
+  }
+
+  return attempt;
+};
+
+// Percobaan tanpa hasil (password benar tapi masih perlu 2FA / akun nonaktif): hapus catatannya
+const cancelLoginAttempt = async (attempt) => {
+  await pool.query('DELETE FROM login_attempts WHERE id = $1', [attempt.id]);
+};
+
+// Counter dimulai ulang dari 1 kalau lockout sudah lewat atau gagal terakhir di luar window
+const NEXT_FAILED_LOGIN_COUNT = `CASE
+      WHEN (locked_until IS NOT NULL AND locked_until <= CURRENT_TIMESTAMP)
+        OR last_failed_login_at IS NULL
+        OR last_failed_login_at <= CURRENT_TIMESTAMP - ($2 || ' minutes')::interval
+      THEN 1
+      ELSE failed_login_count + 1
+    END`;
+
+// Password / kode salah. Percobaannya sudah tercatat sebagai gagal di startLoginAttempt.
+// Return info lockout kalau percobaan ini mengunci akun.
+const recordLoginFailure = async ({ userId = null } = {}) => {
+  if (!userId) {
+    return null;
+  }
+
+  // Satu statement: increment & lockout atomic terhadap login gagal paralel
+  const result = await pool.query(
+    `UPDATE admin_users
+     SET failed_login_count = ${NEXT_FAILED_LOGIN_COUNT},
+         locked_until = CASE
+           WHEN locked_until > CURRENT_TIMESTAMP THEN locked_until
+           WHEN ${NEXT_FAILED_LOGIN_COUNT} >= $3 THEN CURRENT_TIMESTAMP + ($4 || ' minutes')::interval
+           ELSE NULL
+         END,
+         last_failed_login_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING failed_login_count`,
+    [userId, String(ATTEMPT_WINDOW_MINUTES), MAX_FAILED_LOGINS, String(LOCKOUT_MINUTES)]
+  );
+
+  if (result.rows.length === 0 || result.rows[0].failed_login_count < MAX_FAILED_LOGINS) {
+    return null;
+  }
+
+  console.warn(`🔒 Admin user ${userId} locked for ${LOCKOUT_MINUTES} minutes after ${MAX_FAILED_LOGINS} failed logins`);
+
+  return {
+    status: 423,
+    message: `Too many failed login attempts. Account is locked for ${LOCKOUT_MINUTES} minutes`,
+    retryAfter: LOCKOUT_MINUTES * 60
+  };
+};
+
+const recordLoginSuccess = async ({ attempt, userId }) => {
+  await pool.query(
+    'UPDATE login_attempts SET success = true WHERE id = $1',
+    [attempt.id]
+  );
+
+  await pool.query(
+    'UPDATE admin_users SET failed_login_count = 0, locked_until = NULL, last_failed_login_at = NULL WHERE id = $1',
+    [userId]
+  );
+
+  // Bersihkan data lama sesekali supaya tabel tidak terus membesar
+  if (Math.random() < 0.05) {
+    pool.query("DELETE FROM login_attempts WHERE created_at < CURRENT_TIMESTAMP - INTERVAL '30 days'")
+      .catch(error => console.error('Login attempts cleanup error:', error.message));
+  }
+};
+
+// Response 429 (delay) / 423 (akun terkunci) dengan info kapan boleh coba lagi
+const sendLoginBlocked = (res, blocked) => {
+  res.set('Retry-After', String(blocked.retryAfter));
+  return res.status(blocked.status).json({
+    message: blocked.message,
+    status: 'error',
+    retry_after: blocked.retryAfter
+  });
+};
+
+// Dipakai owner untuk membuka akun yang terkunci
+const unlockAccount = async (userId) => {
+  const result = await pool.query(
+    `UPDATE admin_users
+     SET failed_login_count = 0, locked_until = NULL, last_failed_login_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING username`,
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  // Hapus riwayat gagal supaya delay per-username ikut reset
+  await pool.query(
+    `DELETE FROM login_attempts
+     WHERE LOWER(username) = LOWER($1) AND success = false
+       AND created_at > CURRENT_TIMESTAMP - ($2 || ' minutes')::interval`,
+    [result.rows[0].username, String(ATTEMPT_WINDOW_MINUTES)]
+  );
+
+  return true;
+};
+
+module.exports = {
+  startLoginAttempt,
+  cancelLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  sendLoginBlocked,
+  unlockAccount
+};
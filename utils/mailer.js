@@ -0,0 +1,120 @@
+// ============================================
+// MAIL TRANSPORTS
+// Pilih lewat env MAIL_TRANSPORT. Default: "http" kalau MAIL_HTTP_URL di-set, selain itu "console".
+// - http: POST JSON { from, to, subject, text, html } ke API provider (format Resend / sejenis)
+// - console: development saja, hanya mencatat penerima & subject (isi email TIDAK pernah di-log)
+// - outbox: development saja, simpan email lengkap sebagai file JSON di MAIL_OUTBOX_DIR
+//   (supaya link reset password bisa dibuka tanpa provider email). Ditolak di production.
+// Transport lain (misal SMTP) bisa didaftarkan lewat registerTransport().
+// ============================================
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAIL_TIMEOUT_MS = parseInt(process.env.MAIL_TIMEOUT_MS) || 10000;
+
+const getOutboxDir = () => process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'worksglow-mail-outbox');
+
+const transports = {
+  http: async (message) => {
+    const url = process.env.MAIL_HTTP_URL;
+
+    if (!url) {
+      throw new Error('MAIL_HTTP_URL is not configured');
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.MAIL_HTTP_API_KEY ? { Authorization: `Bearer ${process.env.MAIL_HTTP_API_KEY}` } : {})
+      },
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(MAIL_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      // Jangan sertakan body request di error: isinya bisa berupa link reset
+      throw new Error(`Mail API responded with HTTP ${response.status}`);
+    }
+  },
+
+  // Development: hanya bukti bahwa email "terkirim", isi (link/token) tidak ditampilkan
+  console: async (message) => {
+    console.log('📧 [MAIL]', JSON.stringify({
+      to: message.to,
+      subject: message.subject
+    }), '(body hidden, set MAIL_TRANSPORT=outbox to read it or configure a delivering transport)');
+  },
+
+  // Development: isi lengkap ditulis ke file, bukan ke log
+  outbox: async (message) => {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The outbox mail transport is disabled in production');
+    }
+
+    const dir = getOutboxDir();
+    const filePath = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2), { mode: 0o600 });
+    console.log('📧 [MAIL]', JSON.stringify({ to: message.to, subject: message.subject }), `saved to ${filePath}`);
+  }
+};
+
+// Transport yang tidak benar-benar mengirim email ke penerima
+const NON_DELIVERING = ['console', 'outbox'];
+
+let activeTransport = null;
+
+const registerTransport = (name, send) => {
+  if (typeof send !== 'function') {
+    throw new Error(`Mail transport "${name}" must be a function`);
+  }
+  transports[name] = send;
+};
+
+// Pakai transport tertentu tanpa lewat env (berguna untuk test)
+const setTransport = (name) => {
+  if (name && !transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  activeTransport = name;
+};
+
+const getTransportName = () => {
+  return activeTransport || process.env.MAIL_TRANSPORT || (process.env.MAIL_HTTP_URL ? 'http' : 'console');
+};
+
+// true kalau email benar-benar bisa sampai ke penerima
+const canDeliverMail = () => {
+  const name = getTransportName();
+  return Boolean(transports[name]) && !NON_DELIVERING.includes(name);
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const name = getTransportName();
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || 'Works Glow <no-reply@worksglow.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  getOutboxDir,
+  sendMail,
+  canDeliverMail,
+  getTransportName,
+  registerTransport,
+  setTransport
+};
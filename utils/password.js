@@ -0,0 +1,30 @@
+// ============================================
+// PASSWORD POLICY
+// Minimal 8 karakter, huruf besar, huruf kecil, angka dan simbol
+// ============================================
+const MIN_PASSWORD_LENGTH = 8;
+
+// Return pesan error pertama yang dilanggar, atau null kalau password valid
+const validatePasswordStrength = (password, { username } = {}) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  if (password.length > 72) {
+    return 'Password must be at most 72 characters long';
+  }
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) {
+    return 'Password must contain both uppercase and lowercase letters';
+  }
+  if (!/[0-9]/.test(password)) {
+    return 'Password must contain at least one number';
+  }
+  if (!/[^A-Za-z0-9]/.test(password)) {
+    return 'Password must contain at least one symbol';
+  }
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    return 'Password must not contain the username';
+  }
+  return null;
+};
+
+module.exports = { validatePasswordStrength };
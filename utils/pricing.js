@@ -0,0 +1,98 @@
+// ============================================
+// PRICE MATRIX & ESTIMATE
+// Harga per panel disimpan per service x kelas kendaraan x jenis cat (service_prices).
+// Tiap panel punya faktor ukuran (price_panels), misal kap mesin 1.3x pintu.
+// ============================================
+const VEHICLE_CLASSES = ['city_car', 'sedan', 'suv', 'pickup'];
+const PAINT_FINISHES = ['solid', 'metallic', 'pearl', 'matte'];
+
+// Estimasi dibulatkan ke ribuan rupiah terdekat
+const ROUND_TO = parseInt(process.env.ESTIMATE_ROUND_TO) || 1000;
+
+const roundPrice = (value) => Math.round(value / ROUND_TO) * ROUND_TO;
+
+// Validasi satu sel matriks harga. Return { price } atau { error }
+const parsePriceCell = (cell) => {
+  if (!cell || typeof cell !== 'object') {
+    return { error: 'Each price must be an object' };
+  }
+
+  const { vehicle_class: vehicleClass, paint_finish: paintFinish } = cell;
+
+  if (!VEHICLE_CLASSES.includes(vehicleClass)) {
+    return { error: `Invalid vehicle_class "${vehicleClass}". Allowed: ${VEHICLE_CLASSES.join(', ')}` };
+  }
+
+  if (!PAINT_FINISHES.includes(paintFinish)) {
+    return { error: `Invalid paint_finish "${paintFinish}". Allowed: ${PAINT_FINISHES.join(', ')}` };
+  }
+
+  const priceMin = parseFloat(cell.price_min);
+  const priceMax = cell.price_max === undefined || cell.price_max === null || cell.price_max === ''
+    ? priceMin
+    : parseFloat(cell.price_max);
+
+  // Number.isFinite juga menolak "Infinity" yang lolos parseFloat
+  if (!Number.isFinite(priceMin) || !Number.isFinite(priceMax) || priceMin < 0 || priceMax < priceMin) {
+    return { error: `price_min and price_max for ${vehicleClass}/${paintFinish} must be numbers with price_min <= price_max` };
+  }
+
+  return {
+    price: {
+      vehicle_class: vehicleClass,
+      paint_finish: paintFinish,
+      price_min: priceMin,
+      price_max: priceMax
+    }
+  };
+};
+
+// Susun baris service_prices jadi { city_car: { solid: {...}, metallic: {...} }, ... }
+const buildMatrix = (rows) => {
+  const matrix = {};
+  VEHICLE_CLASSES.forEach(vehicleClass => {
+    matrix[vehicleClass] = {};
+    PAINT_FINISHES.forEach(paintFinish => {
+      matrix[vehicleClass][paintFinish] = null;
+    });
+  });
+
+  rows.forEach(row => {
+    if (matrix[row.vehicle_class]) {
+      matrix[row.vehicle_class][row.paint_finish] = {
+        price_min: Number(row.price_min),
+        price_max: Number(row.price_max)
+      };
+    }
+  });
+
+  return matrix;
+};
+
+// Rincian harga per panel + total. price = sel matriks, panels = baris price_panels sesuai urutan request
+const calculateEstimate = (price, panels) => {
+  const items = panels.map(panel => {
+    const factor = Number(panel.size_factor);
+    return {
+      panel: panel.code,
+      name: panel.name,
+      size_factor: factor,
+      price_min: roundPrice(Number(price.price_min) * factor),
+      price_max: roundPrice(Number(price.price_max) * factor)
+    };
+  });
+
+  return {
+    items,
+    total_min: items.reduce((sum, item) => sum + item.price_min, 0),
+    total_max: items.reduce((sum, item) => sum + item.price_max, 0)
+  };
+};
+
+module.exports = {
+  VEHICLE_CLASSES,
+  PAINT_FINISHES,
+  parsePriceCell,
+  buildMatrix,
+  calculateEstimate
+};
@@ -0,0 +1,311 @@
+const { pool } = require('../config/db');
+const { authenticateToken, requireEditor } = require('../middleware/auth');
+const { computeDiff, recordAudit } = require('./audit');
+
+// ============================================
+// CONTENT REVISIONS
+// Snapshot konten setiap kali disimpan, bisa dipakai untuk
+// about_content, services, hero_slides, dll (resource_type + resource_key).
+// ============================================
+
+// Field konten yang disimpan di revision history per resource_type
+// (about_content menyimpan seluruh isi section, jadi tidak perlu daftar field)
+const REVISION_FIELDS = {
+    hero_slides: [
+        'subtitle', 'title', 'description', 'image_url', 'image_width', 'image_height', 'image_variants', 'media_id',
+        'button_text', 'button_link', 'starts_at', 'ends_at', 'is_active'
+    ],
+    services: [
+        'icon', 'title', 'description', 'is_active',
+        'slug', 'long_description', 'estimated_duration_minutes',
+        'image_url', 'image_width', 'image_height', 'image_variants'
+    ]
+};
+
+async function countRevisions(db, resourceType, resourceKey) {
+    const result = await db.query(
+        'SELECT COUNT(*)::int AS total FROM content_revisions WHERE resource_type = $1 AND resource_key = $2',
+        [resourceType, String(resourceKey)]
+    );
+    return result.rows[0].total;
+}
+
+async function insertRevision(db, { resourceType, resourceKey, content, user = null, note = null, restoredFrom = null }) {
+    const result = await db.query(`
+        INSERT INTO content_revisions
+        (resource_type, resource_key, revision_number, content, created_by, created_by_username, note, restored_from)
+        SELECT $1, $2, COALESCE(MAX(revision_number), 0) + 1, $3::jsonb, $4, $5, $6, $7
+        FROM content_revisions
+        WHERE resource_type = $1 AND resource_key = $2
+        RETURNING id, revision_number, created_at
+    `, [
+        resourceType, String(resourceKey), JSON.stringify(content),
+        user ? user.id : null, user ? user.username : null, note, restoredFrom
+    ]);
+
+    return result.rows[0];
+}
+
+// Ambil hanya field konten dari row (tanpa id, timestamp, dll)
+function pickFields(row, fields) {
+    const output = {};
+    fields.forEach(field => {
+        output[field] = row[field] === undefined ? null : row[field];
+    });
+    return output;
+}
+
+// revision_number = MAX + 1, jadi dua penyimpanan paralel untuk resource yang sama
+// bisa dapat nomor sama. Advisory lock menyerialkan mereka sampai transaksi selesai.
+async function lockRevisions(db, resourceType, resourceKey) {
+    await db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`${resourceType}:${resourceKey}`]);
+}
+
+async function writeRevision(db, { resourceType, resourceKey, before, after, user, note, restoredFrom }) {
+    const hasBefore = before !== null && before !== undefined;
+
+    await lockRevisions(db, resourceType, resourceKey);
+
+    if (hasBefore && await countRevisions(db, resourceType, resourceKey) === 0) {
+        await insertRevision(db, {
+            resourceType,
+            resourceKey,
+            content: before,
+            note: 'Snapshot before first tracked change'
+        });
+    }
+
+    return insertRevision(db, { resourceType, resourceKey, content: after, user, note, restoredFrom });
+}
+
+// Simpan revisi baru. Kalau belum ada riwayat sama sekali, isi lama disimpan
+// dulu sebagai revisi pertama supaya versi sebelum fitur ini tidak hilang.
+// db boleh client di dalam transaksi pemanggil, atau pool (transaksi dibuka di sini).
+async function saveRevision(db, { resourceType, resourceKey, before = null, after, user = null, note = null, restoredFrom = null }) {
+    const hasBefore = before !== null && before !== undefined;
+
+    if (hasBefore && !restoredFrom && JSON.stringify(before) === JSON.stringify(after)) {
+        return null; // Tidak ada perubahan, tidak perlu revisi baru
+    }
+
+    const options = { resourceType, resourceKey, before, after, user, note, restoredFrom };
+
+    if (typeof db.release === 'function') {
+        return writeRevision(db, options);
+    }
+
+    // Pool: lock hanya berlaku di dalam transaksi, jadi pakai client sendiri
+    const client = await db.connect();
+
+    try {
+        await client.query('BEGIN');
+        const revision = await writeRevision(client, options);
+        await client.query('COMMIT');
+        return revision;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+async function listRevisions(db, resourceType, resourceKey) {
+    const result = await db.query(`
+        SELECT id, revision_number, created_by, created_by_username, note, restored_from, created_at
+        FROM content_revisions
+        WHERE resource_type = $1 AND resource_key = $2
+        ORDER BY revision_number DESC
+    `, [resourceType, String(resourceKey)]);
+
+    return result.rows;
+}
+
+// revisionNumber = null berarti revisi terbaru
+async function getRevision(db, resourceType, resourceKey, revisionNumber = null) {
+    const result = await db.query(`
+        SELECT id, revision_number, content, created_by, created_by_username, note, restored_from, created_at
+        FROM content_revisions
+        WHERE resource_type = $1 AND resource_key = $2
+          AND ($3::int IS NULL OR revision_number = $3)
+        ORDER BY revision_number DESC
+        LIMIT 1
+    `, [resourceType, String(resourceKey), revisionNumber]);
+
+    return result.rows[0] || null;
+}
+
+// ============================================
+// ROUTES: list, get, diff & restore revisi untuk satu resource
+// options.restore(client, key, content) menulis konten revisi ke tabel aslinya
+// dan mengembalikan konten baru (atau null kalau resource tidak ditemukan).
+// ============================================
+function registerRevisionRoutes(router, { resourceType, keyParam, label, restore }) {
+    const basePath = `/:${keyParam}/revisions`;
+
+    router.get(basePath, authenticateToken, async (req, res) => {
+        try {
+            const key = req.params[keyParam];
+
+            res.json({
+                status: 'success',
+                data: await listRevisions(pool, resourceType, key)
+            });
+        } catch (error) {
+            console.error(`Error fetching ${label} revisions:`, error);
+            res.status(500).json({
+                status: 'error',
+                message: `Failed to fetch ${label} revisions`,
+                error: error.message
+            });
+        }
+    });
+
+    // GET .../revisions/diff?from=1&to=3 (to default = revisi terbaru)
+    router.get(`${basePath}/diff`, authenticateToken, async (req, res) => {
+        try {
+            const key = req.params[keyParam];
+            const from = parseInt(req.query.from);
+            const to = req.query.to !== undefined ? parseInt(req.query.to) : null;
+
+            if (isNaN(from) || (to !== null && isNaN(to))) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Query parameter "from" (and optional "to") must be revision numbers'
+                });
+            }
+
+            const [fromRevision, toRevision] = await Promise.all([
+                getRevision(pool, resourceType, key, from),
+                getRevision(pool, resourceType, key, to)
+            ]);
+
+            if (!fromRevision || !toRevision) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'Revision not found'
+                });
+            }
+
+            res.json({
+                status: 'success',
+                data: {
+                    from: fromRevision.revision_number,
+                    to: toRevision.revision_number,
+                    changes: computeDiff(fromRevision.content, toRevision.content)
+                }
+            });
+        } catch (error) {
+            console.error(`Error comparing ${label} revisions:`, error);
+            res.status(500).json({
+                status: 'error',
+                message: `Failed to compare ${label} revisions`,
+                error: error.message
+            });
+        }
+    });
+
+    router.get(`${basePath}/:revision`, authenticateToken, async (req, res) => {
+        try {
+            const revision = await getRevision(
+                pool, resourceType, req.params[keyParam], parseInt(req.params.revision) || 0
+            );
+
+            if (!revision) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'Revision not found'
+                });
+            }
+
+            res.json({
+                status: 'success',
+                data: revision
+            });
+        } catch (error) {
+            console.error(`Error fetching ${label} revision:`, error);
+            res.status(500).json({
+                status: 'error',
+                message: `Failed to fetch ${label} revision`,
+                error: error.message
+            });
+        }
+    });
+
+    router.post(`${basePath}/:revision/restore`, authenticateToken, requireEditor, async (req, res) => {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const key = req.params[keyParam];
+            const revision = await getRevision(client, resourceType, key, parseInt(req.params.revision) || 0);
+
+            if (!revision) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'Revision not found'
+                });
+            }
+
+            const current = await getRevision(client, resourceType, key);
+            const restored = await restore(client, key, revision.content);
+
+            if (restored === null) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({
+                    status: 'error',
+                    message: `${label} not found`
+                });
+            }
+
+            const newRevision = await saveRevision(client, {
+                resourceType,
+                resourceKey: key,
+                after: restored,
+                user: req.user,
+                note: `Restored revision ${revision.revision_number}`,
+                restoredFrom: revision.id
+            });
+
+            await client.query('COMMIT');
+
+            await recordAudit(req, {
+                action: 'restore',
+                resourceType,
+                resourceId: key,
+                before: current ? current.content : null,
+                after: restored
+            });
+
+            res.json({
+                status: 'success',
+                message: `Restored revision ${revision.revision_number}`,
+                data: {
+                    revision_number: newRevision.revision_number,
+                    content: restored
+                }
+            });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`Error restoring ${label} revision:`, error);
+            res.status(500).json({
+                status: 'error',
+                message: `Failed to restore ${label} revision`,
+                error: error.message
+            });
+        } finally {
+            client.release();
+        }
+    });
+}
+
+module.exports = {
+    REVISION_FIELDS,
+    pickFields,
+    saveRevision,
+    listRevisions,
+    getRevision,
+    registerRevisionRoutes
+};
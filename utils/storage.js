@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// FILE STORAGE BACKENDS
+// Pilih lewat env STORAGE_DRIVER: blob | local | memory.
+// Default: blob kalau BLOB_READ_WRITE_TOKEN ada, selain itu local (bisa offline).
+// Setiap backend: save({ key, buffer, contentType }) -> url, remove(url), list(prefix).
+// ============================================
+const LOCAL_DIR = process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'public', 'uploads');
+const LOCAL_PUBLIC_URL = (process.env.STORAGE_PUBLIC_URL ||
+  `http://localhost:${process.env.PORT || 3000}/uploads`).replace(/\/+$/, '');
+
+// Ubah URL publik jadi key relatif, null kalau URL bukan milik backend ini
+const keyFromUrl = (url, baseUrl) => {
+  if (!url || !url.startsWith(`${baseUrl}/`)) {
+    return null;
+  }
+  return decodeURIComponent(url.substring(baseUrl.length + 1));
+};
+
+// Cegah key seperti "../../.env" keluar dari folder uploads
+const resolveLocalPath = (key) => {
+  const filePath = path.resolve(LOCAL_DIR, key);
+  if (!filePath.startsWith(path.resolve(LOCAL_DIR) + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const listLocalFiles = async (dir, prefix = '') => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listLocalFiles(path.join(dir, entry.name), key));
+    } else if (!entry.name.startsWith('.')) {
+      const stat = await fs.promises.stat(path.join(dir, entry.name));
+      files.push({
+        key,
+        url: `${LOCAL_PUBLIC_URL}/${key}`,
+        size: stat.size,
+        uploaded_at: stat.mtime
+      });
+    }
+  }
+  return files;
+};
+
+const memoryFiles = new Map();
+
+const backends = {
+  // Production: Vercel Blob (package baru di-load saat dipakai)
+  blob: {
+    save: async ({ key, buffer, contentType }) => {
+      if (!process.env.BLOB_READ_WRITE_TOKEN) {
+        throw new Error('BLOB_READ_WRITE_TOKEN not set');
+      }
+      const { put } = require('@vercel/blob');
+      const blob = await put(key, buffer, {
+        access: 'public',
+        contentType,
+        token: process.env.BLOB_READ_WRITE_TOKEN
+      });
+      return blob.url;
+    },
+    remove: async (url) => {
+      const { del } = require('@vercel/blob');
+      await del(url, { token: process.env.BLOB_READ_WRITE_TOKEN });
+    },
+    list: async (prefix = '') => {
+      const { list } = require('@vercel/blob');
+      const files = [];
+      let cursor;
+      do {
+        const page = await list({ prefix, cursor, token: process.env.BLOB_READ_WRITE_TOKEN });
+        page.blobs.forEach(blob => files.push({
+          key: blob.pathname,
+          url: blob.url,
+          size: blob.size,
+          uploaded_at: blob.uploadedAt
+        }));
+        cursor = page.hasMore ? page.cursor : undefined;
+      } while (cursor);
+      return files;
+    }
+  },
+
+  // Development: simpan di public/uploads (di-serve oleh express.static /uploads)
+  local: {
+    save: async ({ key, buffer }) => {
+      const filePath = resolveLocalPath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return `${LOCAL_PUBLIC_URL}/${key}`;
+    },
+    remove: async (url) => {
+      const key = keyFromUrl(url, LOCAL_PUBLIC_URL);
+      if (!key) return;
+      await fs.promises.unlink(resolveLocalPath(key)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    },
+    list: async (prefix = '') => {
+      const files = await listLocalFiles(LOCAL_DIR);
+      return files.filter(file => file.key.startsWith(prefix));
+    }
+  },
+
+  // Test: tidak menyentuh disk maupun network
+  memory: {
+    files: memoryFiles,
+    save: async ({ key, buffer, contentType }) => {
+      memoryFiles.set(key, { buffer, contentType, uploaded_at: new Date() });
+      return `memory://${key}`;
+    },
+    remove: async (url) => {
+      const key = keyFromUrl(url, 'memory:/');
+      if (key) memoryFiles.delete(key);
+    },
+    list: async (prefix = '') => Array.from(memoryFiles.entries())
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, file]) => ({
+        key,
+        url: `memory://${key}`,
+        size: file.buffer.length,
+        uploaded_at: file.uploaded_at
+      }))
+  }
+};
+
+let activeBackend = null;
+
+const registerBackend = (name, backend) => {
+  if (!backend || ['save', 'remove', 'list'].some(method => typeof backend[method] !== 'function')) {
+    throw new Error(`Storage backend "${name}" must implement save, remove and list`);
+  }
+  backends[name] = backend;
+};
+
+// Pakai backend tertentu tanpa lewat env (berguna untuk test)
+const setBackend = (name) => {
+  if (name && !backends[name]) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+  activeBackend = name;
+};
+
+const getBackendName = () => activeBackend || process.env.STORAGE_DRIVER ||
+  (process.env.BLOB_READ_WRITE_TOKEN ? 'blob' : 'local');
+
+const getBackend = (name = getBackendName()) => {
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+  return backend;
+};
+
+// Nama file unik: folder/timestamp-random
+const generateKey = (folder, extension = '') => `${folder}/${Date.now()}-${Math.round(Math.random() * 1E9)}${extension}`;
+
+// Simpan buffer dengan key tertentu ke backend aktif, return URL publik
+const saveBuffer = async (key, buffer, contentType) => {
+  try {
+    const url = await getBackend().save({ key, buffer, contentType });
+    console.log(`✅ File stored (${getBackendName()}):`, url);
+    return url;
+  } catch (error) {
+    console.error('❌ File upload failed:', error.message);
+    throw error;
+  }
+};
+
+// Simpan file upload multer (memoryStorage) ke folder tertentu, return URL publik
+const saveFile = async (file, folder = 'gallery') => {
+  if (!file) {
+    console.log('⚠️ No file provided');
+    return null;
+  }
+
+  if (!file.buffer || file.buffer.length === 0) {
+    throw new Error('File buffer is empty');
+  }
+
+  const extension = file.originalname && file.originalname.includes('.')
+    ? file.originalname.substring(file.originalname.lastIndexOf('.')).toLowerCase()
+    : '';
+
+  return saveBuffer(generateKey(folder, extension), file.buffer, file.mimetype);
+};
+
+// Hapus file berdasarkan URL. Tidak pernah throw: file yatim lebih baik daripada request gagal.
+const deleteFile = async (url) => {
+  if (!url) return;
+
+  try {
+    await getBackend().remove(url);
+    console.log('🗑️ File deleted:', url);
+  } catch (error) {
+    console.error('❌ File delete failed:', error.message);
+  }
+};
+
+const listFiles = async (prefix = '') => getBackend().list(prefix);
+
+module.exports = {
+  generateKey,
+  saveBuffer,
+  saveFile,
+  deleteFile,
+  listFiles,
+  registerBackend,
+  setBackend,
+  getBackend,
+  getBackendName
+};
@@ -0,0 +1,127 @@
+const { pool } = require('../config/db');
+const { listFiles, getBackend, getBackendName } = require('./storage');
+
+// ============================================
+// STORAGE GARBAGE COLLECTION
+// Bandingkan isi storage dengan semua URL yang dirujuk database.
+// - orphan: file di storage tanpa referensi (dihapus kalau lebih tua dari grace period)
+// - dangling: referensi di database yang filenya tidak ada di storage
+// ============================================
+const DEFAULT_GRACE_HOURS = parseInt(process.env.STORAGE_GC_GRACE_HOURS) || 24;
+
+// Setiap sumber: URL utama + varian responsive (kalau ada).
+// urlColumn / variantsColumn boleh berupa ekspresi SQL (misal field di dalam JSONB).
+const REFERENCE_SOURCES = [
+  { table: 'gallery_images', urlColumn: 'image_url', variantsColumn: 'variants' },
+  { table: 'hero_slides', urlColumn: 'image_url', variantsColumn: 'image_variants' },
+  { table: 'media', urlColumn: 'url', variantsColumn: 'variants' },
+  { table: 'services', urlColumn: 'image_url', variantsColumn: 'image_variants' },
+  { table: 'quote_request_photos', urlColumn: 'image_url', variantsColumn: null },
+  // Snapshot revisi tetap dihitung supaya restore tidak menghidupkan gambar yang sudah dihapus
+  {
+    table: 'content_revisions',
+    urlColumn: "content->>'image_url'",
+    variantsColumn: "CASE WHEN jsonb_typeof(content->'image_variants') = 'array' THEN content->'image_variants' END"
+  }
+];
+
+// Tambah sumber referensi baru (misal tabel lain yang menyimpan URL file)
+const registerReferenceSource = (source) => {
+  REFERENCE_SOURCES.push(source);
+};
+
+// Return Map url -> [{ table, id }]
+const collectReferences = async () => {
+  const references = new Map();
+  const addReference = (url, table, id) => {
+    if (!url) return;
+    if (!references.has(url)) references.set(url, []);
+    references.get(url).push({ table, id });
+  };
+
+  for (const { table, urlColumn, variantsColumn } of REFERENCE_SOURCES) {
+    const result = await pool.query(
+      `SELECT id, ${urlColumn} AS url${variantsColumn ? `, ${variantsColumn} AS variants` : ''}
+       FROM ${table}`
+    );
+
+    result.rows.forEach(row => {
+      addReference(row.url, table, row.id);
+      (row.variants || []).forEach(variant => addReference(variant.url, table, row.id));
+    });
+  }
+
+  return references;
+};
+
+const originOf = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+};
+
+// dryRun = true hanya melaporkan, tidak menghapus apa pun
+const runStorageGc = async ({ dryRun = true, graceHours = DEFAULT_GRACE_HOURS, prefix = '' } = {}) => {
+  const startedAt = new Date();
+  const cutoff = new Date(startedAt.getTime() - graceHours * 60 * 60 * 1000);
+
+  const [files, references] = await Promise.all([listFiles(prefix), collectReferences()]);
+  const storedUrls = new Set(files.map(file => file.url));
+  const storageOrigins = new Set(files.map(file => originOf(file.url)));
+
+  const orphans = files
+    .filter(file => !references.has(file.url))
+    .map(file => ({
+      ...file,
+      // File baru bisa jadi masih dalam proses upload (record belum di-commit)
+      deletable: new Date(file.uploaded_at) < cutoff
+    }));
+
+  // Referensi ke host lain (misal backend storage lama) tidak bisa dicek, laporkan terpisah
+  const dangling = [];
+  const external = [];
+  references.forEach((owners, url) => {
+    if (storedUrls.has(url)) return;
+    if (prefix && !url.includes(`/${prefix}`)) return;
+
+    const target = storageOrigins.has(originOf(url)) || files.length === 0 ? dangling : external;
+    owners.forEach(owner => target.push({ url, ...owner }));
+  });
+
+  const deleted = [];
+  const failed = [];
+
+  if (!dryRun) {
+    for (const orphan of orphans.filter(file => file.deletable)) {
+      try {
+        // Langsung ke backend (deleteFile menelan error) supaya kegagalan ikut dilaporkan
+        await getBackend().remove(orphan.url);
+        deleted.push(orphan.url);
+      } catch (error) {
+        failed.push({ url: orphan.url, error: error.message });
+      }
+    }
+  }
+
+  return {
+    backend: getBackendName(),
+    dry_run: dryRun,
+    grace_hours: graceHours,
+    started_at: startedAt,
+    scanned_files: files.length,
+    referenced_urls: references.size,
+    orphans,
+    dangling,
+    external,
+    deleted,
+    failed
+  };
+};
+
+module.exports = {
+  collectReferences,
+  registerReferenceSource,
+  runStorageGc
+};